@@ -0,0 +1,91 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * addPlayerNote.php - Player Note Create Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Records a staff note on a player; the logged-in user is the author.
+ * Called by: portal.html (Players tab profile)
+ * 
+ * REQUEST
+ * ───────
+ * POST /addPlayerNote.php
+ * Content-Type: application/json
+ * Body: {
+ *   "playerId": "987654",                 (BattleMetrics player ID)
+ *   "playerName": "Eve",                  (name at the time of writing)
+ *   "note": "Warned for spawn camping"    (max 2000 characters)
+ * }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * { "success": true, "data": { "note": { "id": 4, "author_name": "admin", "created_at": "...", ... } } }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 403 Forbidden (staff accounts)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "Note text is required." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/PlayerController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// Same roles that see the Players tab in the portal (staff don't)
+if (!PlayerController::canManagePlayers($auth['user'])) {
+    ApiResponse::forbidden();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$result = PlayerController::addNote($input, $auth['user'], $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success([
+        'note' => $result['note']
+    ]);
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 422);
+}
+
+?>
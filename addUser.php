@@ -8,6 +8,7 @@
  * ───────
  * Creates a new user account in the database.
  * Called by: portal.html (admin portal to manage access, Manage Access tab)
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
  * 
  * REQUEST
  * ───────
@@ -37,6 +38,7 @@
  * 
  * RESPONSE (ERROR)
  * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
  * HTTP 422 Unprocessable Entity
  * { "success": false, "message": "Name and password are required." }
  * 
@@ -52,18 +54,27 @@ declare(strict_types=1);
 // SECTION 1: LOAD DEPENDENCIES
 // ─────────────────────────────────────────────────────────────────────────────────
 
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
 require_once __DIR__ . '/lib/UserController.php';
 require_once __DIR__ . '/lib/ApiResponse.php';
 require_once __DIR__ . '/dbconnect.php';
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 2: VALIDATE HTTP METHOD
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     ApiResponse::methodNotAllowed();
 }
 
+$auth = AuthController::checkAuth($conn);
+
+// Creates portal accounts, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // SECTION 3: PARSE INPUT
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -81,7 +92,24 @@ $role = isset($input['role']) ? trim((string)$input['role']) : 'admin';
 $result = UserController::addUser($name, $password, $role, $conn);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 5: RETURN RESPONSE
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success'] && $result['user'] !== null) {
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        'user.create',
+        'user',
+        $result['user']['id'],
+        "Added {$result['user']['role']} user {$result['user']['name']}",
+        null,
+        AuditLogController::snapshot($conn, 'users', 'id', $result['user']['id'])
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($result['success']) {
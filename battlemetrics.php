@@ -14,16 +14,49 @@
  * REQUEST
  * ───────
  * GET /battlemetrics.php?serverId=123456
+ * GET /battlemetrics.php?serverIds=123456,654321   (batch, up to 25 IDs of servers we list)
+ * GET /battlemetrics.php?serverId=123456&history=24h   (player-count history: 24h or 7d)
+ * GET /battlemetrics.php?playerSearch=name   (players seen on our servers; owner/admin login required)
+ * GET /battlemetrics.php?playerId=987654     (player profile with per-server stats; owner/admin login required)
  * 
  * RESPONSE (SUCCESS)
  * ──────────────────
- * HTTP 200 OK (or original API status code)
+ * Single: HTTP 200 OK (or original API status code)
  * { ... BattleMetrics API response ... }
  * 
+ * History: HTTP 200 OK (or original API status code)
+ * { "data": [ { "type": "dataPoint", "attributes": { "timestamp": "...", "value": 42 } }, ... ] }
+ * 
+ * Player search / profile: HTTP 200 OK (or original API status code), fetched with
+ * include=server so each server relationship carries the player's firstSeen,
+ * lastSeen, timePlayed (seconds) and online in its meta
+ * { "data": [ { "type": "player", "id": "987654", "attributes": { "name": "..." }, ... } ], "included": [ ... ] }
+ * 
+ * Batch: HTTP 200 OK, one entry per requested ID (each keeps its own status)
+ * {
+ *   "servers": {
+ *     "123456": { "status": 200, "payload": { ... BattleMetrics API response ... } },
+ *     "654321": { "status": 429, "error": "BattleMetrics request failed" },
+ *     "999999": { "status": 404, "error": "Not one of our servers" }
+ *   }
+ * }
+ * IDs missing from servers.battlemetrics_id are answered with 404 and never
+ * sent upstream.
+ * 
  * RESPONSE (ERROR)
  * ───────────────
  * HTTP 400 Bad Request
  * { "error": "Missing serverId" }
+ * { "error": "Too many serverIds (max 25)" }
+ * { "error": "Invalid history range" }
+ * { "error": "Player search needs 2 to 64 characters" }
+ * { "error": "Invalid playerId" }
+ * 
+ * HTTP 401 Unauthorized (player lookups without a portal session)
+ * { "error": "Not authenticated" }
+ * 
+ * HTTP 403 Forbidden (player lookups from staff accounts)
+ * { "error": "Forbidden" }
  * 
  * HTTP 500 Internal Server Error
  * { "error": "BattleMetrics API key is not configured." }
@@ -48,41 +81,329 @@ if (!$apiKey) {
 // SECTION 2: VALIDATE INPUT
 // ─────────────────────────────────────────────────────────────────────────────────
 
-$serverId = isset($_GET['serverId']) ? trim($_GET['serverId']) : null;
+const BM_MAX_BATCH_IDS = 25;
+const BM_PLAYER_SEARCH_MIN = 2;
+const BM_PLAYER_SEARCH_MAX = 64;
+const BM_PLAYER_PAGE_SIZE = 25;
+
+// Range => [window in seconds, BattleMetrics resolution in minutes]
+const BM_HISTORY_RANGES = [
+    '24h' => [86400, '30'],
+    '7d' => [604800, '60'],
+];
 
-if (!$serverId) {
+$serverId = isset($_GET['serverId']) ? trim((string)$_GET['serverId']) : null;
+$serverIds = [];
+
+if (isset($_GET['serverIds'])) {
+    // Accept both ?serverIds=1,2,3 and ?serverIds[]=1&serverIds[]=2
+    $rawIds = is_array($_GET['serverIds']) ? $_GET['serverIds'] : explode(',', (string)$_GET['serverIds']);
+    $serverIds = array_values(array_unique(array_filter(array_map(
+        static fn($id) => trim((string)$id),
+        $rawIds
+    ), static fn($id) => $id !== '')));
+}
+
+$playerSearch = isset($_GET['playerSearch']) ? trim((string)$_GET['playerSearch']) : null;
+$playerId = isset($_GET['playerId']) ? trim((string)$_GET['playerId']) : null;
+$isPlayerLookup = $playerSearch !== null || $playerId !== null;
+
+if (!$serverId && empty($serverIds) && !$isPlayerLookup) {
     http_response_code(400);
     header('Content-Type: application/json');
     echo json_encode(['error' => 'Missing serverId']);
     exit;
 }
 
+if (count($serverIds) > BM_MAX_BATCH_IDS) {
+    http_response_code(400);
+    header('Content-Type: application/json');
+    echo json_encode(['error' => 'Too many serverIds (max ' . BM_MAX_BATCH_IDS . ')']);
+    exit;
+}
+
+$historyRange = isset($_GET['history']) ? trim((string)$_GET['history']) : null;
+
+if ($historyRange !== null && (!$serverId || !isset(BM_HISTORY_RANGES[$historyRange]))) {
+    http_response_code(400);
+    header('Content-Type: application/json');
+    echo json_encode(['error' => $serverId ? 'Invalid history range' : 'Missing serverId']);
+    exit;
+}
+
+if ($playerSearch !== null) {
+    $length = mb_strlen($playerSearch);
+    if ($length < BM_PLAYER_SEARCH_MIN || $length > BM_PLAYER_SEARCH_MAX) {
+        http_response_code(400);
+        header('Content-Type: application/json');
+        echo json_encode(['error' => 'Player search needs ' . BM_PLAYER_SEARCH_MIN . ' to ' . BM_PLAYER_SEARCH_MAX . ' characters']);
+        exit;
+    }
+} elseif ($playerId !== null && !preg_match('/^\d{1,20}$/', $playerId)) {
+    http_response_code(400);
+    header('Content-Type: application/json');
+    echo json_encode(['error' => 'Invalid playerId']);
+    exit;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 3: BUILD API URL
+// SECTION 3: AUTHORIZE PLAYER LOOKUPS AND BATCHES
 // ─────────────────────────────────────────────────────────────────────────────────
 
-$apiUrl = sprintf(
-    'https://api.battlemetrics.com/servers/%s?include=player,serverSettings,conflict',
-    urlencode($serverId)
-);
+// Server lookups feed the public site; player histories are for portal users only
+$ourServerIds = [];
+
+if ($isPlayerLookup) {
+    require_once __DIR__ . '/lib/AuthController.php';
+    require_once __DIR__ . '/lib/PlayerController.php';
+    require_once __DIR__ . '/lib/ServerController.php';
+    require_once __DIR__ . '/dbconnect.php';
+
+    $auth = AuthController::checkAuth($conn);
+
+    if (!$auth['authenticated']) {
+        http_response_code(401);
+        header('Content-Type: application/json');
+        echo json_encode(['error' => 'Not authenticated']);
+        exit;
+    }
+
+    // Same roles that see the Players tab in the portal
+    if (!PlayerController::canManagePlayers($auth['user'])) {
+        http_response_code(403);
+        header('Content-Type: application/json');
+        echo json_encode(['error' => 'Forbidden']);
+        exit;
+    }
+
+    // Searches are limited to players seen on the servers we list
+    $ourServerIds = array_values(array_filter(array_map(
+        static fn($server) => trim((string)$server['battlemetrics_id']),
+        ServerController::getServers($conn)
+    ), static fn($id) => $id !== ''));
+
+    if ($playerSearch !== null && empty($ourServerIds)) {
+        http_response_code(200);
+        header('Content-Type: application/json');
+        echo json_encode(['data' => [], 'included' => []]);
+        exit;
+    }
+}
+
+// Batches are public, so they only cover the servers we list: arbitrary IDs
+// would spend the API key's rate limit on someone else's servers
+$isBatch = !empty($serverIds);
+$unlistedIds = [];
+
+if ($isBatch) {
+    require_once __DIR__ . '/lib/ServerController.php';
+    require_once __DIR__ . '/dbconnect.php';
+
+    $listedIds = array_map(
+        static fn($server) => trim((string)$server['battlemetrics_id']),
+        ServerController::getServers($conn)
+    );
+
+    $unlistedIds = array_values(array_diff($serverIds, $listedIds));
+    $serverIds = array_values(array_intersect($serverIds, $listedIds));
+}
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 4: EXECUTE CURL REQUEST
+// SECTION 4: BUILD API REQUEST
 // ─────────────────────────────────────────────────────────────────────────────────
 
-$ch = curl_init($apiUrl);
-curl_setopt($ch, CURLOPT_HTTPHEADER, [
-    "Authorization: Bearer {$apiKey}",
-    "Accept: application/json"
-]);
-curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
-curl_setopt($ch, CURLOPT_TIMEOUT, 12);
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │ BM API HANDLE - Authorized cURL Handle for a BattleMetrics URL          │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ * 
+ * @param string $apiUrl Full BattleMetrics API URL
+ * @param string $apiKey BattleMetrics API token
+ * @return CurlHandle|resource Configured (not yet executed) cURL handle
+ */
+function bm_api_handle(string $apiUrl, string $apiKey)
+{
+    $ch = curl_init($apiUrl);
+    curl_setopt($ch, CURLOPT_HTTPHEADER, [
+        "Authorization: Bearer {$apiKey}",
+        "Accept: application/json"
+    ]);
+    curl_setopt($ch, CURLOPT_RETURNTRANSFER, true);
+    curl_setopt($ch, CURLOPT_TIMEOUT, 12);
+
+    return $ch;
+}
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │ BM SERVER HANDLE - cURL Handle for One Server Lookup                    │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ * 
+ * Shared by single and batch mode so both send identical requests.
+ * 
+ * @param string $serverId BattleMetrics server ID
+ * @param string $apiKey BattleMetrics API token
+ * @return CurlHandle|resource Configured (not yet executed) cURL handle
+ */
+function bm_server_handle(string $serverId, string $apiKey)
+{
+    $apiUrl = sprintf(
+        'https://api.battlemetrics.com/servers/%s?include=player,serverSettings,conflict',
+        urlencode($serverId)
+    );
+
+    return bm_api_handle($apiUrl, $apiKey);
+}
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │ BM HISTORY HANDLE - cURL Handle for Player-Count History                │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ * 
+ * Requests the population time series ending now for one of BM_HISTORY_RANGES.
+ * 
+ * @param string $serverId BattleMetrics server ID
+ * @param string $range Key of BM_HISTORY_RANGES ('24h' or '7d')
+ * @param string $apiKey BattleMetrics API token
+ * @return CurlHandle|resource Configured (not yet executed) cURL handle
+ */
+function bm_history_handle(string $serverId, string $range, string $apiKey)
+{
+    [$window, $resolution] = BM_HISTORY_RANGES[$range];
+    $stop = time();
+
+    $apiUrl = sprintf(
+        'https://api.battlemetrics.com/servers/%s/player-count-history?%s',
+        urlencode($serverId),
+        http_build_query([
+            'start' => gmdate('Y-m-d\TH:i:s\Z', $stop - $window),
+            'stop' => gmdate('Y-m-d\TH:i:s\Z', $stop),
+            'resolution' => $resolution,
+        ])
+    );
+
+    return bm_api_handle($apiUrl, $apiKey);
+}
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │ BM PLAYER SEARCH HANDLE - cURL Handle for a Name Search                 │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ * 
+ * Matches current and past names of players seen on any of the given servers.
+ * 
+ * @param string $search Player name (or part of one)
+ * @param array $serverIds BattleMetrics IDs of our servers
+ * @param string $apiKey BattleMetrics API token
+ * @return CurlHandle|resource Configured (not yet executed) cURL handle
+ */
+function bm_player_search_handle(string $search, array $serverIds, string $apiKey)
+{
+    $apiUrl = 'https://api.battlemetrics.com/players?' . http_build_query([
+        'filter' => [
+            'search' => $search,
+            'servers' => implode(',', $serverIds),
+        ],
+        'page' => ['size' => BM_PLAYER_PAGE_SIZE],
+        'include' => 'server',
+    ]);
+
+    return bm_api_handle($apiUrl, $apiKey);
+}
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │ BM PLAYER HANDLE - cURL Handle for One Player Profile                   │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ * 
+ * @param string $playerId BattleMetrics player ID
+ * @param string $apiKey BattleMetrics API token
+ * @return CurlHandle|resource Configured (not yet executed) cURL handle
+ */
+function bm_player_handle(string $playerId, string $apiKey)
+{
+    $apiUrl = sprintf(
+        'https://api.battlemetrics.com/players/%s?include=server',
+        urlencode($playerId)
+    );
+
+    return bm_api_handle($apiUrl, $apiKey);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: BATCH MODE (serverIds)
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($isBatch) {
+    // Run all lookups in parallel so the batch costs roughly one round trip
+    $multi = curl_multi_init();
+    $handles = [];
+
+    foreach ($serverIds as $id) {
+        $handles[$id] = bm_server_handle($id, $apiKey);
+        curl_multi_add_handle($multi, $handles[$id]);
+    }
+
+    do {
+        $status = curl_multi_exec($multi, $active);
+        if ($active) {
+            curl_multi_select($multi);
+        }
+    } while ($active && $status === CURLM_OK);
+
+    $results = [];
+
+    foreach ($handles as $id => $ch) {
+        $body = curl_multi_getcontent($ch);
+        $code = (int)curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        $payload = is_string($body) && $body !== '' ? json_decode($body, true) : null;
+
+        if ($code >= 200 && $code < 300 && is_array($payload)) {
+            $results[$id] = ['status' => $code, 'payload' => $payload];
+        } else {
+            // Keep upstream details server-side; the client only needs the status
+            $results[$id] = [
+                'status' => $code > 0 ? $code : 502,
+                'error' => 'BattleMetrics request failed',
+            ];
+        }
+
+        curl_multi_remove_handle($multi, $ch);
+        curl_close($ch);
+    }
+
+    curl_multi_close($multi);
+
+    foreach ($unlistedIds as $id) {
+        $results[$id] = ['status' => 404, 'error' => 'Not one of our servers'];
+    }
+
+    http_response_code(200);
+    header('Content-Type: application/json');
+    // Cast keeps numeric IDs as object keys even if they happen to be sequential
+    echo json_encode(['servers' => (object)$results], JSON_UNESCAPED_SLASHES);
+    exit;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: SINGLE-REQUEST MODE (serverId with optional history, or a player lookup)
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($playerSearch !== null) {
+    $ch = bm_player_search_handle($playerSearch, $ourServerIds, $apiKey);
+} elseif ($playerId !== null) {
+    $ch = bm_player_handle($playerId, $apiKey);
+} elseif ($historyRange !== null) {
+    $ch = bm_history_handle($serverId, $historyRange, $apiKey);
+} else {
+    $ch = bm_server_handle($serverId, $apiKey);
+}
 
 $response = curl_exec($ch);
 $httpCode = curl_getinfo($ch, CURLINFO_HTTP_CODE);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 5: HANDLE ERRORS
+// SECTION 7: HANDLE ERRORS
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($response === false) {
@@ -98,7 +419,7 @@ if ($response === false) {
 curl_close($ch);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 6: RETURN RESPONSE
+// SECTION 8: RETURN RESPONSE
 // ─────────────────────────────────────────────────────────────────────────────────
 
 http_response_code($httpCode);
@@ -106,4 +427,3 @@ header('Content-Type: application/json');
 echo $response;
 
 ?>
-
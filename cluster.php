@@ -18,6 +18,10 @@
  * - Creates/updates servers.json file in same directory
  * - Outputs JSON array to browser
  * 
+ * Each entry carries its BattleMetrics "id" and a "fetchedAt" timestamp.
+ * Servers that fail to fetch keep their previous entry, so the file always
+ * holds the last known state (read by getServerSnapshot.php).
+ * 
  * ═════════════════════════════════════════════════════════════════════════════════
  */
 
@@ -35,6 +39,19 @@ $serverIds = ["36304076", "35428051", "35427848", "35428050", "35427845", "36208
 // SECTION 2: FETCH SERVER DATA
 // ─────────────────────────────────────────────────────────────────────────────────
 
+// Previous snapshot, keyed by ID, for servers that fail this run
+$previous = [];
+$filePath = __DIR__ . "/servers.json";
+
+if (is_readable($filePath)) {
+    $existing = json_decode((string)file_get_contents($filePath), true);
+    foreach (is_array($existing) ? $existing : [] as $entry) {
+        if (isset($entry["id"])) {
+            $previous[(string)$entry["id"]] = $entry;
+        }
+    }
+}
+
 $clusterData = [];
 
 foreach ($serverIds as $id) {
@@ -48,19 +65,24 @@ foreach ($serverIds as $id) {
     $context = stream_context_create($opts);
     $result = @file_get_contents($url, false, $context);
 
-    if ($result) {
-        $json = json_decode($result, true);
+    $json = $result ? json_decode($result, true) : null;
+
+    if (isset($json["data"]["attributes"])) {
         $srv = $json["data"]["attributes"];
 
         $clusterData[] = [
+            "id" => $id,
             "name" => $srv["name"],
             "players" => $srv["players"],
             "maxPlayers" => $srv["maxPlayers"],
             "status" => $srv["status"],
             "map" => $srv["details"]["map"],
             "ip" => $srv["ip"],
-            "port" => $srv["port"]
+            "port" => $srv["port"],
+            "fetchedAt" => date(DATE_ATOM)
         ];
+    } elseif (isset($previous[$id])) {
+        $clusterData[] = $previous[$id];
     }
 }
 
@@ -69,7 +91,6 @@ foreach ($serverIds as $id) {
 // ─────────────────────────────────────────────────────────────────────────────────
 
 // Save JSON file locally (same folder as this script)
-$filePath = __DIR__ . "/servers.json";
 file_put_contents($filePath, json_encode($clusterData, JSON_PRETTY_PRINT));
 
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -8,6 +8,7 @@
  * ───────
  * Soft-deactivates a user (marks as inactive, doesn't remove from database).
  * User can no longer log in or access portal.
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
  * 
  * REQUEST
  * ───────
@@ -22,6 +23,7 @@
  * 
  * RESPONSE (ERROR)
  * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
  * HTTP 422 Unprocessable Entity
  * { "success": false, "message": "Invalid user ID." }
  * 
@@ -34,18 +36,27 @@ declare(strict_types=1);
 // SECTION 1: LOAD DEPENDENCIES
 // ─────────────────────────────────────────────────────────────────────────────────
 
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
 require_once __DIR__ . '/lib/UserController.php';
 require_once __DIR__ . '/lib/ApiResponse.php';
 require_once __DIR__ . '/dbconnect.php';
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 2: VALIDATE HTTP METHOD
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     ApiResponse::methodNotAllowed();
 }
 
+$auth = AuthController::checkAuth($conn);
+
+// Locks portal accounts, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // SECTION 3: PARSE AND VALIDATE INPUT
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -61,10 +72,30 @@ if ($userId <= 0) {
 // SECTION 4: CALL CONTROLLER
 // ─────────────────────────────────────────────────────────────────────────────────
 
+// Capture the row as it was, for the audit log
+$before = AuditLogController::snapshot($conn, 'users', 'id', $userId);
+
 $result = UserController::deactivateUser($userId, $conn);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 5: RETURN RESPONSE
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        'user.deactivate',
+        'user',
+        $userId,
+        'Deactivated user ' . ($before['name'] ?? "#{$userId}"),
+        $before,
+        AuditLogController::snapshot($conn, 'users', 'id', $userId)
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($result['success']) {
@@ -6,8 +6,11 @@
  * 
  * PURPOSE
  * ───────
- * Soft-deletes an announcement (marks as inactive, doesn't remove from database).
- * Also auto-sets ends_at to NOW() if not already set (graceful end).
+ * Soft-deletes an announcement: sets deleted_at, so it disappears from the site
+ * and the portal but stays in the database for the audit log. Unlike
+ * toggleAnnouncement.php, it can't be undone from the portal. Also sets ends_at to now (in the announcement's timezone) if not already set
+ * (graceful end).
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
  * 
  * REQUEST
  * ───────
@@ -22,9 +25,13 @@
  * 
  * RESPONSE (ERROR)
  * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
  * HTTP 422 Unprocessable Entity
  * { "success": false, "message": "Invalid announcement ID." }
  * 
+ * HTTP 404 Not Found
+ * { "success": false, "message": "Announcement not found." }
+ * 
  * ═════════════════════════════════════════════════════════════════════════════════
  */
 
@@ -34,18 +41,27 @@ declare(strict_types=1);
 // SECTION 1: LOAD DEPENDENCIES
 // ─────────────────────────────────────────────────────────────────────────────────
 
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
 require_once __DIR__ . '/lib/AnnouncementController.php';
 require_once __DIR__ . '/lib/ApiResponse.php';
 require_once __DIR__ . '/dbconnect.php';
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 2: VALIDATE HTTP METHOD
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     ApiResponse::methodNotAllowed();
 }
 
+$auth = AuthController::checkAuth($conn);
+
+// Removes site-wide notices, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // SECTION 3: PARSE AND VALIDATE INPUT
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -61,16 +77,36 @@ if ($announcementId <= 0) {
 // SECTION 4: CALL CONTROLLER
 // ─────────────────────────────────────────────────────────────────────────────────
 
+// Capture the row as it was, for the audit log
+$before = AuditLogController::snapshot($conn, 'announcements', 'id', $announcementId);
+
 $result = AnnouncementController::deleteAnnouncement($announcementId, $conn);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 5: RETURN RESPONSE
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        'announcement.delete',
+        'announcement',
+        $announcementId,
+        "Deleted announcement #{$announcementId}",
+        $before,
+        AuditLogController::snapshot($conn, 'announcements', 'id', $announcementId)
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($result['success']) {
     ApiResponse::success();
 } else {
-    ApiResponse::error($result['message'], 500);
+    ApiResponse::error($result['message'], $result['code'] ?? 500);
 }
 
 ?>
@@ -0,0 +1,91 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * deletePlayerNote.php - Player Note Delete Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Permanently removes a staff note. Authors can delete their own notes;
+ * owners can delete anyone's.
+ * Called by: portal.html (Players tab profile)
+ * 
+ * REQUEST
+ * ───────
+ * POST /deletePlayerNote.php
+ * Content-Type: application/json
+ * Body: { "id": 4 }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * { "success": true, "data": {} }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 403 Forbidden (staff accounts, or an admin deleting someone else's note)
+ * HTTP 404 Not Found
+ * { "success": false, "message": "Note not found." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/PlayerController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// Same roles that see the Players tab in the portal (staff don't)
+if (!PlayerController::canManagePlayers($auth['user'])) {
+    ApiResponse::forbidden();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE AND VALIDATE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$noteId = isset($input['id']) ? (int)$input['id'] : 0;
+
+if ($noteId <= 0) {
+    ApiResponse::validationError('Invalid note ID.');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$result = PlayerController::deleteNote($noteId, $auth['user'], $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success();
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 500);
+}
+
+?>
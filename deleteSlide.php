@@ -0,0 +1,106 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * deleteSlide.php - Slide Delete Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Permanently removes a homepage slide. To hide a slide but keep it,
+ * save it with "active": false instead.
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
+ * 
+ * REQUEST
+ * ───────
+ * POST /deleteSlide.php
+ * Content-Type: application/json
+ * Body: { "id": 3 }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * { "success": true, "data": {} }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "Invalid slide ID." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
+require_once __DIR__ . '/lib/SlideController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+// Changes the public homepage slideshow, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE AND VALIDATE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$slideId = isset($input['id']) ? (int)$input['id'] : 0;
+
+if ($slideId <= 0) {
+    ApiResponse::validationError('Invalid slide ID.');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Capture the row as it was, for the audit log (slides are removed outright)
+$before = AuditLogController::snapshot($conn, 'slides', 'id', $slideId);
+
+$result = SlideController::deleteSlide($slideId, $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        'slide.delete',
+        'slide',
+        $slideId,
+        'Deleted slide ' . ($before['title'] ?? "#{$slideId}"),
+        $before
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success();
+} else {
+    ApiResponse::error($result['message'], 500);
+}
+
+?>
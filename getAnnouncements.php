@@ -11,14 +11,16 @@
  * 
  * REQUEST
  * ───────
- * GET /getAnnouncements.php?serverId=1&battlemetricsId=123456&active=1
+ * GET /getAnnouncements.php?serverId=1&battlemetricsId=123456&active=1&upcoming=1
  * (All parameters optional)
  * 
  * QUERY PARAMETERS
  * ────────────────
  * - serverId: Filter by server ID (+ global announcements)
  * - battlemetricsId: Filter by BattleMetrics ID (+ global announcements)
- * - active: 1 = only currently active announcements
+ * - active: 1 = only announcements live right now (window + recurrence)
+ * - upcoming: 1 = with active=1, also those that start later (not yet ended);
+ *   the public site decides when each one shows (js/schedule.js)
  * 
  * RESPONSE (SUCCESS)
  * ──────────────────
@@ -30,6 +32,11 @@
  *     "severity": "warning",
  *     "starts_at": "2024-01-15 20:00:00",
  *     "ends_at": "2024-01-15 23:00:00",
+ *     "recurrence_type": "none",
+ *     "recurrence_days": null,
+ *     "recurrence_interval": null,
+ *     "recurrence_duration": null,
+ *     "timezone": "Europe/London",
  *     "server_id": 1,
  *     "server_name": "US Server 1",
  *     "battlemetrics_id": "123456"
@@ -75,6 +82,10 @@ if (isset($_GET['active'])) {
     $filters['activeOnly'] = (int)$_GET['active'];
 }
 
+if (isset($_GET['upcoming'])) {
+    $filters['includeUpcoming'] = (int)$_GET['upcoming'] === 1;
+}
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // SECTION 4: CALL CONTROLLER
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,111 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * getAuditLog.php - Admin Audit Log Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Lists audit log entries (who added, edited, reordered or removed servers,
+ * users, announcements and slides), newest first, with optional filters.
+ * Called by: portal.html (Logs tab)
+ *
+ * REQUEST
+ * ───────
+ * GET /getAuditLog.php?actor=admin&action=server.delete&from=2026-09-30T22:00:00Z&to=2026-10-19T22:00:00Z&limit=50&offset=0
+ * (every parameter is optional; from/to are ISO 8601 instants with an offset,
+ * from inclusive and to exclusive, so the portal can send the viewer's days)
+ *
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "entries": [
+ *       { "id": 7, "action": "server.delete", "target_type": "server", "target_id": "3",
+ *         "summary": "Deleted server US Rust Server", "actor_id": 1, "actor_name": "admin",
+ *         "ip_address": "203.0.113.5", "created_at": "2026-10-19T14:02:11Z",
+ *         "before": { "is_active": 1, ... }, "after": { "is_active": 0, ... } }
+ *     ],
+ *     "total": 1,
+ *     "actors": ["admin"],
+ *     "actions": { "server.create": "Server added", ... }
+ *   }
+ * }
+ *
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 403 Forbidden (staff accounts)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "Dates must be ISO 8601 date-times with a UTC offset." }
+ *
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// Same roles that see the Logs tab in the portal (staff don't)
+if (!AuditLogController::canViewLogs($auth['user'])) {
+    ApiResponse::forbidden();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$filters = [
+    'actor' => isset($_GET['actor']) ? (string)$_GET['actor'] : '',
+    'action' => isset($_GET['action']) ? (string)$_GET['action'] : '',
+    'from' => isset($_GET['from']) ? (string)$_GET['from'] : '',
+    'to' => isset($_GET['to']) ? (string)$_GET['to'] : '',
+    'limit' => isset($_GET['limit']) ? (int)$_GET['limit'] : 50,
+    'offset' => isset($_GET['offset']) ? (int)$_GET['offset'] : 0,
+];
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$result = AuditLogController::getLogs($conn, $filters);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success([
+        'entries' => $result['entries'],
+        'total' => $result['total'],
+        'actors' => $result['actors'],
+        'actions' => $result['actions'],
+    ]);
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 400);
+}
+
+?>
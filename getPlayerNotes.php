@@ -0,0 +1,89 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * getPlayerNotes.php - Player Notes Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Returns the staff notes and watchlist entry for one player.
+ * Called by: portal.html (Players tab profile)
+ * 
+ * REQUEST
+ * ───────
+ * GET /getPlayerNotes.php?playerId=987654
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "notes": [
+ *       { "id": 4, "player_id": "987654", "player_name": "Eve", "note": "Warned for spawn camping",
+ *         "author_id": 1, "author_name": "admin", "created_at": "2024-01-15 20:00:00" }
+ *     ],
+ *     "watchlist": { "player_id": "987654", "reason": "Repeat reports", "added_by_name": "admin", ... } | null
+ *   }
+ * }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 403 Forbidden (staff accounts)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "Invalid player ID." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/PlayerController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// Same roles that see the Players tab in the portal (staff don't)
+if (!PlayerController::canManagePlayers($auth['user'])) {
+    ApiResponse::forbidden();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$result = PlayerController::getPlayerRecord((string)($_GET['playerId'] ?? ''), $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success([
+        'notes' => $result['notes'],
+        'watchlist' => $result['watchlist']
+    ]);
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 422);
+}
+
+?>
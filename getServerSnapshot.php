@@ -0,0 +1,86 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * getServerSnapshot.php - Last-Known Server Snapshot Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Serves the servers.json snapshot written by cluster.php.
+ * .htaccess denies direct access to *.json files, so clients read it here.
+ * Called by: js/battlemetrics.js (fallback when the live proxy call fails)
+ * 
+ * REQUEST
+ * ───────
+ * GET /getServerSnapshot.php
+ * (No parameters required)
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * [
+ *   {
+ *     "id": "36304076",
+ *     "name": "US Server 1",
+ *     "players": 42,
+ *     "maxPlayers": 100,
+ *     "status": "online",
+ *     "map": "Everon",
+ *     "ip": "1.2.3.4",
+ *     "port": 2302,
+ *     "fetchedAt": "2024-01-15T10:30:45+00:00"
+ *   },
+ *   ...
+ * ]
+ * 
+ * NOTE: Returns an empty array when no snapshot has been written yet.
+ * Entries from older snapshots without "fetchedAt" use the file's mtime.
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: RESPONSE CONFIGURATION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+header('Content-Type: application/json; charset=utf-8');
+header('Cache-Control: no-store');
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: READ SNAPSHOT FILE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$filePath = __DIR__ . '/servers.json';
+$snapshot = [];
+
+if (is_readable($filePath)) {
+    $decoded = json_decode((string)file_get_contents($filePath), true);
+    $snapshot = is_array($decoded) ? $decoded : [];
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: NORMALIZE ENTRIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$fileTime = is_file($filePath) ? date(DATE_ATOM, (int)filemtime($filePath)) : null;
+
+$servers = [];
+
+foreach ($snapshot as $entry) {
+    if (!is_array($entry)) {
+        continue;
+    }
+
+    $entry['fetchedAt'] = $entry['fetchedAt'] ?? $fileTime;
+    $servers[] = $entry;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+echo json_encode($servers);
+
+?>
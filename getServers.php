@@ -8,6 +8,7 @@
  * ───────
  * Returns a list of all ACTIVE servers from the database.
  * Called by: portal.html (to populate server list on admin portal)
+ *            index.html (public "Our Servers" grid via js/main.js)
  * 
  * REQUEST
  * ───────
@@ -23,7 +24,9 @@
  *     "battlemetrics_id": "123456",
  *     "display_name": "US Server 1",
  *     "game_title": "Rust",
- *     "region": "us-east-1"
+ *     "region": "us-east-1",
+ *     "is_active": 1,
+ *     "sort_order": 0
  *   },
  *   ...
  * ]
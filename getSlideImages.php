@@ -0,0 +1,67 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * getSlideImages.php - Uploaded Slide Images Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Lists images previously uploaded through uploadSlideImage.php so the
+ * portal can offer them as a thumbnail gallery.
+ * Called by: portal.html (Manage Slideshow modal)
+ * 
+ * REQUEST
+ * ───────
+ * GET /getSlideImages.php
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "images": [
+ *       { "url": "assets/slides/slide-...jpg", "name": "slide-...jpg", "size": 284311, "modified": 1705348800 }
+ *     ]
+ *   }
+ * }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/SlideController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    ApiResponse::methodNotAllowed();
+}
+
+if (!AuthController::checkAuth($conn)['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: FETCH AND RETURN IMAGES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+ApiResponse::success([
+    'images' => SlideController::listImages()
+]);
+
+?>
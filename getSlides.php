@@ -0,0 +1,69 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * getSlides.php - Slideshow Retrieval Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Returns homepage slides in display order.
+ * Called by: js/main.js (homepage slideshow), portal.html (slide management)
+ * 
+ * REQUEST
+ * ───────
+ * GET /getSlides.php          (active slides only)
+ * GET /getSlides.php?all=1    (include hidden slides, for the portal)
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "slides": [
+ *       {
+ *         "id": 1,
+ *         "title": "Welcome to OPR Fargo",
+ *         "description": "Tactical Military Simulation Server",
+ *         "image_url": "assets/slides/welcome.jpg",
+ *         "link_url": null,
+ *         "sort_order": 1,
+ *         "is_active": 1
+ *       },
+ *       ...
+ *     ]
+ *   }
+ * }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/SlideController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    ApiResponse::methodNotAllowed();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: FETCH AND RETURN SLIDES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$activeOnly = !(isset($_GET['all']) && (int)$_GET['all'] === 1);
+
+ApiResponse::success([
+    'slides' => SlideController::getSlides($conn, $activeOnly)
+]);
+
+?>
@@ -0,0 +1,76 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * getWatchlist.php - Player Watchlist Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Lists every watched player. The portal uses it for the Players tab and to
+ * highlight watched players in the server cards' player lists.
+ * Called by: portal.html (Players tab, Our Servers cards)
+ * 
+ * REQUEST
+ * ───────
+ * GET /getWatchlist.php
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "players": [
+ *       { "player_id": "987654", "player_name": "Eve", "reason": "Repeat reports",
+ *         "added_by_id": 1, "added_by_name": "admin", "created_at": "...", "updated_at": "..." }
+ *     ]
+ *   }
+ * }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 403 Forbidden (staff accounts)
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/PlayerController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// Same roles that see the Players tab in the portal (staff don't)
+if (!PlayerController::canManagePlayers($auth['user'])) {
+    ApiResponse::forbidden();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: FETCH AND RETURN WATCHLIST
+// ─────────────────────────────────────────────────────────────────────────────────
+
+ApiResponse::success([
+    'players' => PlayerController::getWatchlist($conn)
+]);
+
+?>
@@ -0,0 +1,38 @@
+// Announcement markup, shared by the public banner (js/main.js) and the portal
+// preview (js/portal.js) so staff see exactly what players see. Messages go
+// through js/markdown.js (load it first), which escapes everything it doesn't
+// format.
+(() => {
+    const SEVERITY_ICONS = {
+        info: 'fa-circle-info',
+        success: 'fa-circle-check',
+        warning: 'fa-triangle-exclamation',
+        error: 'fa-circle-exclamation'
+    };
+
+    // Unknown severities (legacy rows, a half-filled form) render as info
+    function severityOf(value) {
+        return SEVERITY_ICONS[value] ? value : 'info';
+    }
+
+    // Options:
+    // - dismissible: add the dismiss button (data-announcement-id = announcement.id)
+    // - announce: give the notice a status/alert role for screen readers
+    function render(announcement, options = {}) {
+        const severity = severityOf(announcement.severity);
+        const role = options.announce ? ` role="${severity === 'error' ? 'alert' : 'status'}"` : '';
+        const dismiss = options.dismissible ? `
+                <button type="button" class="announcement-dismiss" data-announcement-id="${Markdown.escapeHtml(announcement.id)}" aria-label="Dismiss announcement">
+                    <i class="fas fa-times" aria-hidden="true"></i>
+                </button>` : '';
+
+        return `
+            <div class="announcement announcement-${severity}"${role}>
+                <i class="fas ${SEVERITY_ICONS[severity]} announcement-icon" aria-hidden="true"></i>
+                <div class="announcement-message">${Markdown.render(announcement.message || '')}</div>${dismiss}
+            </div>
+        `;
+    }
+
+    window.AnnouncementView = { SEVERITY_ICONS, severityOf, render };
+})();
@@ -1,6 +1,72 @@
 (() => {
     const STATUS_ONLINE = 'online';
+
+    // Card states: BattleMetrics statuses plus the ones we derive from failed requests
+    const SERVER_STATES = {
+        online: 'Online',
+        offline: 'Offline',
+        dead: 'Dead',
+        starting: 'Starting',
+        unknown: 'Status Unknown',
+        'rate-limited': 'Rate Limited'
+    };
     const API_PROXY_URL = 'battlemetrics.php';
+    const SNAPSHOT_URL = 'getServerSnapshot.php';
+    const SNAPSHOT_TTL = 60 * 1000;
+    const DEFAULT_POLL_INTERVAL = 60 * 1000;
+    const MIN_POLL_INTERVAL = 10 * 1000;
+    const MAX_POLL_BACKOFF = 15 * 60 * 1000;
+    const CACHE_TTL = 30 * 1000;
+    const CACHE_STORAGE_PREFIX = 'bm-cache:';
+    const HISTORY_TTL = 5 * 60 * 1000;
+    const HISTORY_RANGES = ['24h', '7d'];
+    const SPARKLINE_WIDTH = 300;
+    const SPARKLINE_HEIGHT = 60;
+
+    // Sort keys offered by the toolbar; 'default' keeps the configured order
+    const SORT_OPTIONS = {
+        default: 'Default order',
+        population: 'Population',
+        name: 'Name',
+        region: 'Region',
+        status: 'Status'
+    };
+    const STATUS_SORT_ORDER = ['online', 'starting', 'offline', 'rate-limited', 'unknown', 'dead'];
+
+    // Join instructions per platform; {name} and {address} are filled per card
+    const PLATFORMS = {
+        pc: {
+            label: 'PC',
+            steps: [
+                'Launch the game and open Multiplayer.',
+                'Search the server browser for "{name}", or use Direct Join with {address}.'
+            ]
+        },
+        xbox: {
+            label: 'Xbox',
+            steps: [
+                'Launch the game on your Xbox and open Multiplayer.',
+                'Search the server browser for "{name}", or choose Direct Join and enter {address}.',
+                'Scan the QR code with your phone to keep the address handy.'
+            ]
+        },
+        playstation: {
+            label: 'PlayStation',
+            steps: [
+                'Launch the game on your PlayStation and open Multiplayer.',
+                'Search the server browser for "{name}", or choose Direct Join and enter {address}.',
+                'Scan the QR code with your phone to keep the address handy.'
+            ]
+        }
+    };
+
+    // BattleMetrics game IDs whose Steam client accepts steam://connect/<ip:port>
+    const STEAM_CONNECT_GAMES = new Set(['rust', 'ark', 'arma3', 'dayz', 'squad', 'gmod', 'csgo', 'cs2', 'tf2', 'unturned']);
+
+    const pollers = new WeakMap();
+    const toolbars = new WeakMap();
+    // Latest renderCards call per container; an older call still hydrating must not take over
+    const renders = new WeakMap();
 
     function escapeHtml(value = '') {
         return String(value)
@@ -17,6 +83,10 @@
         card.className = 'server-card';
         card.dataset.serverId = server.id ?? '';
         card.dataset.battlemetricsId = server.battlemetricsId ?? '';
+        card.dataset.historyRange = HISTORY_RANGES[0];
+        card.dataset.name = name;
+        card.dataset.region = server.region || '';
+        card.dataset.gameMode = server.gameTitle || '';
 
         const subtitle = server.gameTitle || server.region ? `
             <p class="server-card-subtitle">
@@ -34,12 +104,17 @@
                     <h2 class="server-card-title">${escapeHtml(name)}</h2>
                     ${subtitle}
                 </div>
-                <div class="status-indicator" data-role="status">
-                    <span class="status-dot" data-role="status-dot"></span>
-                    <span class="status-text" data-role="status-text">Loading...</span>
+                <div class="server-card-badges">
+                    <div class="status-indicator" data-role="status">
+                        <span class="status-dot" data-role="status-dot"></span>
+                        <span class="status-text" data-role="status-text">Loading...</span>
+                    </div>
+                    <span class="snapshot-badge" data-role="snapshot-badge" hidden></span>
                 </div>
             </div>
 
+            <div class="server-card-announcements" data-role="announcements"></div>
+
             <div class="server-card-content">
                 <div class="players-pair">
                     <div class="info-card square-card">
@@ -74,14 +149,50 @@
                     </div>
                 </div>
 
+                <div class="server-history" data-role="history">
+                    <div class="history-header">
+                        <h3>Population History</h3>
+                        <div class="history-ranges" role="group" aria-label="History range">
+                            ${HISTORY_RANGES.map((range, index) => `
+                                <button type="button" class="history-range${index === 0 ? ' active' : ''}" data-range="${range}" aria-pressed="${index === 0}">${range}</button>
+                            `).join('')}
+                        </div>
+                    </div>
+                    <div class="history-chart" data-role="history-chart">
+                        <span class="history-empty">Loading...</span>
+                    </div>
+                    <div class="history-tooltip" data-role="history-tooltip" hidden></div>
+                    <div class="history-summary" data-role="history-summary"></div>
+                </div>
+
                 <div class="server-connect-section">
                     <div class="server-ip-display">
                         <span>Server IP:</span>
                         <span class="ip-address" data-role="ip-address">Loading...</span>
                         <button class="copy-btn" type="button" data-role="copy-btn">Copy</button>
                     </div>
+                    <div class="connect-platforms" role="group" aria-label="Your platform">
+                        ${Object.entries(PLATFORMS).map(([key, platform]) => `
+                            <button type="button" class="connect-platform" data-platform="${key}" aria-pressed="false">${platform.label}</button>
+                        `).join('')}
+                    </div>
+                    <ol class="connect-steps" data-role="connect-steps"></ol>
+                    <div class="connect-actions">
+                        <a class="connect-steam" data-role="steam-link" href="#" hidden>Join via Steam</a>
+                        <button type="button" class="connect-qr-toggle" data-role="qr-toggle" aria-expanded="false">Show QR code</button>
+                    </div>
+                    <div class="connect-qr" data-role="qr" hidden></div>
                 </div>
 
+                <details class="server-players" data-role="players-panel">
+                    <summary>
+                        <span>Players Online</span>
+                        <span class="players-count" data-role="players-count">-</span>
+                    </summary>
+                    <input type="search" class="players-search" data-role="players-search" placeholder="Search players..." aria-label="Search players on this server">
+                    <ul class="player-list" data-role="players"></ul>
+                </details>
+
                 <div class="server-mods">
                     <h3>Server Mods</h3>
                     <div class="mods-list" data-role="mods"></div>
@@ -99,40 +210,388 @@
             copyBtn.addEventListener('click', () => copyIpToClipboard(card));
         }
 
+        card.querySelectorAll('.connect-platform').forEach(button => {
+            button.addEventListener('click', () => selectPlatform(card, button.dataset.platform));
+        });
+
+        const qrToggle = card.querySelector('[data-role="qr-toggle"]');
+        if (qrToggle) {
+            qrToggle.hidden = !window.QRCode;
+            qrToggle.addEventListener('click', () => toggleQrCode(card));
+        }
+
+        selectPlatform(card, detectPlatform());
+
+        const playerSearch = card.querySelector('[data-role="players-search"]');
+        if (playerSearch) {
+            playerSearch.addEventListener('input', () => filterPlayers(card));
+        }
+
+        card.querySelectorAll('.history-range').forEach(button => {
+            button.addEventListener('click', () => selectHistoryRange(card, server, button.dataset.range));
+        });
+
         return card;
     }
 
-    async function hydrateCard(card, server) {
-        const battlemetricsId = server.battlemetricsId;
-        if (!battlemetricsId) {
-            displayError(card, 'Missing BattleMetrics ID');
-            return;
+    function httpError(status) {
+        const error = new Error(`HTTP ${status}`);
+        error.status = status;
+        return error;
+    }
+
+    async function requestServer(battlemetricsId) {
+        const response = await fetch(`${API_PROXY_URL}?serverId=${encodeURIComponent(battlemetricsId)}`, {
+            method: 'GET',
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw httpError(response.status);
+        }
+
+        return response.json();
+    }
+
+    async function requestServers(battlemetricsIds) {
+        const query = battlemetricsIds.map(encodeURIComponent).join(',');
+        const response = await fetch(`${API_PROXY_URL}?serverIds=${query}`, {
+            method: 'GET',
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!data || typeof data.servers !== 'object' || data.servers === null) {
+            throw new Error('Malformed batch response');
+        }
+
+        return data.servers;
+    }
+
+    async function requestHistory(battlemetricsId, range) {
+        const query = `serverId=${encodeURIComponent(battlemetricsId)}&history=${encodeURIComponent(range)}`;
+        const response = await fetch(`${API_PROXY_URL}?${query}`, {
+            method: 'GET',
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' }
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        return extractHistory(await response.json());
+    }
+
+    function readStoredEntry(key) {
+        try {
+            const raw = window.sessionStorage.getItem(CACHE_STORAGE_PREFIX + key);
+            const entry = raw ? JSON.parse(raw) : null;
+            return entry && entry.data && Number.isFinite(entry.fetchedAt) ? entry : null;
+        } catch {
+            return null;
         }
+    }
 
+    function writeStoredEntry(key, entry) {
         try {
-            const response = await fetch(`${API_PROXY_URL}?serverId=${encodeURIComponent(battlemetricsId)}`, {
-                method: 'GET',
-                credentials: 'same-origin',
-                headers: { 'Accept': 'application/json' }
+            window.sessionStorage.setItem(CACHE_STORAGE_PREFIX + key, JSON.stringify(entry));
+        } catch {
+            // Storage full or disabled; the in-memory copy still works
+        }
+    }
+
+    // BattleMetrics player ID -> { name, reason }. Only the portal fills it
+    // (see setWatchlist), so public cards never mark anyone.
+    const watchlist = new Map();
+
+    // Shared by every grid on the page, and persisted per tab so a reload
+    // within the TTL paints instantly before revalidating.
+    const ServerCache = {
+        ttl: CACHE_TTL,
+        entries: new Map(),
+        inflight: new Map(),
+
+        get(battlemetricsId) {
+            const key = String(battlemetricsId);
+            if (!this.entries.has(key)) {
+                const stored = readStoredEntry(key);
+                if (stored) {
+                    this.entries.set(key, stored);
+                }
+            }
+            return this.entries.get(key) || null;
+        },
+
+        isFresh(entry) {
+            return Boolean(entry) && Date.now() - entry.fetchedAt < this.ttl;
+        },
+
+        set(battlemetricsId, data) {
+            const key = String(battlemetricsId);
+            const entry = { data, fetchedAt: Date.now() };
+            this.entries.set(key, entry);
+            writeStoredEntry(key, entry);
+            return entry;
+        },
+
+        // Concurrent callers for the same ID share a single request
+        load(battlemetricsId) {
+            const key = String(battlemetricsId);
+            if (this.inflight.has(key)) {
+                return this.inflight.get(key);
+            }
+
+            return this.track(key, requestServer(key));
+        },
+
+        // Fetches several IDs through one batch call. Each ID gets its own
+        // in-flight promise, so hydrateCard picks the result up via load().
+        // If the batch call itself fails, every ID falls back to its own request.
+        loadMany(battlemetricsIds) {
+            const keys = [...new Set(battlemetricsIds.map(String))]
+                .filter(key => key && !this.inflight.has(key));
+
+            if (keys.length < 2) {
+                keys.forEach(key => this.load(key));
+                return;
+            }
+
+            const batch = requestServers(keys);
+            batch.catch(error => {
+                console.warn('Batch request failed, falling back to per-server requests:', error);
+            });
+
+            keys.forEach(key => {
+                const request = batch.then(results => {
+                    const result = results[key];
+                    if (!result || !result.payload) {
+                        throw result ? httpError(result.status) : new Error('Missing from batch');
+                    }
+                    return result.payload;
+                }, () => requestServer(key));
+
+                this.track(key, request);
             });
+        },
+
+        track(key, request) {
+            const tracked = request
+                .then(data => {
+                    this.set(key, data);
+                    return data;
+                })
+                .finally(() => {
+                    this.inflight.delete(key);
+                });
+
+            // Callers normally await this; avoid unhandled rejections when nobody does
+            tracked.catch(() => {});
+
+            this.inflight.set(key, tracked);
+            return tracked;
+        },
+
+        clear() {
+            this.entries.forEach((entry, key) => {
+                try {
+                    window.sessionStorage.removeItem(CACHE_STORAGE_PREFIX + key);
+                } catch {
+                    // Ignore storage errors
+                }
+            });
+            this.entries.clear();
+        }
+    };
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
+    // History moves slowly, so it is kept in memory for a few minutes and
+    // polling only refetches it once that has aged out.
+    const HistoryCache = {
+        ttl: HISTORY_TTL,
+        entries: new Map(),
+        inflight: new Map(),
+
+        load(battlemetricsId, range) {
+            const key = `${battlemetricsId}:${range}`;
+            const cached = this.entries.get(key);
+            if (cached && Date.now() - cached.fetchedAt < this.ttl) {
+                return Promise.resolve(cached.points);
+            }
+
+            if (this.inflight.has(key)) {
+                return this.inflight.get(key);
+            }
+
+            const request = requestHistory(battlemetricsId, range)
+                .then(points => {
+                    this.entries.set(key, { points, fetchedAt: Date.now() });
+                    return points;
+                })
+                .finally(() => {
+                    this.inflight.delete(key);
+                });
+
+            this.inflight.set(key, request);
+            return request;
+        },
+
+        clear() {
+            this.entries.clear();
+        }
+    };
+
+    // Last-known values written by cluster.php, used when the live proxy fails.
+    // Fetched at most once per SNAPSHOT_TTL no matter how many cards need it.
+    const SnapshotCache = {
+        ttl: SNAPSHOT_TTL,
+        servers: null,
+        fetchedAt: 0,
+        inflight: null,
+
+        async find(battlemetricsId) {
+            const servers = await this.load();
+            return servers.find(entry => String(entry?.id) === String(battlemetricsId)) || null;
+        },
+
+        load() {
+            if (this.servers && Date.now() - this.fetchedAt < this.ttl) {
+                return Promise.resolve(this.servers);
+            }
+
+            if (!this.inflight) {
+                this.inflight = fetch(SNAPSHOT_URL, {
+                    method: 'GET',
+                    credentials: 'same-origin',
+                    headers: { 'Accept': 'application/json' }
+                })
+                    .then(response => (response.ok ? response.json() : []))
+                    .catch(() => [])
+                    .then(servers => {
+                        this.servers = Array.isArray(servers) ? servers : [];
+                        this.fetchedAt = Date.now();
+                        return this.servers;
+                    })
+                    .finally(() => {
+                        this.inflight = null;
+                    });
             }
 
-            const data = await response.json();
+            return this.inflight;
+        }
+    };
+
+    async function hydrateCard(card, server) {
+        const battlemetricsId = server.battlemetricsId;
+        if (!battlemetricsId) {
+            displayError(card, 'Missing BattleMetrics ID', 'unknown');
+            return false;
+        }
+
+        // Stale-while-revalidate: paint the cached copy, refresh only when it has aged out
+        const cached = ServerCache.get(battlemetricsId);
+        if (cached) {
+            updateServerDisplay(card, server, cached.data);
+            if (ServerCache.isFresh(cached)) {
+                return true;
+            }
+        }
+
+        try {
+            const data = await ServerCache.load(battlemetricsId);
             updateServerDisplay(card, server, data);
+            return true;
         } catch (error) {
             console.error(`Error fetching server data for ${battlemetricsId}:`, error);
-            displayError(card, 'Unavailable');
+            await showLastKnown(card, server, cached, stateFromError(error));
+            return false;
+        }
+    }
+
+    // Falls back to whichever is newer: our own cached copy or the cluster.php
+    // snapshot. Only when neither exists does the card show the error state.
+    async function showLastKnown(card, server, cached, errorState) {
+        const snapshot = await SnapshotCache.find(server.battlemetricsId);
+        const snapshotTime = Date.parse(snapshot?.fetchedAt);
+
+        if (snapshot && (!cached || snapshotTime > cached.fetchedAt)) {
+            updateServerDisplay(card, server, snapshotToPayload(snapshot));
+            showSnapshotBadge(card, snapshotTime, errorState);
+        } else if (cached) {
+            updateServerDisplay(card, server, cached.data);
+            showSnapshotBadge(card, cached.fetchedAt, errorState);
+        } else {
+            displayError(card, 'Unavailable', errorState);
+        }
+    }
+
+    // A failed request says nothing about the game server itself, only about
+    // our proxy or BattleMetrics, so it never maps to offline.
+    function stateFromError(error) {
+        return error?.status === 429 ? 'rate-limited' : 'unknown';
+    }
+
+    function stateFromStatus(status) {
+        const value = String(status || '').toLowerCase();
+
+        if (value === STATUS_ONLINE || value === 'offline' || value === 'starting') {
+            return value;
+        }
+        if (value === 'dead' || value === 'removed' || value === 'invalid') {
+            return 'dead';
+        }
+        return 'unknown';
+    }
+
+    // Shapes a snapshot entry like a proxy response so updateServerDisplay can render it
+    function snapshotToPayload(snapshot) {
+        return {
+            data: {
+                attributes: {
+                    name: snapshot.name,
+                    status: snapshot.status,
+                    players: snapshot.players,
+                    maxPlayers: snapshot.maxPlayers,
+                    ip: snapshot.ip,
+                    port: snapshot.port,
+                    details: { map: snapshot.map }
+                }
+            }
+        };
+    }
+
+    function showSnapshotBadge(card, time, errorState) {
+        const badge = card.querySelector('[data-role="snapshot-badge"]');
+        if (!badge) {
+            return;
         }
+
+        const asOf = Number.isFinite(time)
+            ? new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+            : 'unknown time';
+        // The status pill shows the old status, so the badge has to say why it isn't live
+        const state = SERVER_STATES[errorState] || SERVER_STATES.unknown;
+        badge.textContent = `${state} · last known ${asOf}`;
+        badge.title = `Live data unavailable (${state}); showing the last known data from ${asOf}`;
+        badge.hidden = false;
+        card.classList.add('is-stale');
     }
 
     function updateServerDisplay(card, server, payload) {
         const attributes = payload?.data?.attributes || {};
         const details = attributes.details || {};
 
-        setStatus(card, attributes.status);
+        // Live data clears the badge; showSnapshotBadge re-adds it for fallbacks
+        const badge = card.querySelector('[data-role="snapshot-badge"]');
+        if (badge) badge.hidden = true;
+        card.classList.remove('is-stale');
+
+        setStatus(card, stateFromStatus(attributes.status));
         setText(card, 'population', attributes.players ?? '0');
         setText(card, 'max-players', attributes.maxPlayers ?? '0');
         setText(card, 'map', details.map || 'Unknown');
@@ -146,6 +605,12 @@
             'Unknown';
         setText(card, 'game-mode', gameMode);
 
+        // Read by the toolbar's sort and filters
+        card.dataset.players = Number(attributes.players) || 0;
+        card.dataset.maxPlayers = Number(attributes.maxPlayers) || 0;
+        card.dataset.gameMode = details.mode || details.gameMode || server.gameTitle || '';
+        card.dataset.region = server.region || details.region || attributes.country || '';
+
         if (details.uptime) {
             setText(card, 'uptime', formatUptime(details.uptime));
         } else if (attributes.startTime) {
@@ -156,12 +621,21 @@
 
         const ipAddress = formatIpPort(attributes.ip, attributes.port);
         setText(card, 'ip-address', ipAddress);
+        updateConnectPanel(card, {
+            name: attributes.name || card.dataset.name,
+            address: ipAddress !== 'N/A' ? ipAddress : '',
+            steam: Boolean(attributes.ip && attributes.port) &&
+                STEAM_CONNECT_GAMES.has(payload?.data?.relationships?.game?.data?.id)
+        });
 
         const mods = extractMods(details);
         renderMods(card, mods);
 
         const conflicts = extractConflicts(payload);
         renderConflicts(card, conflicts);
+
+        const players = extractPlayers(payload);
+        renderPlayers(card, players, Number(attributes.players) || 0);
     }
 
     function formatIpPort(ip, port) {
@@ -174,25 +648,21 @@
         return ip || port || 'N/A';
     }
 
-    function setStatus(card, status) {
+    function setStatus(card, state) {
         const statusDot = card.querySelector('[data-role="status-dot"]');
         const statusText = card.querySelector('[data-role="status-text"]');
         const statusLine = card.querySelector('[data-role="status-line"]');
 
-        const isOnline = status === STATUS_ONLINE;
-
-        if (statusDot) {
-            statusDot.classList.toggle('online', isOnline);
-            statusDot.classList.toggle('offline', !isOnline);
-        }
+        const current = SERVER_STATES[state] ? state : 'unknown';
+        card.dataset.status = current;
 
-        if (statusLine) {
-            statusLine.classList.toggle('online', isOnline);
-            statusLine.classList.toggle('offline', !isOnline);
-        }
+        Object.keys(SERVER_STATES).forEach(key => {
+            statusDot?.classList.toggle(key, key === current);
+            statusLine?.classList.toggle(key, key === current);
+        });
 
         if (statusText) {
-            statusText.textContent = isOnline ? 'Online' : 'Offline';
+            statusText.textContent = SERVER_STATES[current];
         }
     }
 
@@ -214,11 +684,103 @@
             return;
         }
 
-        container.innerHTML = mods.map(mod => `
-            <span class="mod-pill" title="${escapeHtml(mod.description || mod.name || '')}">
+        container.innerHTML = mods.map(mod => {
+            const title = [mod.description || mod.name, mod.id && `ID: ${mod.id}`, mod.version && `Version: ${mod.version}`]
+                .filter(Boolean)
+                .join('\n');
+            const content = `
                 ${escapeHtml(mod.name || mod)}
-            </span>
-        `).join('');
+                ${mod.version ? `<span class="mod-version">v${escapeHtml(mod.version)}</span>` : ''}
+            `;
+
+            return mod.workshopUrl
+                ? `<a class="mod-pill" href="${escapeHtml(mod.workshopUrl)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(title)}">${content}</a>`
+                : `<span class="mod-pill" title="${escapeHtml(title)}">${content}</span>`;
+        }).join('');
+    }
+
+    // Numeric-aware so 1.10.0 sorts after 1.9.2
+    function compareVersions(a, b) {
+        return String(a).localeCompare(String(b), undefined, { numeric: true });
+    }
+
+    function renderModMatrix(container, servers) {
+        const columns = servers.filter(server => server.battlemetricsId);
+        const rows = new Map();
+
+        columns.forEach((server, column) => {
+            const payload = ServerCache.get(server.battlemetricsId)?.data;
+            extractMods(payload?.data?.attributes?.details || {}).forEach(mod => {
+                const key = mod.id || mod.name;
+                if (!rows.has(key)) {
+                    rows.set(key, { mod, versions: new Array(columns.length).fill(null) });
+                }
+                // Mods without a reported version still count as installed
+                rows.get(key).versions[column] = mod.version || '';
+            });
+        });
+
+        if (!rows.size) {
+            container.innerHTML = '<p class="bm-empty-state">No mod data available yet.</p>';
+            return;
+        }
+
+        const sorted = [...rows.values()].sort((a, b) => a.mod.name.localeCompare(b.mod.name));
+        let mismatches = 0;
+
+        const body = sorted.map(({ mod, versions }) => {
+            const reported = versions.filter(version => version);
+            const latest = reported.sort(compareVersions).pop() || '';
+            const mismatch = versions.some(version => version === null || (latest && version && version !== latest));
+            if (mismatch) mismatches++;
+
+            const cells = versions.map(version => {
+                if (version === null) {
+                    return '<td class="mod-cell-missing" title="Not installed">—</td>';
+                }
+                const outdated = latest && version && version !== latest;
+                return `<td class="${outdated ? 'mod-cell-outdated' : 'mod-cell-current'}"${outdated ? ` title="Latest in cluster: ${escapeHtml(latest)}"` : ''}>
+                    ${escapeHtml(version || '✓')}
+                </td>`;
+            }).join('');
+
+            const name = mod.workshopUrl
+                ? `<a href="${escapeHtml(mod.workshopUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(mod.name)}</a>`
+                : escapeHtml(mod.name);
+
+            return `
+                <tr class="${mismatch ? 'mod-row-mismatch' : ''}">
+                    <th scope="row">${name}${mod.id ? `<span class="mod-id">${escapeHtml(mod.id)}</span>` : ''}</th>
+                    ${cells}
+                </tr>
+            `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="mod-matrix-header">
+                <h3>Mod Matrix</h3>
+                <span class="mod-matrix-summary">${mismatches} of ${sorted.length} mods differ across servers</span>
+                <label class="mod-matrix-filter">
+                    <input type="checkbox" data-role="mod-matrix-diff"> Only differences
+                </label>
+            </div>
+            <div class="mod-matrix-scroll">
+                <table class="mod-matrix">
+                    <thead>
+                        <tr>
+                            <th scope="col">Mod</th>
+                            ${columns.map(server => `<th scope="col">${escapeHtml(server.displayName || server.battlemetricsId)}</th>`).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>
+        `;
+
+        const diffOnly = container.querySelector('[data-role="mod-matrix-diff"]');
+        diffOnly.addEventListener('change', () => {
+            container.querySelector('.mod-matrix').classList.toggle('differences-only', diffOnly.checked);
+        });
     }
 
     function renderConflicts(card, conflicts) {
@@ -241,6 +803,217 @@
         `).join('');
     }
 
+    function renderPlayers(card, players, reportedCount, unavailable = false) {
+        const container = card.querySelector('[data-role="players"]');
+        const search = card.querySelector('[data-role="players-search"]');
+        if (!container) {
+            return;
+        }
+
+        setText(card, 'players-count', unavailable ? '-' : players.length || reportedCount);
+
+        if (!players.length) {
+            // BattleMetrics omits the list for some games and private servers
+            const message = unavailable || reportedCount > 0 ? 'Player names not available' : 'No players online';
+            container.innerHTML = `<li class="player-empty">${message}</li>`;
+            if (search) search.hidden = true;
+            return;
+        }
+
+        if (search) search.hidden = false;
+
+        container.innerHTML = players.map(player => `
+            <li class="player-item" data-name="${escapeHtml(player.name.toLowerCase())}" data-player-id="${escapeHtml(player.id || '')}">
+                <span class="player-name">${escapeHtml(player.name)}</span>
+                <span class="player-session">${player.sessionStart ? escapeHtml(calculateUptime(player.sessionStart)) : '-'}</span>
+            </li>
+        `).join('') + '<li class="player-empty" data-role="players-no-match" hidden>No matching players</li>';
+
+        container.querySelectorAll('.player-item').forEach(markWatchlisted);
+        filterPlayers(card);
+    }
+
+    function markWatchlisted(item) {
+        const entry = watchlist.get(item.dataset.playerId);
+        item.classList.toggle('is-watchlisted', Boolean(entry));
+        if (entry) {
+            item.title = entry.reason ? `Watchlist: ${entry.reason}` : 'On the staff watchlist';
+        } else {
+            item.removeAttribute('title');
+        }
+    }
+
+    function filterPlayers(card) {
+        const search = card.querySelector('[data-role="players-search"]');
+        const query = (search?.value || '').trim().toLowerCase();
+        const items = card.querySelectorAll('.player-item');
+        let visible = 0;
+
+        items.forEach(item => {
+            const match = !query || item.dataset.name.includes(query);
+            item.hidden = !match;
+            if (match) visible++;
+        });
+
+        const noMatch = card.querySelector('[data-role="players-no-match"]');
+        if (noMatch) {
+            noMatch.hidden = visible > 0 || !items.length;
+        }
+    }
+
+    function selectHistoryRange(card, server, range) {
+        if (!HISTORY_RANGES.includes(range) || card.dataset.historyRange === range) {
+            return;
+        }
+
+        card.dataset.historyRange = range;
+        card.querySelectorAll('.history-range').forEach(button => {
+            const active = button.dataset.range === range;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        loadHistory(card, server);
+    }
+
+    async function loadHistory(card, server) {
+        const range = card.dataset.historyRange;
+        if (!server.battlemetricsId) {
+            renderHistory(card, [], range, 'History unavailable');
+            return;
+        }
+
+        try {
+            const points = await HistoryCache.load(server.battlemetricsId, range);
+            // Ignore responses for a range the user has already switched away from
+            if (card.dataset.historyRange === range) {
+                renderHistory(card, points, range);
+            }
+        } catch (error) {
+            console.error(`Error fetching population history for ${server.battlemetricsId}:`, error);
+            if (card.dataset.historyRange === range) {
+                renderHistory(card, [], range, 'History unavailable');
+            }
+        }
+    }
+
+    function renderHistory(card, points, range, emptyMessage = 'No history recorded') {
+        const chart = card.querySelector('[data-role="history-chart"]');
+        const tooltip = card.querySelector('[data-role="history-tooltip"]');
+        if (!chart) {
+            return;
+        }
+
+        if (tooltip) tooltip.hidden = true;
+
+        if (points.length < 2) {
+            chart.innerHTML = `<span class="history-empty">${escapeHtml(emptyMessage)}</span>`;
+            setText(card, 'history-summary', '');
+            return;
+        }
+
+        const first = points[0].time;
+        const span = Math.max(1, points[points.length - 1].time - first);
+        const values = points.map(point => point.value);
+        const peak = Math.max(...values);
+        const low = Math.min(...values);
+        const scale = Math.max(1, peak);
+
+        const coords = points.map(point => ({
+            x: ((point.time - first) / span) * SPARKLINE_WIDTH,
+            y: SPARKLINE_HEIGHT - 2 - (point.value / scale) * (SPARKLINE_HEIGHT - 4)
+        }));
+        const line = coords.map(({ x, y }) => `${x.toFixed(1)},${y.toFixed(1)}`).join(' ');
+
+        chart.innerHTML = `
+            <svg class="history-sparkline" viewBox="0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Population over the last ${range}, peak ${peak}, low ${low}">
+                <polygon class="history-area" points="0,${SPARKLINE_HEIGHT} ${line} ${SPARKLINE_WIDTH},${SPARKLINE_HEIGHT}"></polygon>
+                <polyline class="history-line" points="${line}"></polyline>
+                <line class="history-marker" x1="0" x2="0" y1="0" y2="${SPARKLINE_HEIGHT}" visibility="hidden"></line>
+            </svg>
+        `;
+
+        const lowPoint = points.find(point => point.value === low);
+        setText(card, 'history-summary', `Peak ${peak} • Low ${low} at ${formatHistoryTime(lowPoint.time, range)}`);
+
+        const svg = chart.querySelector('svg');
+        const marker = svg.querySelector('.history-marker');
+
+        svg.addEventListener('mousemove', (event) => {
+            const rect = svg.getBoundingClientRect();
+            const ratio = rect.width ? (event.clientX - rect.left) / rect.width : 0;
+            const target = first + Math.min(1, Math.max(0, ratio)) * span;
+
+            // Nearest sample to the cursor
+            let index = 0;
+            points.forEach((point, i) => {
+                if (Math.abs(point.time - target) < Math.abs(points[index].time - target)) {
+                    index = i;
+                }
+            });
+
+            const x = coords[index].x;
+            marker.setAttribute('x1', x);
+            marker.setAttribute('x2', x);
+            marker.setAttribute('visibility', 'visible');
+
+            if (tooltip) {
+                tooltip.textContent = `${formatHistoryTime(points[index].time, range)} • ${points[index].value} players`;
+                tooltip.style.left = `${(x / SPARKLINE_WIDTH) * 100}%`;
+                tooltip.hidden = false;
+            }
+        });
+
+        svg.addEventListener('mouseleave', () => {
+            marker.setAttribute('visibility', 'hidden');
+            if (tooltip) tooltip.hidden = true;
+        });
+    }
+
+    function extractHistory(payload = {}) {
+        const data = Array.isArray(payload.data) ? payload.data : [];
+
+        return data
+            .map(item => ({
+                time: Date.parse(item?.attributes?.timestamp),
+                value: Number(item?.attributes?.value)
+            }))
+            .filter(point => Number.isFinite(point.time) && Number.isFinite(point.value))
+            .sort((a, b) => a.time - b.time);
+    }
+
+    function formatHistoryTime(time, range) {
+        const options = range === '24h'
+            ? { hour: '2-digit', minute: '2-digit' }
+            : { weekday: 'short', hour: '2-digit', minute: '2-digit' };
+        return new Date(time).toLocaleString([], options);
+    }
+
+    function extractPlayers(payload = {}) {
+        const included = Array.isArray(payload.included) ? payload.included : [];
+
+        return included
+            .filter(item => item?.type === 'player')
+            .map(item => {
+                const attributes = item.attributes || {};
+                return {
+                    id: item.id,
+                    name: String(attributes.name || 'Unknown Player'),
+                    sessionStart: playerSessionStart(item)
+                };
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // BattleMetrics exposes the join time in different places depending on the game
+    function playerSessionStart(item) {
+        const metadata = Array.isArray(item.meta?.metadata) ? item.meta.metadata : [];
+        const entry = metadata.find(meta => ['start', 'sessionStart', 'joined'].includes(meta?.key));
+
+        const value = item.attributes?.start || item.meta?.start || entry?.value || null;
+        return value && !Number.isNaN(Date.parse(value)) ? value : null;
+    }
+
     function extractMods(details = {}) {
         const mods = new Set();
 
@@ -256,20 +1029,42 @@
             details.settings.installedMods.forEach(mod => mods.add(mod));
         }
 
+        // Arma Reforger reports its addons under details.reforger
+        const reforgerMods = Array.isArray(details.reforger?.mods) ? details.reforger.mods : [];
+        reforgerMods.forEach(mod => mods.add(mod));
+
         return Array.from(mods).map(mod => {
             if (typeof mod === 'string') {
                 return { name: mod };
             }
             if (mod && typeof mod === 'object') {
+                const id = String(mod.modId || mod.id || mod.workshopId || mod.publishedFileId || '');
                 return {
+                    id,
                     name: mod.name || mod.title || 'Unknown Mod',
-                    description: mod.description || mod.summary || ''
+                    description: mod.description || mod.summary || '',
+                    version: String(mod.version || ''),
+                    workshopUrl: workshopUrl(id, reforgerMods.includes(mod))
                 };
             }
             return { name: String(mod) };
         });
     }
 
+    // Reforger mods live on the Arma Platform workshop; numeric IDs are Steam Workshop items
+    function workshopUrl(id, isReforger) {
+        if (!id) {
+            return '';
+        }
+        if (isReforger) {
+            return `https://reforger.armaplatform.com/workshop/${encodeURIComponent(id)}`;
+        }
+        if (/^\d+$/.test(id)) {
+            return `https://steamcommunity.com/sharedfiles/filedetails/?id=${id}`;
+        }
+        return '';
+    }
+
     function extractConflicts(payload = {}) {
         const included = Array.isArray(payload.included) ? payload.included : [];
 
@@ -286,18 +1081,68 @@
             .filter(conflict => conflict.name);
     }
 
-    function displayError(card, reason) {
-        setStatus(card, 'offline');
-        setText(card, 'population', '0');
-        setText(card, 'max-players', '0');
+    // Per-server history of one player resource fetched with include=server.
+    // Search results keep firstSeen/lastSeen/timePlayed/online on each server
+    // relationship; single-player responses put them on the included server.
+    function extractPlayerServers(player = {}, included = []) {
+        const servers = new Map(
+            (Array.isArray(included) ? included : [])
+                .filter(item => item?.type === 'server')
+                .map(item => [String(item.id), item])
+        );
+        const related = Array.isArray(player?.relationships?.servers?.data)
+            ? player.relationships.servers.data
+            : [...servers.values()];
+
+        return related.map(entry => {
+            const server = servers.get(String(entry.id)) || {};
+            const meta = { ...(server.meta || {}), ...(entry.meta || {}) };
+            return {
+                id: String(entry.id),
+                name: String(server.attributes?.name || `Server ${entry.id}`),
+                firstSeen: meta.firstSeen || null,
+                lastSeen: meta.lastSeen || null,
+                timePlayed: Number(meta.timePlayed) || 0,
+                online: Boolean(meta.online)
+            };
+        });
+    }
+
+    // serverSettings arrive as included resources (from ?include=serverSettings);
+    // some games also report them under details.serverSettings
+    function extractServerSettings(payload = {}) {
+        const included = Array.isArray(payload.included) ? payload.included : [];
+        const settings = {};
+
+        included
+            .filter(item => item?.type === 'serverSettings' || item?.type === 'serverSetting')
+            .forEach(item => Object.assign(settings, item.attributes || {}));
+
+        const details = payload.data?.attributes?.details?.serverSettings;
+        if (details && typeof details === 'object') {
+            Object.assign(settings, details);
+        }
+
+        return settings;
+    }
+
+    // Leaves figures blank rather than zeroed: we don't know them, the server isn't empty
+    function displayError(card, reason, state = 'unknown') {
+        setStatus(card, state);
+        delete card.dataset.players;
+        delete card.dataset.maxPlayers;
+        setText(card, 'population', '-');
+        setText(card, 'max-players', '-');
         setText(card, 'map', 'Unknown');
-        setText(card, 'queue-size', '0');
+        setText(card, 'queue-size', '-');
         setText(card, 'game-mode', reason || 'Unknown');
         setText(card, 'uptime', 'N/A');
         setText(card, 'ip-address', 'N/A');
+        updateConnectPanel(card, { name: card.dataset.name, address: '', steam: false });
 
         renderMods(card, []);
         renderConflicts(card, []);
+        renderPlayers(card, [], 0, true);
     }
 
     function copyIpToClipboard(card) {
@@ -311,7 +1156,7 @@
             return;
         }
 
-        navigator.clipboard.writeText(value).then(() => {
+        copyText(value).then(() => {
             const btn = card.querySelector('[data-role="copy-btn"]');
             if (!btn) {
                 return;
@@ -327,6 +1172,139 @@
         });
     }
 
+    // navigator.clipboard needs a secure context; older and in-console browsers
+    // fall back to a hidden textarea and execCommand
+    function copyText(value) {
+        if (navigator.clipboard?.writeText) {
+            return navigator.clipboard.writeText(value).catch(() => legacyCopy(value));
+        }
+        return legacyCopy(value);
+    }
+
+    function legacyCopy(value) {
+        return new Promise((resolve, reject) => {
+            const textarea = document.createElement('textarea');
+            textarea.value = value;
+            textarea.setAttribute('readonly', '');
+            textarea.style.position = 'fixed';
+            textarea.style.opacity = '0';
+            document.body.appendChild(textarea);
+            textarea.select();
+
+            let copied = false;
+            try {
+                copied = document.execCommand('copy');
+            } catch {
+                copied = false;
+            }
+
+            textarea.remove();
+            if (copied) {
+                resolve();
+            } else {
+                reject(new Error('Clipboard unavailable'));
+            }
+        });
+    }
+
+    function detectPlatform() {
+        const agent = navigator.userAgent || '';
+        if (/Xbox/i.test(agent)) {
+            return 'xbox';
+        }
+        if (/PlayStation/i.test(agent)) {
+            return 'playstation';
+        }
+        return 'pc';
+    }
+
+    function selectPlatform(card, platform) {
+        if (!PLATFORMS[platform]) {
+            return;
+        }
+
+        card.dataset.platform = platform;
+        card.querySelectorAll('.connect-platform').forEach(button => {
+            const active = button.dataset.platform === platform;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', String(active));
+        });
+
+        renderConnectSteps(card);
+    }
+
+    function updateConnectPanel(card, { name, address, steam }) {
+        card.dataset.connectName = name || '';
+        card.dataset.connectAddress = address || '';
+        card.dataset.steamConnect = steam && address ? 'true' : '';
+
+        renderConnectSteps(card);
+
+        const qr = card.querySelector('[data-role="qr"]');
+        if (qr && !qr.hidden) {
+            renderQrCode(card);
+        }
+    }
+
+    function renderConnectSteps(card) {
+        const container = card.querySelector('[data-role="connect-steps"]');
+        const platform = PLATFORMS[card.dataset.platform];
+        if (!container || !platform) {
+            return;
+        }
+
+        const name = card.dataset.connectName || card.dataset.name || 'our server';
+        const address = card.dataset.connectAddress || 'the server address';
+
+        container.innerHTML = platform.steps.map(step => `
+            <li>${escapeHtml(step.replace('{name}', name).replace('{address}', address))}</li>
+        `).join('');
+
+        // The Steam link is only useful on PC
+        const steamLink = card.querySelector('[data-role="steam-link"]');
+        if (steamLink) {
+            const showSteam = card.dataset.platform === 'pc' && Boolean(card.dataset.steamConnect);
+            steamLink.hidden = !showSteam;
+            steamLink.href = showSteam ? `steam://connect/${card.dataset.connectAddress}` : '#';
+        }
+    }
+
+    function toggleQrCode(card) {
+        const qr = card.querySelector('[data-role="qr"]');
+        const toggle = card.querySelector('[data-role="qr-toggle"]');
+        if (!qr || !toggle) {
+            return;
+        }
+
+        qr.hidden = !qr.hidden;
+        toggle.textContent = qr.hidden ? 'Show QR code' : 'Hide QR code';
+        toggle.setAttribute('aria-expanded', String(!qr.hidden));
+
+        if (!qr.hidden) {
+            renderQrCode(card);
+        }
+    }
+
+    function renderQrCode(card) {
+        const qr = card.querySelector('[data-role="qr"]');
+        const address = card.dataset.connectAddress;
+        if (!qr) {
+            return;
+        }
+
+        if (!address || !window.QRCode) {
+            qr.innerHTML = '<span class="connect-qr-empty">Address not available yet</span>';
+            return;
+        }
+
+        try {
+            qr.innerHTML = window.QRCode.toSvg(address, { label: `QR code for ${address}` });
+        } catch (error) {
+            console.error('QR code failed:', error);
+            qr.innerHTML = '<span class="connect-qr-empty">QR code unavailable</span>';
+        }
+    }
+
     function calculateUptime(startTime) {
         try {
             const start = new Date(startTime);
@@ -359,28 +1337,472 @@
         return `${minutes}m`;
     }
 
+    function hydrateCards(entries) {
+        const staleIds = entries
+            .map(({ server }) => server.battlemetricsId)
+            .filter(id => id && !ServerCache.isFresh(ServerCache.get(id)));
+
+        ServerCache.loadMany(staleIds);
+
+        // History refreshes on its own TTL and never counts towards poll backoff
+        entries.forEach(({ card, server }) => loadHistory(card, server));
+
+        return Promise.all(entries.map(({ card, server }) => hydrateCard(card, server)));
+    }
+
+    function startPolling(container, entries, options = {}, initialFailures = 0) {
+        stopPolling(container);
+
+        const interval = Math.max(MIN_POLL_INTERVAL, Number(options.pollInterval) || DEFAULT_POLL_INTERVAL);
+        const maxInterval = Math.max(interval, Number(options.maxPollInterval) || MAX_POLL_BACKOFF);
+
+        const poller = {
+            timer: null,
+            running: false,
+            failures: initialFailures,
+            dueAt: 0,
+            onVisibilityChange: null
+        };
+
+        // Doubles the wait after every failed round, capped at maxInterval
+        const nextDelay = () => Math.min(interval * 2 ** poller.failures, maxInterval);
+
+        const schedule = (delay) => {
+            clearTimeout(poller.timer);
+            poller.timer = null;
+            poller.dueAt = Date.now() + delay;
+
+            // Hidden tabs don't poll; the visibility handler picks it back up
+            if (!document.hidden) {
+                poller.timer = setTimeout(tick, delay);
+            }
+        };
+
+        const tick = async () => {
+            poller.timer = null;
+
+            if (!container.isConnected) {
+                stopPolling(container);
+                return;
+            }
+
+            if (document.hidden) {
+                return;
+            }
+
+            poller.running = true;
+            const results = await hydrateCards(entries);
+            poller.running = false;
+
+            refreshToolbar(container);
+
+            if (pollers.get(container) !== poller) {
+                return;
+            }
+
+            poller.failures = results.every(Boolean) ? 0 : Math.min(poller.failures + 1, 10);
+            schedule(nextDelay());
+        };
+
+        poller.onVisibilityChange = () => {
+            if (document.hidden) {
+                clearTimeout(poller.timer);
+                poller.timer = null;
+                return;
+            }
+
+            if (!poller.timer && !poller.running) {
+                schedule(Math.max(0, poller.dueAt - Date.now()));
+            }
+        };
+
+        document.addEventListener('visibilitychange', poller.onVisibilityChange);
+        pollers.set(container, poller);
+        schedule(nextDelay());
+    }
+
+    function stopPolling(container) {
+        const poller = container ? pollers.get(container) : null;
+        if (!poller) {
+            return;
+        }
+
+        clearTimeout(poller.timer);
+        document.removeEventListener('visibilitychange', poller.onVisibilityChange);
+        pollers.delete(container);
+    }
+
+    function readToolbarState() {
+        const params = new URLSearchParams(window.location.search);
+        const sort = params.get('sort');
+
+        return {
+            sort: SORT_OPTIONS[sort] ? sort : 'default',
+            region: params.get('region') || '',
+            mode: params.get('mode') || '',
+            online: params.get('online') === '1',
+            slots: params.get('slots') === '1'
+        };
+    }
+
+    // Mirrors the toolbar into the query string so a copied link reproduces the view
+    function writeToolbarState(state) {
+        const params = new URLSearchParams(window.location.search);
+        const values = {
+            sort: state.sort !== 'default' ? state.sort : '',
+            region: state.region,
+            mode: state.mode,
+            online: state.online ? '1' : '',
+            slots: state.slots ? '1' : ''
+        };
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        });
+
+        const query = params.toString();
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+        window.history.replaceState(window.history.state, '', url);
+    }
+
+    function createToolbar(container) {
+        const existing = toolbars.get(container);
+        if (existing) {
+            return existing;
+        }
+
+        const state = readToolbarState();
+        const toolbar = document.createElement('div');
+        toolbar.className = 'bm-toolbar';
+        toolbar.innerHTML = `
+            <label class="bm-toolbar-field">
+                <span>Sort by</span>
+                <select data-role="toolbar-sort">
+                    ${Object.entries(SORT_OPTIONS).map(([value, label]) => `
+                        <option value="${value}"${value === state.sort ? ' selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+            </label>
+            <label class="bm-toolbar-field">
+                <span>Region</span>
+                <select data-role="toolbar-region"></select>
+            </label>
+            <label class="bm-toolbar-field">
+                <span>Game mode</span>
+                <select data-role="toolbar-mode"></select>
+            </label>
+            <label class="bm-toolbar-check">
+                <input type="checkbox" data-role="toolbar-online"${state.online ? ' checked' : ''}>
+                <span>Online only</span>
+            </label>
+            <label class="bm-toolbar-check">
+                <input type="checkbox" data-role="toolbar-slots"${state.slots ? ' checked' : ''}>
+                <span>Has free slots</span>
+            </label>
+            <span class="bm-toolbar-count" data-role="toolbar-count"></span>
+        `;
+
+        // Options are filled from hydrated cards; keep the linked value selectable until then
+        fillOptions(toolbar.querySelector('[data-role="toolbar-region"]'), [], state.region);
+        fillOptions(toolbar.querySelector('[data-role="toolbar-mode"]'), [], state.mode);
+
+        toolbar.addEventListener('change', () => {
+            writeToolbarState(toolbarState(toolbar));
+            applyToolbar(container, toolbar);
+        });
+
+        container.parentNode.insertBefore(toolbar, container);
+        toolbars.set(container, toolbar);
+        return toolbar;
+    }
+
+    function toolbarState(toolbar) {
+        const value = role => toolbar.querySelector(`[data-role="${role}"]`);
+
+        return {
+            sort: value('toolbar-sort').value,
+            region: value('toolbar-region').value,
+            mode: value('toolbar-mode').value,
+            online: value('toolbar-online').checked,
+            slots: value('toolbar-slots').checked
+        };
+    }
+
+    function fillOptions(select, values, selected) {
+        const options = [...new Set([...values, selected].filter(Boolean))]
+            .sort((a, b) => a.localeCompare(b));
+
+        // Rebuilding closes an open dropdown, so only do it when the choices changed
+        const current = [...select.options].slice(1).map(option => option.value);
+        if (current.length !== options.length || current.some((value, i) => value !== options[i])) {
+            select.innerHTML = '<option value="">All</option>' + options.map(value => `
+                <option value="${escapeHtml(value)}">${escapeHtml(value)}</option>
+            `).join('');
+        }
+
+        if (select.value !== (selected || '')) {
+            select.value = selected || '';
+        }
+    }
+
+    function refreshToolbar(container) {
+        const toolbar = toolbars.get(container);
+        if (!toolbar) {
+            return;
+        }
+
+        const cards = [...container.querySelectorAll('.server-card')];
+        ['region', 'mode'].forEach(key => {
+            const select = toolbar.querySelector(`[data-role="toolbar-${key}"]`);
+            const field = key === 'mode' ? 'gameMode' : 'region';
+            fillOptions(select, cards.map(card => card.dataset[field]), select.value);
+        });
+
+        applyToolbar(container, toolbar);
+    }
+
+    function compareCards(sort) {
+        const byIndex = (a, b) => Number(a.dataset.index) - Number(b.dataset.index);
+        const byText = field => (a, b) =>
+            (a.dataset[field] || '').localeCompare(b.dataset[field] || '') || byIndex(a, b);
+
+        switch (sort) {
+            case 'population':
+                return (a, b) => (Number(b.dataset.players) || 0) - (Number(a.dataset.players) || 0) || byIndex(a, b);
+            case 'name':
+                return byText('name');
+            case 'region':
+                return byText('region');
+            case 'status':
+                return (a, b) =>
+                    STATUS_SORT_ORDER.indexOf(a.dataset.status) - STATUS_SORT_ORDER.indexOf(b.dataset.status) ||
+                    byIndex(a, b);
+            default:
+                return byIndex;
+        }
+    }
+
+    function applyToolbar(container, toolbar) {
+        const state = toolbarState(toolbar);
+        const cards = [...container.querySelectorAll('.server-card')];
+        let visible = 0;
+        // Next slot in the sorted order; cards already there stay put so focus inside them survives polling
+        let slot = container.firstElementChild;
+
+        cards.sort(compareCards(state.sort)).forEach(card => {
+            const players = Number(card.dataset.players);
+            const maxPlayers = Number(card.dataset.maxPlayers);
+
+            const match =
+                (!state.region || card.dataset.region === state.region) &&
+                (!state.mode || card.dataset.gameMode === state.mode) &&
+                (!state.online || card.dataset.status === STATUS_ONLINE) &&
+                (!state.slots || (maxPlayers > 0 && players < maxPlayers));
+
+            card.hidden = !match;
+            if (match) visible++;
+
+            if (card === slot) {
+                slot = slot.nextElementSibling;
+            } else {
+                container.insertBefore(card, slot);
+            }
+        });
+
+        let empty = container.querySelector('[data-role="filter-empty"]');
+        if (!visible && cards.length) {
+            if (!empty) {
+                empty = document.createElement('p');
+                empty.className = 'bm-empty-state';
+                empty.dataset.role = 'filter-empty';
+                empty.textContent = 'No servers match these filters.';
+            }
+            container.appendChild(empty);
+        } else if (empty) {
+            empty.remove();
+        }
+
+        setText(toolbar, 'toolbar-count', `Showing ${visible} of ${cards.length}`);
+    }
+
     const Battlemetrics = {
-        async renderCards(container, servers) {
+        /**
+         * Renders one card per server into the container and hydrates it from the proxy.
+         *
+         * Options:
+         * - poll: keep the cards live by re-hydrating them in place
+         * - pollInterval: ms between refreshes (default 60s, minimum 10s)
+         * - maxPollInterval: ceiling for the exponential backoff after failures
+         * - toolbar: add sort/filter controls above the grid, persisted in the query string
+         */
+        async renderCards(container, servers, options = {}) {
             if (!container) {
                 return;
             }
 
+            stopPolling(container);
+
+            const render = {};
+            renders.set(container, render);
+
             container.classList.add('bm-grid');
             container.innerHTML = '';
 
             if (!Array.isArray(servers) || servers.length === 0) {
                 container.innerHTML = '<p class="bm-empty-state">No servers configured yet.</p>';
+                refreshToolbar(container);
                 return;
             }
 
-            servers.forEach(server => {
+            const entries = servers.map((server, index) => {
                 const card = createServerCard(server);
+                card.dataset.index = index;
                 container.appendChild(card);
-                hydrateCard(card, server);
+                return { card, server };
             });
-        }
+
+            if (options.toolbar) {
+                createToolbar(container);
+                refreshToolbar(container);
+            }
+
+            const results = await hydrateCards(entries);
+
+            // Re-rendered (or removed) while hydrating: these cards are gone
+            if (renders.get(container) !== render || !entries[0].card.isConnected) {
+                return;
+            }
+
+            refreshToolbar(container);
+
+            if (!options.poll) {
+                return;
+            }
+
+            // Cards without a BattleMetrics ID can never succeed, so leave them out
+            const pollable = entries.filter(({ server }) => server.battlemetricsId);
+            if (!pollable.length) {
+                return;
+            }
+
+            const initialFailures = results.every(Boolean) ? 0 : 1;
+            startPolling(container, pollable, options, initialFailures);
+        },
+
+        stopPolling,
+
+        /**
+         * Highlights these players in every card's player list, now and on
+         * later refreshes. Takes [{ id, name, reason }]; replaces the previous list.
+         */
+        setWatchlist(players) {
+            watchlist.clear();
+            (Array.isArray(players) ? players : []).forEach(player => {
+                if (player?.id) {
+                    watchlist.set(String(player.id), { name: player.name || '', reason: player.reason || '' });
+                }
+            });
+            document.querySelectorAll('.player-item[data-player-id]').forEach(markWatchlisted);
+        },
+
+        /**
+         * Renders a mods × servers table of installed versions, flagging servers
+         * that are missing a mod or behind the newest version in the cluster.
+         * Uses cached card data and fetches anything not loaded yet.
+         */
+        async renderModMatrix(container, servers) {
+            if (!container || !Array.isArray(servers)) {
+                return;
+            }
+
+            container.innerHTML = '<p class="bm-empty-state">Loading mods...</p>';
+
+            const missing = servers
+                .map(server => server.battlemetricsId)
+                .filter(id => id && !ServerCache.get(id));
+            ServerCache.loadMany(missing);
+            await Promise.allSettled(missing.map(id => ServerCache.load(id)));
+
+            renderModMatrix(container, servers);
+        },
+
+        /**
+         * Live status per server for overviews that don't render cards.
+         * Shares the card cache (one batch request for anything stale) and the
+         * cards' status mapping. Resolves to one entry per server:
+         * { server, state, label, name, players, maxPlayers, map, stale }
+         * stale is true when only an older cached copy could be shown.
+         */
+        async loadStatuses(servers) {
+            if (!Array.isArray(servers)) {
+                return [];
+            }
+
+            const ids = [...new Set(servers.map(server => server.battlemetricsId).filter(Boolean).map(String))];
+            const outdated = ids.filter(id => !ServerCache.isFresh(ServerCache.get(id)));
+            ServerCache.loadMany(outdated);
+
+            const errors = new Map();
+            await Promise.all(outdated.map(id => ServerCache.load(id).catch(error => errors.set(id, error))));
+
+            return servers.map(server => {
+                const id = String(server.battlemetricsId || '');
+                const entry = id ? ServerCache.get(id) : null;
+
+                if (!entry) {
+                    const state = errors.has(id) ? stateFromError(errors.get(id)) : 'unknown';
+                    return { server, state, label: SERVER_STATES[state], name: server.displayName, players: 0, maxPlayers: 0, map: '', stale: false };
+                }
+
+                const attributes = entry.data?.data?.attributes || {};
+                const state = stateFromStatus(attributes.status);
+                return {
+                    server,
+                    state,
+                    label: SERVER_STATES[state],
+                    name: attributes.name || server.displayName,
+                    players: Number(attributes.players) || 0,
+                    maxPlayers: Number(attributes.maxPlayers) || 0,
+                    map: attributes.details?.map || '',
+                    stale: errors.has(id)
+                };
+            });
+        },
+
+        /**
+         * Proxy payload for one server, from the card cache while it is fresh.
+         * Pass { refresh: true } to always refetch. Rejects when the proxy fails.
+         */
+        async loadPayload(battlemetricsId, options = {}) {
+            const cached = ServerCache.get(battlemetricsId);
+            if (cached && !options.refresh && ServerCache.isFresh(cached)) {
+                return cached.data;
+            }
+            return ServerCache.load(battlemetricsId);
+        },
+
+        // Payload helpers shared with the portal's detail views
+        states: SERVER_STATES,
+        stateFromStatus,
+        extractPlayers,
+        extractMods,
+        extractConflicts,
+        extractServerSettings,
+        extractPlayerServers,
+        formatIpPort,
+        formatUptime,
+        calculateUptime,
+        formatDuration,
+        copyText,
+
+        cache: ServerCache,
+
+        historyCache: HistoryCache
     };
 
     window.Battlemetrics = Battlemetrics;
 })();
-
@@ -1,20 +1,27 @@
 // Slideshow functionality
 document.addEventListener('DOMContentLoaded', function() {
-    const slides = document.querySelectorAll('.slide');
-    const dots = document.querySelectorAll('.dot');
+    const SLIDES_ENDPOINT = 'getSlides.php';
+    const SLIDE_INTERVAL = 5000; // Change slide every 5 seconds
+
+    const slideshowContainer = document.querySelector('.slideshow-container');
+    const dotsContainer = slideshowContainer ? slideshowContainer.querySelector('.slide-dots') : null;
+    let slides = [];
+    let dots = [];
     let currentSlide = 0;
     let slideInterval;
 
     // Function to show a specific slide
     function showSlide(index) {
+        if (!slides[index]) return;
+
         // Remove active class from all slides and dots
         slides.forEach(slide => slide.classList.remove('active'));
         dots.forEach(dot => dot.classList.remove('active'));
-        
+
         // Add active class to current slide and dot
         slides[index].classList.add('active');
-        dots[index].classList.add('active');
-        
+        if (dots[index]) dots[index].classList.add('active');
+
         currentSlide = index;
     }
 
@@ -24,59 +31,306 @@ document.addEventListener('DOMContentLoaded', function() {
         showSlide(next);
     }
 
-    // Event listeners for dots
-    dots.forEach((dot, index) => {
-        dot.addEventListener('click', () => {
-            showSlide(index);
-            resetInterval();
-        });
-    });
-
-    // Auto-play slideshow
+    // Auto-play slideshow (nothing to rotate with a single slide)
     function startInterval() {
-        slideInterval = setInterval(nextSlide, 5000); // Change slide every 5 seconds
+        clearInterval(slideInterval);
+        if (slides.length > 1) {
+            slideInterval = setInterval(nextSlide, SLIDE_INTERVAL);
+        }
     }
 
-    function resetInterval() {
-        clearInterval(slideInterval);
+    // Builds one slide with DOM APIs so titles/URLs from the portal are never parsed as HTML
+    function createSlide(data) {
+        const slide = document.createElement('div');
+        slide.className = 'slide';
+
+        if (data.image_url) {
+            slide.classList.add('has-image');
+            slide.style.backgroundImage = `url(${JSON.stringify(String(data.image_url))})`;
+        }
+
+        const content = document.createElement('div');
+        content.className = 'slide-content';
+
+        const title = document.createElement('h2');
+        title.textContent = data.title || '';
+        content.appendChild(title);
+
+        if (data.description) {
+            const description = document.createElement('p');
+            description.textContent = data.description;
+            content.appendChild(description);
+        }
+
+        if (data.link_url) {
+            const link = document.createElement('a');
+            link.className = 'slide-link';
+            link.href = data.link_url;
+            link.appendChild(content);
+            slide.appendChild(link);
+        } else {
+            slide.appendChild(content);
+        }
+
+        return slide;
+    }
+
+    function renderDots() {
+        if (!dotsContainer) return;
+
+        dotsContainer.innerHTML = '';
+        dots = slides.map((slide, index) => {
+            const dot = document.createElement('span');
+            dot.className = 'dot';
+            dot.dataset.slide = String(index);
+            dotsContainer.appendChild(dot);
+            return dot;
+        });
+        dotsContainer.hidden = slides.length < 2;
+    }
+
+    // Replaces the built-in slides in index.html; they stay if nothing is configured
+    function renderSlides(data) {
+        if (!slideshowContainer || data.length === 0) return;
+
+        slideshowContainer.querySelectorAll('.slide').forEach(slide => slide.remove());
+        slides = data.map(createSlide);
+        slides.forEach(slide => slideshowContainer.insertBefore(slide, dotsContainer));
+
+        renderDots();
+        showSlide(0);
         startInterval();
     }
 
-    // Start auto-play
-    startInterval();
+    async function fetchSlides() {
+        const response = await fetch(SLIDES_ENDPOINT, {
+            method: 'GET',
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' },
+            cache: 'no-store'
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const result = await response.json();
+        const data = result && result.data && Array.isArray(result.data.slides) ? result.data.slides : [];
+        return data.filter(slide => slide.is_active === undefined || Number(slide.is_active) === 1);
+    }
+
+    async function loadSlides() {
+        try {
+            renderSlides(await fetchSlides());
+        } catch (error) {
+            console.error('Failed to load slides:', error);
+        }
+    }
 
-    // Pause on hover
-    const slideshowContainer = document.querySelector('.slideshow-container');
     if (slideshowContainer) {
+        // Start with the built-in slides until the configured ones arrive
+        slides = Array.from(slideshowContainer.querySelectorAll('.slide'));
+        renderDots();
+        showSlide(0);
+        startInterval();
+
+        // Dots are rebuilt with the slides, so listen on the container
+        if (dotsContainer) {
+            dotsContainer.addEventListener('click', (event) => {
+                const dot = event.target.closest('.dot');
+                if (!dot) return;
+                showSlide(Number(dot.dataset.slide));
+                startInterval();
+            });
+        }
+
+        // Pause on hover
         slideshowContainer.addEventListener('mouseenter', () => {
             clearInterval(slideInterval);
         });
-        
+
         slideshowContainer.addEventListener('mouseleave', () => {
             startInterval();
         });
+
+        loadSlides();
     }
 
     // Display servers on frontend
-    function renderServers() {
+    const SERVERS_ENDPOINT = 'getServers.php';
+    const SERVERS_POLL_INTERVAL = 60000; // Refresh live card data every minute
+
+    // Mirrors Utils.normalizeServer in portal.js so both grids feed
+    // Battlemetrics.renderCards the same server shape.
+    function normalizeServer(server) {
+        return {
+            id: server.id,
+            battlemetricsId: server.battlemetrics_id || '',
+            displayName: server.display_name || '',
+            gameTitle: server.game_title || '',
+            region: server.region || ''
+        };
+    }
+
+    async function fetchServers() {
+        const response = await fetch(SERVERS_ENDPOINT, {
+            method: 'GET',
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' },
+            cache: 'no-store'
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!Array.isArray(data)) {
+            return [];
+        }
+
+        // The endpoint already filters and orders, but guard against rows
+        // that slip through (e.g. older deployments without the columns).
+        return data
+            .filter(server => server.is_active === undefined || Number(server.is_active) === 1)
+            .sort((a, b) => (Number(a.sort_order) || 0) - (Number(b.sort_order) || 0) || Number(a.id) - Number(b.id))
+            .map(normalizeServer);
+    }
+
+    async function renderServers() {
         const serversDisplay = document.getElementById('servers-display');
         if (!serversDisplay || !window.Battlemetrics) return;
 
-        const servers = JSON.parse(localStorage.getItem('servers') || '[]');
-        Battlemetrics.renderCards(serversDisplay, servers);
+        try {
+            const servers = await fetchServers();
+            Battlemetrics.renderCards(serversDisplay, servers, {
+                poll: true,
+                pollInterval: SERVERS_POLL_INTERVAL,
+                toolbar: true
+            });
+        } catch (error) {
+            console.error('Failed to load servers:', error);
+            serversDisplay.innerHTML = '<p class="bm-empty-state">Unable to load servers.</p>';
+        }
     }
 
     function renderServerInfo() {
         // Frontend keeps the default static server info section.
     }
 
+    // Public announcements (global bar + per-server notices inside cards)
+    // Live and upcoming rows (hidden and ended ones stay in the portal); each is
+    // shown from its start, not from the next refresh after it
+    const ANNOUNCEMENTS_ENDPOINT = 'getAnnouncements.php?active=1&upcoming=1';
+    const ANNOUNCEMENTS_REFRESH_INTERVAL = 5 * 60 * 1000; // Re-fetch from the backend
+    const ANNOUNCEMENTS_TICK_INTERVAL = 60 * 1000; // Re-check start/end windows
+    const DISMISSED_STORAGE_KEY = 'opr-dismissed-announcements';
+
+    let announcements = [];
+
+    function readDismissed() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(DISMISSED_STORAGE_KEY) || '[]');
+            return new Set(Array.isArray(ids) ? ids.map(String) : []);
+        } catch {
+            return new Set();
+        }
+    }
+
+    function dismissAnnouncement(id) {
+        const dismissed = readDismissed();
+        dismissed.add(String(id));
+        try {
+            localStorage.setItem(DISMISSED_STORAGE_KEY, JSON.stringify([...dismissed]));
+        } catch {
+            // Storage disabled; the notice stays hidden until the next reload
+        }
+        renderAnnouncements();
+    }
+
+    async function fetchAnnouncements() {
+        const response = await fetch(ANNOUNCEMENTS_ENDPOINT, {
+            method: 'GET',
+            credentials: 'same-origin',
+            headers: { 'Accept': 'application/json' },
+            cache: 'no-store'
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        return Array.isArray(data) ? data : [];
+    }
+
+    // Same markup as the portal preview (js/announcement.js)
+    function announcementHtml(announcement) {
+        return AnnouncementView.render(announcement, { dismissible: true, announce: true });
+    }
+
+    function wireDismissButtons(root) {
+        root.querySelectorAll('.announcement-dismiss').forEach(btn => {
+            btn.addEventListener('click', () => dismissAnnouncement(btn.dataset.announcementId));
+        });
+    }
+
+    function renderAnnouncements() {
+        const dismissed = readDismissed();
+        const now = Date.now();
+        // Windows, recurrences and timezones (UTC when unset) follow js/schedule.js,
+        // the same rules as the portal and AnnouncementController::isLiveAt
+        const visible = announcements.filter(a => AnnouncementSchedule.isLive(a, now) && !dismissed.has(String(a.id)));
+
+        const bar = document.getElementById('announcement-bar');
+        if (bar) {
+            const global = visible.filter(a => !a.server_id);
+            bar.innerHTML = global.map(announcementHtml).join('');
+            bar.hidden = global.length === 0;
+            wireDismissButtons(bar);
+        }
+
+        // Server-targeted notices go into the slot of the matching card
+        document.querySelectorAll('#servers-display .server-card').forEach(card => {
+            const slot = card.querySelector('[data-role="announcements"]');
+            if (!slot) return;
+
+            const targeted = visible.filter(a => a.server_id && String(a.server_id) === card.dataset.serverId);
+            slot.innerHTML = targeted.map(announcementHtml).join('');
+            wireDismissButtons(slot);
+        });
+    }
+
+    async function loadAnnouncements() {
+        try {
+            announcements = await fetchAnnouncements();
+        } catch (error) {
+            // Keep showing what we had; announcements are non-critical
+            console.error('Failed to load announcements:', error);
+        }
+        renderAnnouncements();
+    }
+
     // Initial render
-    renderServers();
+    renderServers().then(renderAnnouncements);
     renderServerInfo();
+    loadAnnouncements();
+
+    // Windows open and close on whole minutes, so re-check just after each one
+    function scheduleAnnouncementTick() {
+        const delay = ANNOUNCEMENTS_TICK_INTERVAL - (Date.now() % ANNOUNCEMENTS_TICK_INTERVAL) + 100;
+        setTimeout(() => {
+            renderAnnouncements();
+            scheduleAnnouncementTick();
+        }, delay);
+    }
+
+    setInterval(loadAnnouncements, ANNOUNCEMENTS_REFRESH_INTERVAL);
+    scheduleAnnouncementTick();
 
-    // Listen for server updates
+    // Listen for server updates (re-fetches from the backend)
     window.addEventListener('serversUpdated', () => {
-        renderServers();
+        renderServers().then(renderAnnouncements);
         renderServerInfo();
     });
 });
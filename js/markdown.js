@@ -0,0 +1,107 @@
+// Safe Markdown subset for announcements: **bold**, *italics*, `inline code`,
+// [links](https://...), "- " / "1. " lists and paragraphs. Shared by the portal
+// preview (js/portal.js) and the public banner (js/main.js) so staff see exactly
+// what players see.
+//
+// Input is HTML-escaped before any formatting is applied, so the only markup in
+// the output is the tags emitted here; link targets are limited to http(s) and
+// mailto.
+(() => {
+    const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+    const BULLET_ITEM = /^\s*[-*+]\s+(.*)$/;
+    const ORDERED_ITEM = /^\s*\d+[.)]\s+(.*)$/;
+
+    function escapeHtml(value = '') {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    }
+
+    // Takes an already-escaped URL; returns it when the scheme is allowed, otherwise null
+    function sanitizeUrl(url) {
+        const decoded = url.replace(/&amp;/g, '&').trim();
+        // Strip whitespace/control characters browsers ignore inside schemes ("java\tscript:")
+        const compact = decoded.replace(/[\u0000- ]/g, '');
+        return SAFE_URL.test(compact) ? url.trim() : null;
+    }
+
+    function emphasis(text) {
+        return text
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>');
+    }
+
+    function inline(text) {
+        // Code spans and links are swapped for placeholders first so their
+        // contents (URLs, underscores) are not picked up as emphasis. render()
+        // strips NUL from the input, so every placeholder here is one of ours.
+        const tokens = [];
+        const hold = html => `\u0000${tokens.push(html) - 1}\u0000`;
+
+        let output = text
+            .replace(/`([^`]+)`/g, (_, code) => hold(`<code>${code}</code>`))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+                const href = sanitizeUrl(url);
+                if (!href) return label;
+                return hold(`<a href="${href}" target="_blank" rel="noopener noreferrer nofollow">${emphasis(label)}</a>`);
+            });
+
+        output = emphasis(output);
+
+        // Link labels can hold code placeholders, so restore until none are left
+        while (/\u0000\d+\u0000/.test(output)) {
+            output = output.replace(/\u0000(\d+)\u0000/g, (_, index) => tokens[Number(index)]);
+        }
+        return output;
+    }
+
+    function render(source) {
+        const lines = escapeHtml(String(source).replace(/\u0000/g, '')).replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length) {
+                blocks.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                blocks.push(`<${list.tag}>${list.items.map(item => `<li>${inline(item)}</li>`).join('')}</${list.tag}>`);
+                list = null;
+            }
+        };
+
+        lines.forEach(line => {
+            const bullet = line.match(BULLET_ITEM);
+            const ordered = bullet ? null : line.match(ORDERED_ITEM);
+
+            if (bullet || ordered) {
+                const tag = bullet ? 'ul' : 'ol';
+                flushParagraph();
+                if (list && list.tag !== tag) flushList();
+                if (!list) list = { tag, items: [] };
+                list.items.push((bullet || ordered)[1]);
+            } else if (!line.trim()) {
+                flushParagraph();
+                flushList();
+            } else {
+                flushList();
+                paragraph.push(line.trim());
+            }
+        });
+
+        flushParagraph();
+        flushList();
+        return blocks.join('');
+    }
+
+    window.Markdown = { render, escapeHtml };
+})();
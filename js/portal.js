@@ -13,14 +13,29 @@ const API = {
     listServers: 'getServers.php',
     saveServer: 'saveServer.php',
     deleteServer: 'deleteServer.php',
+    reorderServers: 'reorderServers.php',
     listAnnouncements: 'getAnnouncements.php',
     saveAnnouncement: 'saveAnnouncement.php',
     deleteAnnouncement: 'deleteAnnouncement.php',
+    toggleAnnouncement: 'toggleAnnouncement.php',
+    listSlides: 'getSlides.php',
+    saveSlide: 'saveSlide.php',
+    deleteSlide: 'deleteSlide.php',
+    reorderSlides: 'reorderSlides.php',
+    listSlideImages: 'getSlideImages.php',
+    uploadSlideImage: 'uploadSlideImage.php',
     listUsers: 'listUsers.php',
     addUser: 'addUser.php',
     deactivateUser: 'deactivateUser.php',
     reactivateUser: 'reactivateUser.php',
-    resetUserPassword: 'resetUserPassword.php'
+    resetUserPassword: 'resetUserPassword.php',
+    battlemetrics: 'battlemetrics.php',
+    getPlayerNotes: 'getPlayerNotes.php',
+    addPlayerNote: 'addPlayerNote.php',
+    deletePlayerNote: 'deletePlayerNote.php',
+    listWatchlist: 'getWatchlist.php',
+    setWatchlist: 'setWatchlist.php',
+    listAuditLog: 'getAuditLog.php'
   },
 
   async fetch(endpoint, options = {}) {
@@ -47,7 +62,8 @@ const API = {
     const result = await response.json().catch(() => ({}));
 
     if (!response.ok || result.success === false) {
-      throw new Error(result.message || `HTTP ${response.status}`);
+      // The BattleMetrics proxy reports failures as { error } rather than { message }
+      throw new Error(result.message || result.error || `HTTP ${response.status}`);
     }
 
     return result;
@@ -63,6 +79,10 @@ const API = {
     method: 'POST',
     body: { id }
   }),
+  reorderServers: (ids) => API.fetch(API.endpoints.reorderServers, {
+    method: 'POST',
+    body: { ids }
+  }),
   listAnnouncements: (active = 0) => API.fetch(`${API.endpoints.listAnnouncements}?active=${active}`),
   saveAnnouncement: (payload) => API.fetch(API.endpoints.saveAnnouncement, {
     method: 'POST',
@@ -72,6 +92,28 @@ const API = {
     method: 'POST',
     body: { id }
   }),
+  toggleAnnouncement: (id, isActive) => API.fetch(API.endpoints.toggleAnnouncement, {
+    method: 'POST',
+    body: { id, isActive: isActive ? 1 : 0 }
+  }),
+  listSlides: () => API.fetch(`${API.endpoints.listSlides}?all=1`),
+  saveSlide: (payload) => API.fetch(API.endpoints.saveSlide, {
+    method: 'POST',
+    body: payload
+  }),
+  deleteSlide: (id) => API.fetch(API.endpoints.deleteSlide, {
+    method: 'POST',
+    body: { id }
+  }),
+  reorderSlides: (ids) => API.fetch(API.endpoints.reorderSlides, {
+    method: 'POST',
+    body: { ids }
+  }),
+  listSlideImages: () => API.fetch(API.endpoints.listSlideImages),
+  uploadSlideImage: (image) => API.fetch(API.endpoints.uploadSlideImage, {
+    method: 'POST',
+    body: { image }
+  }),
   listUsers: () => API.fetch(API.endpoints.listUsers),
   addUser: (name, password, role) => API.fetch(API.endpoints.addUser, {
     method: 'POST',
@@ -88,7 +130,28 @@ const API = {
   resetUserPassword: (id, password) => API.fetch(API.endpoints.resetUserPassword, {
     method: 'POST',
     body: { id, password }
-  })
+  }),
+  searchPlayers: (query) => API.fetch(`${API.endpoints.battlemetrics}?playerSearch=${encodeURIComponent(query)}`),
+  getPlayer: (id) => API.fetch(`${API.endpoints.battlemetrics}?playerId=${encodeURIComponent(id)}`),
+  getPlayerNotes: (playerId) => API.fetch(`${API.endpoints.getPlayerNotes}?playerId=${encodeURIComponent(playerId)}`),
+  addPlayerNote: (playerId, playerName, note) => API.fetch(API.endpoints.addPlayerNote, {
+    method: 'POST',
+    body: { playerId, playerName, note }
+  }),
+  deletePlayerNote: (id) => API.fetch(API.endpoints.deletePlayerNote, {
+    method: 'POST',
+    body: { id }
+  }),
+  listWatchlist: () => API.fetch(API.endpoints.listWatchlist),
+  setWatchlist: (playerId, playerName, watched, reason = '') => API.fetch(API.endpoints.setWatchlist, {
+    method: 'POST',
+    body: { playerId, playerName, watched, reason }
+  }),
+  listAuditLog: (filters = {}) => {
+    // Only send the filters that are set
+    const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value !== '' && value != null));
+    return API.fetch(`${API.endpoints.listAuditLog}?${params}`);
+  }
 };
 
 // ============================================================================
@@ -101,6 +164,20 @@ const Utils = {
     return String(str).replace(/[&<>"']/g, (m) => map[m]);
   },
 
+  // Shared with the public banner (js/main.js) so previews match what players see
+  renderMarkdown(str = '') {
+    return window.Markdown ? Markdown.render(str) : `<p>${Utils.escapeHtml(str)}</p>`;
+  },
+
+  // Instants must be ISO 8601 with an offset (BattleMetrics, and our endpoints
+  // via gmdate). A bare DATETIME has no zone, so it isn't guessed as local time
+  formatTime(value) {
+    const text = String(value || '');
+    const time = /(Z|[+-]\d{2}:?\d{2})$/.test(text) ? Date.parse(text) : NaN;
+    if (Number.isNaN(time)) return '—';
+    return new Date(time).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+  },
+
   normalizeServer(server) {
     return {
       id: server.id,
@@ -128,6 +205,94 @@ const Utils = {
     }
   },
 
+  // Drag-and-drop ordering for a rendered list. Items need data-id plus
+  // .move-up/.move-down buttons as the keyboard fallback; onReorder receives
+  // the new id order once per burst of moves (one bulk save per change).
+  makeSortable(listEl, itemSelector, onReorder, delay = 400) {
+    if (!listEl) return;
+
+    const items = () => Array.from(listEl.querySelectorAll(itemSelector));
+    const order = () => items().map(item => item.dataset.id).join(',');
+    let dragged = null;
+    let startOrder = '';
+    let timer = null;
+
+    const syncButtons = () => {
+      const all = items();
+      all.forEach((item, index) => {
+        const up = item.querySelector('.move-up');
+        const down = item.querySelector('.move-down');
+        if (up) up.disabled = index === 0;
+        if (down) down.disabled = index === all.length - 1;
+      });
+    };
+
+    const changed = () => {
+      syncButtons();
+      clearTimeout(timer);
+      timer = setTimeout(() => onReorder(items().map(item => item.dataset.id)), delay);
+    };
+
+    const move = (item, direction, button) => {
+      const sibling = direction < 0 ? item.previousElementSibling : item.nextElementSibling;
+      if (!sibling || !sibling.matches(itemSelector)) return;
+
+      listEl.insertBefore(item, direction < 0 ? sibling : sibling.nextElementSibling);
+      changed();
+
+      // Keep focus on the moved item; switch buttons when it reaches an end
+      const target = button.disabled ? item.querySelector(direction < 0 ? '.move-down' : '.move-up') : button;
+      if (target && !target.disabled) target.focus();
+    };
+
+    items().forEach(item => {
+      item.draggable = true;
+
+      item.addEventListener('dragstart', (e) => {
+        dragged = item;
+        startOrder = order();
+        item.classList.add('is-dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', item.dataset.id);
+      });
+
+      item.addEventListener('dragover', (e) => {
+        if (!dragged || dragged === item) return;
+        e.preventDefault();
+        // Works for grids too: drop after items that come after the dragged one
+        const draggedFirst = items().indexOf(dragged) < items().indexOf(item);
+        listEl.insertBefore(dragged, draggedFirst ? item.nextElementSibling : item);
+      });
+
+      item.addEventListener('drop', (e) => e.preventDefault());
+
+      item.addEventListener('dragend', () => {
+        item.classList.remove('is-dragging');
+        dragged = null;
+        if (order() !== startOrder) changed();
+      });
+
+      const up = item.querySelector('.move-up');
+      const down = item.querySelector('.move-down');
+      if (up) up.addEventListener('click', () => move(item, -1, up));
+      if (down) down.addEventListener('click', () => move(item, 1, down));
+    });
+
+    syncButtons();
+  },
+
+  // Up/down buttons used by makeSortable; label names the item for screen readers
+  moveButtonsHtml(label) {
+    const name = Utils.escapeHtml(label);
+    return `
+      <span class="sortable-controls">
+        <i class="fas fa-grip-vertical sortable-handle" aria-hidden="true" title="Drag to reorder"></i>
+        <button type="button" class="btn-secondary sortable-move move-up" aria-label="Move ${name} up"><i class="fas fa-arrow-up" aria-hidden="true"></i></button>
+        <button type="button" class="btn-secondary sortable-move move-down" aria-label="Move ${name} down"><i class="fas fa-arrow-down" aria-hidden="true"></i></button>
+      </span>
+    `;
+  },
+
   show(el) {
     if (el) el.style.display = '';
   },
@@ -371,6 +536,10 @@ const Nav = {
 
     // Initialize tab if needed
     if (tabId === 'manage-access') Managers.manageAccess.init();
+    if (tabId === 'dashboard') Managers.dashboard.init();
+    if (tabId === 'battlemetrics') Managers.battlemetrics.init();
+    if (tabId === 'players') Managers.players.init();
+    if (tabId === 'logs') Managers.logs.init();
   },
 
   selectSubTab(mainTabId, subTabId) {
@@ -517,7 +686,8 @@ const Managers = {
       let html = '<div class="servers-list">';
       servers.forEach(s => {
         html += `
-          <div class="server-card">
+          <div class="server-card sortable-item" data-id="${s.id}">
+            ${Utils.moveButtonsHtml(s.display_name || 'server')}
             <h3>${Utils.escapeHtml(s.display_name || 'Unknown')}</h3>
             <p><strong>BattleMetrics ID:</strong> ${Utils.escapeHtml(s.battlemetrics_id || 'N/A')}</p>
             <button class="btn-danger delete-server" data-id="${s.id}">Delete</button>
@@ -533,12 +703,35 @@ const Managers = {
           if (!Number.isNaN(id)) await this.handleDelete(id);
         });
       });
+
+      Utils.makeSortable(this.tabEl.querySelector('.servers-list'), '.server-card', (ids) => this.saveOrder(ids));
+    },
+
+    async saveOrder(ids) {
+      try {
+        await API.reorderServers(ids.map(Number));
+        // Keep the list as the user arranged it; only the live cards need redrawing
+        const byId = new Map(State.servers.map(server => [String(server.id), server]));
+        const ordered = ids.map(id => byId.get(id)).filter(Boolean);
+        ordered.forEach((server, index) => { server.sort_order = index + 1; });
+        State.setServers(ordered);
+        await this.renderCards(ordered);
+      } catch (error) {
+        console.error('Failed to save server order:', error);
+        alert(error.message);
+        await this.load();
+      }
     },
 
-    renderCards(servers) {
+    async renderCards(servers) {
       if (!this.container || !window.Battlemetrics) return;
       const normalized = servers.map(Utils.normalizeServer);
-      window.Battlemetrics.renderCards(this.container, normalized);
+      // Not awaited: Battlemetrics.setWatchlist() marks the cards whenever it arrives
+      if (!Managers.players.watchlistLoaded) Managers.players.loadWatchlist();
+      await window.Battlemetrics.renderCards(this.container, normalized, { poll: true });
+
+      const matrix = Utils.getElement('#portal-mod-matrix');
+      if (matrix) await window.Battlemetrics.renderModMatrix(matrix, normalized);
     },
 
     async handleDelete(id) {
@@ -576,6 +769,18 @@ const Managers = {
 
   announcements: {
     tabEl: null,
+    items: new Map(),
+    editing: null,
+    filters: { status: 'all', query: '', target: '', severity: '' },
+    page: 1,
+    pageSize: 10,
+    statusTabs: [
+      { id: 'all', label: 'All' },
+      { id: 'live', label: 'Live' },
+      { id: 'scheduled', label: 'Scheduled' },
+      { id: 'expired', label: 'Expired' },
+      { id: 'inactive', label: 'Inactive' }
+    ],
 
     init() {
       this.tabEl = Utils.getElement('#manage-content .sub-tab-content[data-sub-tab="server-announcements"]');
@@ -596,19 +801,67 @@ const Managers = {
         </div>
         <div class="announce-list-wrapper">
           <h3 style="margin-bottom: 1rem; color: #ffffff;">Existing Announcements</h3>
+          <div class="announcement-tabs" id="announcement-status-tabs" role="tablist"></div>
+          <div class="announcement-filters">
+            <input type="search" id="announcement-search" class="form-input" placeholder="Search messages..." aria-label="Search announcements" />
+            <select id="announcement-filter-target" class="form-input" aria-label="Filter by target server">
+              <option value="">All targets</option>
+            </select>
+            <select id="announcement-filter-severity" class="form-input" aria-label="Filter by severity">
+              <option value="">All severities</option>
+              <option value="info">Info</option>
+              <option value="success">Success</option>
+              <option value="warning">Warning</option>
+              <option value="error">Error</option>
+            </select>
+          </div>
           <div id="announcements-list"></div>
+          <div class="announcement-pagination" id="announcements-pagination"></div>
         </div>
       `;
 
       const addBtn = this.tabEl.querySelector('#announcement-add-btn');
       if (addBtn) addBtn.addEventListener('click', () => this.openModal());
 
+      const bindFilter = (selector, key, eventName) => {
+        const el = this.tabEl.querySelector(selector);
+        if (!el) return;
+        el.value = this.filters[key];
+        el.addEventListener(eventName, () => {
+          this.filters[key] = el.value;
+          this.page = 1;
+          this.applyFilters();
+        });
+      };
+
+      bindFilter('#announcement-search', 'query', 'input');
+      bindFilter('#announcement-filter-target', 'target', 'change');
+      bindFilter('#announcement-filter-severity', 'severity', 'change');
+
+      this.tabEl.querySelector('#announcement-status-tabs')?.addEventListener('click', (e) => {
+        const tab = e.target.closest('[data-status]');
+        if (!tab) return;
+        this.filters.status = tab.dataset.status;
+        this.page = 1;
+        this.applyFilters();
+      });
+
+      this.tabEl.querySelector('#announcements-pagination')?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-page]');
+        if (!btn || btn.disabled) return;
+        this.page = Number(btn.dataset.page);
+        this.applyFilters();
+      });
+
       this.load();
     },
 
-    openModal() {
-      let modal = Utils.getElement('#add-announcement-modal');
+    // mode: 'create' (blank), 'edit' (prefilled, saves over the original)
+    // or 'duplicate' (prefilled copy without the schedule, saves as new)
+    openModal(announcement = null, mode = 'create') {
+      let modal = document.getElementById('add-announcement-modal');
       if (!modal) modal = this.createModal();
+      else if (!modal.dataset.wired) this.wireModal(modal);
 
       const serverSelect = Utils.getElement('#announcement-server');
       if (serverSelect) {
@@ -624,18 +877,123 @@ const Managers = {
       const form = Utils.getElement('#add-announcement-form');
       if (form) form.reset();
 
+      this.editing = mode === 'edit' ? announcement : null;
+
+      const title = modal.querySelector('.modal-header h2');
+      const submitBtn = modal.querySelector('button[type="submit"]');
+      if (title) title.textContent = mode === 'edit' ? 'Edit Announcement' : 'New Announcement';
+      if (submitBtn) submitBtn.textContent = mode === 'edit' ? 'Save Changes' : 'Create Announcement';
+
+      if (announcement) this.fillForm(announcement, mode === 'edit');
+
+      // Times are entered as wall-clock time in this zone (see js/schedule.js).
+      // Edits keep the row's zone: one saved without any is read as UTC, and
+      // filling in the browser's zone would silently move its times.
+      const timezoneInput = document.getElementById('announcement-timezone');
+      if (timezoneInput && !timezoneInput.value && mode !== 'edit') timezoneInput.value = this.defaultTimezone();
+
+      this.updateRecurrenceFields();
+      this.updatePreview();
+
       this.clearError();
       modal.classList.add('active');
     },
 
+    fillForm(announcement, includeSchedule) {
+      const set = (selector, value) => {
+        const el = Utils.getElement(selector);
+        if (el) el.value = value ?? '';
+      };
+
+      // Target may not be in State.servers (servers tab not loaded, or server removed)
+      const serverSelect = Utils.getElement('#announcement-server');
+      const serverId = announcement.server_id ? String(announcement.server_id) : '';
+      if (serverSelect && serverId && !serverSelect.querySelector(`option[value="${serverId}"]`)) {
+        const opt = document.createElement('option');
+        opt.value = serverId;
+        opt.textContent = announcement.server_name || `Server ${serverId}`;
+        serverSelect.appendChild(opt);
+      }
+
+      set('#announcement-message', announcement.message);
+      set('#announcement-severity', announcement.severity || 'info');
+      set('#announcement-server', serverId);
+      set('#announcement-start', includeSchedule ? this.toInputDateTime(announcement.starts_at) : '');
+      set('#announcement-end', includeSchedule ? this.toInputDateTime(announcement.ends_at) : '');
+
+      // The repeat rule is kept when duplicating; only the dates are cleared
+      set('#announcement-recurrence', announcement.recurrence_type || 'none');
+      set('#announcement-timezone', announcement.timezone);
+      if (announcement.recurrence_interval) set('#announcement-interval', announcement.recurrence_interval);
+      if (announcement.recurrence_duration) set('#announcement-duration', announcement.recurrence_duration);
+
+      const days = String(announcement.recurrence_days || '').split(',');
+      Utils.getAllElements('input[name="announcement-day"]').forEach(box => {
+        box.checked = days.includes(box.value);
+      });
+    },
+
+    defaultTimezone() {
+      try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || '';
+      } catch {
+        return '';
+      }
+    },
+
+    updateRecurrenceFields() {
+      const type = document.getElementById('announcement-recurrence')?.value || 'none';
+      const options = document.getElementById('announcement-recurrence-options');
+      if (!options) return;
+
+      options.hidden = type === 'none';
+      options.querySelectorAll('[data-recurrence]').forEach(el => {
+        el.hidden = el.dataset.recurrence !== type;
+      });
+    },
+
+    readRecurrence() {
+      const type = document.getElementById('announcement-recurrence')?.value || 'none';
+      if (type === 'none') return { recurrenceType: 'none' };
+
+      return {
+        recurrenceType: type,
+        recurrenceDays: Utils.getAllElements('input[name="announcement-day"]:checked').map(box => Number(box.value)),
+        recurrenceInterval: Number(document.getElementById('announcement-interval')?.value) || null,
+        recurrenceDuration: Number(document.getElementById('announcement-duration')?.value) || null
+      };
+    },
+
+    // "2024-01-15 20:00:00" (MySQL) -> "2024-01-15T20:00" (datetime-local)
+    toInputDateTime(value) {
+      if (!value) return '';
+      return String(value).replace(' ', 'T').slice(0, 16);
+    },
+
     closeModal() {
       const modal = Utils.getElement('#add-announcement-modal');
       if (modal) modal.classList.remove('active');
       const form = Utils.getElement('#add-announcement-form');
       if (form) form.reset();
+      this.editing = null;
+      this.updateRecurrenceFields();
+      this.updatePreview();
       this.clearError();
     },
 
+    // Same markup as the public banner (js/announcement.js), minus the dismiss button
+    updatePreview() {
+      const preview = document.getElementById('announcement-preview');
+      if (!preview) return;
+
+      const message = document.getElementById('announcement-message')?.value || '';
+      const severity = document.getElementById('announcement-severity')?.value;
+
+      preview.innerHTML = message.trim()
+        ? AnnouncementView.render({ message, severity })
+        : '<p class="announcement-preview-empty">Start typing to see how players will see this announcement.</p>';
+    },
+
     createModal() {
       const modal = document.createElement('div');
       modal.className = 'modal-overlay';
@@ -653,6 +1011,12 @@ const Managers = {
               <div class="form-group">
                 <label for="announcement-message">Message</label>
                 <textarea id="announcement-message" class="form-input" rows="3" placeholder="Type announcement message..." required></textarea>
+                <small class="announcement-format-hint">Supports **bold**, *italics*, \`code\`, [links](https://...) and "- " lists.</small>
+              </div>
+
+              <div class="form-group">
+                <label>Preview</label>
+                <div class="announcement-preview" id="announcement-preview" aria-live="polite"></div>
               </div>
 
               <div class="form-row">
@@ -684,6 +1048,56 @@ const Managers = {
                 </div>
               </div>
 
+              <div class="form-row">
+                <div class="form-group">
+                  <label for="announcement-recurrence">Repeat</label>
+                  <select id="announcement-recurrence" class="form-input">
+                    <option value="none">Does not repeat</option>
+                    <option value="daily">Daily</option>
+                    <option value="weekly">Weekly</option>
+                    <option value="hourly">Every few hours</option>
+                  </select>
+                </div>
+                <div class="form-group">
+                  <label for="announcement-timezone">Timezone</label>
+                  <input type="text" id="announcement-timezone" class="form-input" list="announcement-timezones" placeholder="e.g. Europe/London (empty = UTC)" autocomplete="off" />
+                  <datalist id="announcement-timezones"></datalist>
+                </div>
+              </div>
+
+              <div class="announcement-recurrence-options" id="announcement-recurrence-options" hidden>
+                <div class="form-group" data-recurrence="weekly">
+                  <label>Days</label>
+                  <div class="announcement-weekdays">
+                    <label><input type="checkbox" name="announcement-day" value="1" /> Mon</label>
+                    <label><input type="checkbox" name="announcement-day" value="2" /> Tue</label>
+                    <label><input type="checkbox" name="announcement-day" value="3" /> Wed</label>
+                    <label><input type="checkbox" name="announcement-day" value="4" /> Thu</label>
+                    <label><input type="checkbox" name="announcement-day" value="5" /> Fri</label>
+                    <label><input type="checkbox" name="announcement-day" value="6" /> Sat</label>
+                    <label><input type="checkbox" name="announcement-day" value="0" /> Sun</label>
+                  </div>
+                </div>
+                <div class="form-row">
+                  <div class="form-group" data-recurrence="hourly">
+                    <label for="announcement-interval">Every (hours)</label>
+                    <input type="number" id="announcement-interval" class="form-input" min="1" max="168" value="6" />
+                  </div>
+                  <div class="form-group">
+                    <label for="announcement-duration">Show For (minutes)</label>
+                    <input type="number" id="announcement-duration" class="form-input" min="1" value="60" />
+                  </div>
+                </div>
+                <small class="announcement-format-hint">Repeats from the start time; "Ends At" stops the series.</small>
+              </div>
+
+              <div class="form-group">
+                <label class="announcement-checkbox">
+                  <input type="checkbox" id="announcement-post-discord" />
+                  Also post to Discord
+                </label>
+              </div>
+
               <p class="form-error" id="add-announcement-error" role="alert" aria-live="assertive"></p>
 
               <div class="modal-actions">
@@ -696,6 +1110,25 @@ const Managers = {
       `;
 
       document.body.appendChild(modal);
+      this.wireModal(modal);
+
+      return modal;
+    },
+
+    // portal.html ships the modal markup statically, so wiring is separate from creation
+    wireModal(modal) {
+      modal.dataset.wired = 'true';
+
+      modal.querySelector('#announcement-message')?.addEventListener('input', () => this.updatePreview());
+      modal.querySelector('#announcement-severity')?.addEventListener('change', () => this.updatePreview());
+      modal.querySelector('#announcement-recurrence')?.addEventListener('change', () => this.updateRecurrenceFields());
+
+      const zones = modal.querySelector('#announcement-timezones');
+      if (zones && typeof Intl.supportedValuesOf === 'function') {
+        zones.innerHTML = Intl.supportedValuesOf('timeZone')
+          .map(zone => `<option value="${Utils.escapeHtml(zone)}"></option>`)
+          .join('');
+      }
 
       const closeBtn = modal.querySelector('#close-add-announcement-modal');
       const cancelBtn = modal.querySelector('#cancel-add-announcement');
@@ -710,130 +1143,1693 @@ const Managers = {
         });
       }
 
-      modal.addEventListener('click', (e) => {
-        if (e.target === modal) this.closeModal();
+      modal.addEventListener('click', (e) => {
+        if (e.target === modal) this.closeModal();
+      });
+
+      return modal;
+    },
+
+    async handleFormSubmit() {
+      const msgEl = Utils.getElement('#announcement-message');
+      const msg = msgEl?.value?.trim() || '';
+
+      if (!msg) {
+        this.setError('Message is required.');
+        return;
+      }
+
+      const recurrence = this.readRecurrence();
+      const startsAt = Utils.getElement('#announcement-start')?.value || '';
+
+      if (recurrence.recurrenceType !== 'none' && !startsAt) {
+        this.setError('Recurring announcements need a start time.');
+        return;
+      }
+
+      if (recurrence.recurrenceType === 'weekly' && recurrence.recurrenceDays.length === 0) {
+        this.setError('Pick at least one day for a weekly announcement.');
+        return;
+      }
+
+      this.clearError();
+      const btn = Utils.getElement('#add-announcement-form button[type="submit"]');
+      Utils.setLoading(btn, true);
+
+      try {
+        const payload = {
+          message: msg,
+          severity: Utils.getElement('#announcement-severity')?.value || 'info',
+          serverId: Utils.getElement('#announcement-server')?.value || null,
+          startsAt,
+          endsAt: Utils.getElement('#announcement-end')?.value || '',
+          timezone: Utils.getElement('#announcement-timezone')?.value.trim() || '',
+          ...recurrence,
+          isActive: this.editing ? Number(this.editing.is_active) : 1,
+          postToDiscord: Boolean(Utils.getElement('#announcement-post-discord')?.checked)
+        };
+
+        if (this.editing) payload.id = this.editing.id;
+
+        const result = await API.saveAnnouncement(payload);
+        this.closeModal();
+        await this.load();
+
+        // The announcement is saved either way; only the Discord post failed
+        const discord = result?.data?.discord;
+        if (payload.postToDiscord && discord && !discord.delivered) {
+          alert(`Announcement saved, but posting to Discord failed: ${discord.detail}`);
+        }
+      } catch (error) {
+        console.error('Failed to save announcement:', error);
+        this.setError(error.message);
+      } finally {
+        Utils.setLoading(btn, false);
+      }
+    },
+
+    async load() {
+      const listEl = Utils.getElement('#announcements-list');
+      if (!listEl) return;
+
+      listEl.innerHTML = '<p style="color: #cccccc;">Loading announcements...</p>';
+
+      try {
+        const data = await API.listAnnouncements(0);
+        const announcements = Array.isArray(data) ? data : [];
+        this.items = new Map(announcements.map(a => [String(a.id), a]));
+        this.renderTargetOptions();
+        this.applyFilters();
+      } catch (error) {
+        console.error('Failed to load announcements:', error);
+        listEl.innerHTML = '<p style="color: #ff6b6b;">Unable to load announcements.</p>';
+      }
+    },
+
+    discordStatusHtml(announcement) {
+      if (!announcement.discord_status) return '';
+
+      const sent = announcement.discord_status === 'sent';
+      const when = announcement.discord_posted_at ? ` ${Utils.escapeHtml(announcement.discord_posted_at)}` : '';
+      return `
+        <span class="announcement-discord ${sent ? 'is-sent' : 'is-failed'}" title="${Utils.escapeHtml(announcement.discord_detail || '')}">
+          <i class="fab fa-discord" aria-hidden="true"></i>
+          <strong>Discord:</strong> ${sent ? 'Posted' : 'Failed'}${when}
+        </span>
+      `;
+    },
+
+    // Live/Scheduled/Expired come from the same rules the public banner uses
+    statusOf(announcement, now = Date.now()) {
+      if (window.AnnouncementSchedule) return AnnouncementSchedule.status(announcement, now);
+      return Number(announcement.is_active) === 1 ? 'live' : 'inactive';
+    },
+
+    // Targets come from the announcements themselves so removed servers stay filterable
+    renderTargetOptions() {
+      const select = this.tabEl?.querySelector('#announcement-filter-target');
+      if (!select) return;
+
+      const targets = new Map();
+      this.items.forEach(a => {
+        if (a.server_id) targets.set(String(a.server_id), a.server_name || `Server ${a.server_id}`);
+      });
+
+      select.innerHTML = `
+        <option value="">All targets</option>
+        <option value="global">All Servers (global only)</option>
+        ${[...targets].sort((a, b) => a[1].localeCompare(b[1]))
+          .map(([id, name]) => `<option value="${Utils.escapeHtml(id)}">${Utils.escapeHtml(name)}</option>`)
+          .join('')}
+      `;
+
+      if (this.filters.target && !select.querySelector(`option[value="${this.filters.target}"]`)) {
+        this.filters.target = '';
+      }
+      select.value = this.filters.target;
+    },
+
+    // Search/target/severity narrow everything; the status tab is applied last
+    // so each tab's count reflects the other filters.
+    applyFilters() {
+      const { status, query, target, severity } = this.filters;
+      const needle = query.trim().toLowerCase();
+      const now = Date.now();
+
+      const matching = [...this.items.values()]
+        .filter(a => !needle || `${a.message || ''} ${a.server_name || ''}`.toLowerCase().includes(needle))
+        .filter(a => !target || (target === 'global' ? !a.server_id : String(a.server_id) === target))
+        .filter(a => !severity || a.severity === severity)
+        .map(a => ({ announcement: a, status: this.statusOf(a, now) }));
+
+      const counts = { all: matching.length };
+      matching.forEach(m => { counts[m.status] = (counts[m.status] || 0) + 1; });
+      this.renderStatusTabs(counts);
+
+      const filtered = matching
+        .filter(m => status === 'all' || m.status === status)
+        .map(m => m.announcement);
+
+      const pageCount = Math.max(1, Math.ceil(filtered.length / this.pageSize));
+      this.page = Math.min(Math.max(1, this.page), pageCount);
+      const start = (this.page - 1) * this.pageSize;
+
+      this.renderList(filtered.slice(start, start + this.pageSize));
+      this.renderPagination(filtered.length, pageCount);
+    },
+
+    renderStatusTabs(counts) {
+      const tabsEl = this.tabEl?.querySelector('#announcement-status-tabs');
+      if (!tabsEl) return;
+
+      tabsEl.innerHTML = this.statusTabs.map(tab => {
+        const isActive = tab.id === this.filters.status;
+        return `
+          <button type="button" class="announcement-tab${isActive ? ' active' : ''}" role="tab" aria-selected="${isActive}" data-status="${tab.id}">
+            ${tab.label} <span class="announcement-tab-count">${counts[tab.id] || 0}</span>
+          </button>
+        `;
+      }).join('');
+    },
+
+    renderPagination(total, pageCount) {
+      const pager = this.tabEl?.querySelector('#announcements-pagination');
+      if (!pager) return;
+
+      if (pageCount <= 1) {
+        pager.innerHTML = '';
+        return;
+      }
+
+      const first = (this.page - 1) * this.pageSize + 1;
+      const last = Math.min(total, this.page * this.pageSize);
+
+      pager.innerHTML = `
+        <button type="button" class="btn-secondary" data-page="${this.page - 1}" ${this.page === 1 ? 'disabled' : ''}>
+          <i class="fas fa-chevron-left"></i> Previous
+        </button>
+        <span class="announcement-pagination-info">${first}–${last} of ${total} • Page ${this.page} of ${pageCount}</span>
+        <button type="button" class="btn-secondary" data-page="${this.page + 1}" ${this.page === pageCount ? 'disabled' : ''}>
+          Next <i class="fas fa-chevron-right"></i>
+        </button>
+      `;
+    },
+
+    renderList(announcements) {
+      const listEl = Utils.getElement('#announcements-list');
+      if (!listEl) return;
+
+      if (announcements.length === 0) {
+        listEl.innerHTML = this.items.size === 0
+          ? '<p style="color: #cccccc;">No announcements yet.</p>'
+          : '<p style="color: #cccccc;">No announcements match these filters.</p>';
+        return;
+      }
+
+      let html = '<div class="announcements-list">';
+      announcements.forEach(a => {
+        const isActive = Number(a.is_active) === 1;
+        const status = this.statusTabs.find(tab => tab.id === this.statusOf(a))?.label || '';
+        const repeats = window.AnnouncementSchedule ? AnnouncementSchedule.describe(a) : '';
+        const zone = window.AnnouncementSchedule ? AnnouncementSchedule.zoneOf(a) : a.timezone || 'UTC';
+        html += `
+          <div class="announcement-card">
+            <div class="announcement-main">
+              <div class="announcement-header">
+                <span class="badge badge-${a.severity}">${a.severity.toUpperCase()}</span>
+                <span class="announcement-target">${Utils.escapeHtml(a.server_name || 'All Servers')}</span>
+                <span class="announcement-status">${status}</span>
+              </div>
+              <div class="announcement-message">${Utils.renderMarkdown(a.message || '')}</div>
+              <div class="announcement-schedule">
+                <span><strong>Starts:</strong> ${a.starts_at ? Utils.escapeHtml(a.starts_at) : 'Immediate'}</span>
+                <span><strong>Ends:</strong> ${a.ends_at ? Utils.escapeHtml(a.ends_at) : 'Open-ended'}</span>
+                ${repeats ? `<span><strong>Repeats:</strong> ${Utils.escapeHtml(repeats)}</span>` : ''}
+                <span><strong>Timezone:</strong> ${Utils.escapeHtml(zone)}</span>
+                ${this.discordStatusHtml(a)}
+              </div>
+            </div>
+            <div class="announcement-actions">
+              <button class="btn-secondary edit-announcement" type="button" data-id="${a.id}">Edit</button>
+              <button class="btn-secondary duplicate-announcement" type="button" data-id="${a.id}">Duplicate</button>
+              <button class="btn-secondary toggle-announcement" type="button" data-id="${a.id}" data-active="${isActive ? 1 : 0}">
+                ${isActive ? 'Deactivate' : 'Activate'}
+              </button>
+              <button class="btn-danger delete-announcement" data-id="${a.id}">Delete</button>
+            </div>
+          </div>
+        `;
+      });
+      html += '</div>';
+      listEl.innerHTML = html;
+
+      listEl.querySelectorAll('.delete-announcement').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const id = parseInt(btn.dataset.id, 10);
+          if (!Number.isNaN(id)) await this.handleDelete(id);
+        });
+      });
+
+      listEl.querySelectorAll('.edit-announcement').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const announcement = this.items.get(btn.dataset.id);
+          if (announcement) this.openModal(announcement, 'edit');
+        });
+      });
+
+      listEl.querySelectorAll('.duplicate-announcement').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const announcement = this.items.get(btn.dataset.id);
+          if (announcement) this.openModal(announcement, 'duplicate');
+        });
+      });
+
+      listEl.querySelectorAll('.toggle-announcement').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const id = parseInt(btn.dataset.id, 10);
+          if (!Number.isNaN(id)) await this.handleToggle(id, btn.dataset.active !== '1', btn);
+        });
+      });
+    },
+
+    async handleToggle(id, isActive, btn) {
+      Utils.setLoading(btn, true);
+
+      try {
+        await API.toggleAnnouncement(id, isActive);
+        await this.load();
+      } catch (error) {
+        console.error('Failed to update announcement:', error);
+        alert(error.message);
+        Utils.setLoading(btn, false);
+      }
+    },
+
+    async handleDelete(id) {
+      if (!window.confirm('Delete this announcement?')) return;
+
+      try {
+        await API.deleteAnnouncement(id);
+        await this.load();
+      } catch (error) {
+        console.error('Failed to delete announcement:', error);
+        alert(error.message);
+      }
+    },
+
+    setError(msg) {
+      const el = Utils.getElement('#add-announcement-error');
+      if (el) {
+        el.textContent = msg;
+        el.classList.add('active');
+      }
+    },
+
+    clearError() {
+      const el = Utils.getElement('#add-announcement-error');
+      if (el) {
+        el.textContent = '';
+        el.classList.remove('active');
+      }
+    }
+  },
+
+  // ========================================================================
+  // Dashboard (cluster-wide overview)
+  // ========================================================================
+
+  dashboard: {
+    tabEl: null,
+    timer: null,
+    refreshing: false,
+    refreshInterval: 60 * 1000,
+    // Share of slots in use at which a server is flagged as near capacity
+    capacityWarning: 0.9,
+
+    init() {
+      this.tabEl = Utils.getElement('#dashboard');
+      if (!this.tabEl) return;
+
+      // Returning to the tab refreshes straight away instead of waiting for the timer
+      if (this.tabEl.dataset.initialized) {
+        this.refresh();
+        return;
+      }
+
+      this.tabEl.dataset.initialized = 'true';
+      this.render();
+      this.refresh();
+      this.timer = setInterval(() => {
+        if (this.tabEl.classList.contains('active') && !document.hidden) this.refresh();
+      }, this.refreshInterval);
+    },
+
+    render() {
+      this.tabEl.innerHTML = `
+        <div class="dashboard-toolbar">
+          <span class="dashboard-updated" id="dashboard-updated" aria-live="polite">Loading...</span>
+          <button class="btn-secondary" id="dashboard-refresh-btn" type="button">
+            <i class="fas fa-rotate" aria-hidden="true"></i> Refresh
+          </button>
+        </div>
+        <div class="dashboard-stats">
+          <div class="dashboard-stat">
+            <span class="dashboard-stat-label">Players Online</span>
+            <strong class="dashboard-stat-value" id="dashboard-total-players">–</strong>
+            <small id="dashboard-total-capacity"></small>
+          </div>
+          <div class="dashboard-stat">
+            <span class="dashboard-stat-label">Servers Online</span>
+            <strong class="dashboard-stat-value" id="dashboard-servers-online">–</strong>
+            <small id="dashboard-servers-total"></small>
+          </div>
+          <div class="dashboard-stat">
+            <span class="dashboard-stat-label">Live Announcements</span>
+            <strong class="dashboard-stat-value" id="dashboard-live-count">–</strong>
+          </div>
+          <div class="dashboard-stat">
+            <span class="dashboard-stat-label">Active Staff Accounts</span>
+            <strong class="dashboard-stat-value" id="dashboard-staff-count">–</strong>
+            <small id="dashboard-staff-roles"></small>
+          </div>
+        </div>
+        <section class="dashboard-panel">
+          <h3>Needs Attention</h3>
+          <div id="dashboard-attention"></div>
+        </section>
+        <section class="dashboard-panel">
+          <h3>Servers</h3>
+          <div class="dashboard-tiles" id="dashboard-servers"></div>
+        </section>
+        <section class="dashboard-panel">
+          <h3>Live Announcements</h3>
+          <div id="dashboard-announcements"></div>
+        </section>
+      `;
+
+      const refreshBtn = this.tabEl.querySelector('#dashboard-refresh-btn');
+      if (refreshBtn) refreshBtn.addEventListener('click', () => this.refresh());
+    },
+
+    async refresh() {
+      if (this.refreshing || !this.tabEl) return;
+      this.refreshing = true;
+
+      const refreshBtn = this.tabEl.querySelector('#dashboard-refresh-btn');
+      Utils.setLoading(refreshBtn, true);
+
+      try {
+        const [statuses, announcements, users] = await Promise.allSettled([
+          this.loadServerStatuses(),
+          API.listAnnouncements(1),
+          API.listUsers()
+        ]);
+
+        this.renderServers(statuses);
+        this.renderAnnouncements(announcements);
+        this.renderStaff(users);
+
+        const updated = this.tabEl.querySelector('#dashboard-updated');
+        if (updated) {
+          const time = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+          updated.textContent = `Updated ${time} • refreshes every ${this.refreshInterval / 1000}s`;
+        }
+      } finally {
+        this.refreshing = false;
+        Utils.setLoading(refreshBtn, false);
+      }
+    },
+
+    // Reloads the server list (keeping the last one if that fails) and fetches live status
+    async loadServerStatuses() {
+      try {
+        State.setServers(await API.listServers());
+      } catch (error) {
+        console.error('Failed to reload servers for dashboard:', error);
+      }
+
+      if (!window.Battlemetrics) throw new Error('BattleMetrics module not loaded');
+      return Battlemetrics.loadStatuses(State.servers.map(Utils.normalizeServer));
+    },
+
+    renderServers(result) {
+      const tiles = this.tabEl.querySelector('#dashboard-servers');
+      const attention = this.tabEl.querySelector('#dashboard-attention');
+      const setText = (selector, text) => {
+        const el = this.tabEl.querySelector(selector);
+        if (el) el.textContent = text;
+      };
+
+      if (result.status === 'rejected') {
+        console.error('Failed to load server status:', result.reason);
+        tiles.innerHTML = '<p style="color: #ff6b6b;">Unable to load server status.</p>';
+        attention.innerHTML = '';
+        return;
+      }
+
+      const statuses = result.value;
+      const online = statuses.filter(s => s.state === 'online');
+      const players = online.reduce((sum, s) => sum + s.players, 0);
+      const slots = online.reduce((sum, s) => sum + s.maxPlayers, 0);
+
+      setText('#dashboard-total-players', players);
+      setText('#dashboard-total-capacity', slots ? `of ${slots} slots (${Math.round((players / slots) * 100)}%)` : '');
+      setText('#dashboard-servers-online', online.length);
+      setText('#dashboard-servers-total', `of ${statuses.length} configured`);
+
+      tiles.innerHTML = statuses.length === 0
+        ? '<p style="color: #cccccc;">No servers configured yet.</p>'
+        : statuses.map(s => this.serverTileHtml(s)).join('');
+
+      const issues = this.attentionItems(statuses);
+      attention.innerHTML = issues.length === 0
+        ? '<p class="dashboard-all-clear"><i class="fas fa-circle-check" aria-hidden="true"></i> All servers are online with room to spare.</p>'
+        : `<ul class="dashboard-attention-list">${issues.map(issue => `
+            <li class="dashboard-attention-item is-${issue.level}">
+              <strong>${Utils.escapeHtml(issue.name)}</strong>
+              <span>${Utils.escapeHtml(issue.reason)}</span>
+            </li>
+          `).join('')}</ul>`;
+    },
+
+    serverTileHtml(status) {
+      const fill = status.maxPlayers ? Math.min(100, Math.round((status.players / status.maxPlayers) * 100)) : 0;
+      const population = status.state === 'online' ? `${status.players} / ${status.maxPlayers}` : '–';
+
+      return `
+        <div class="dashboard-tile" data-state="${status.state}">
+          <div class="dashboard-tile-header">
+            <span class="dashboard-tile-dot" aria-hidden="true"></span>
+            <strong>${Utils.escapeHtml(status.name || 'Unknown server')}</strong>
+          </div>
+          <div class="dashboard-tile-status">${Utils.escapeHtml(status.label)}${status.stale ? ' (last known)' : ''}</div>
+          <div class="dashboard-tile-population">${population}</div>
+          <div class="dashboard-tile-bar"><span style="width: ${status.state === 'online' ? fill : 0}%"></span></div>
+          ${status.map ? `<small>${Utils.escapeHtml(status.map)}</small>` : ''}
+        </div>
+      `;
+    },
+
+    // Offline/dead servers first, then missing live data, then servers close to full
+    attentionItems(statuses) {
+      const items = [];
+
+      statuses.forEach(s => {
+        const name = s.name || s.server.displayName || `Server ${s.server.id}`;
+        if (!s.server.battlemetricsId) {
+          items.push({ level: 'warning', name, reason: 'No BattleMetrics ID configured' });
+        } else if (s.state === 'offline' || s.state === 'dead') {
+          items.push({ level: 'error', name, reason: s.state === 'dead' ? 'Removed or dead on BattleMetrics' : 'Offline' });
+        } else if (s.state === 'unknown' || s.state === 'rate-limited') {
+          items.push({ level: 'warning', name, reason: `${s.label}: no live data from BattleMetrics` });
+        } else if (s.state === 'online' && s.maxPlayers > 0 && s.players / s.maxPlayers >= this.capacityWarning) {
+          items.push({ level: 'info', name, reason: `Near capacity (${s.players} / ${s.maxPlayers})` });
+        }
+      });
+
+      const rank = { error: 0, warning: 1, info: 2 };
+      return items.sort((a, b) => rank[a.level] - rank[b.level]);
+    },
+
+    renderAnnouncements(result) {
+      const list = this.tabEl.querySelector('#dashboard-announcements');
+      const count = this.tabEl.querySelector('#dashboard-live-count');
+
+      if (result.status === 'rejected') {
+        console.error('Failed to load announcements:', result.reason);
+        list.innerHTML = '<p style="color: #ff6b6b;">Unable to load announcements.</p>';
+        count.textContent = '–';
+        return;
+      }
+
+      // Same rule as the public banner, in case the server filter and the viewer clock disagree
+      const live = (Array.isArray(result.value) ? result.value : [])
+        .filter(a => !window.AnnouncementSchedule || AnnouncementSchedule.isLive(a));
+
+      count.textContent = live.length;
+      list.innerHTML = live.length === 0
+        ? '<p style="color: #cccccc;">No announcements are live right now.</p>'
+        : `<div class="announcements-list">${live.map(a => `
+            <div class="announcement-card">
+              <div class="announcement-main">
+                <div class="announcement-header">
+                  <span class="badge badge-${Utils.escapeHtml(a.severity)}">${Utils.escapeHtml(String(a.severity || 'info').toUpperCase())}</span>
+                  <span class="announcement-target">${Utils.escapeHtml(a.server_name || 'All Servers')}</span>
+                </div>
+                <div class="announcement-message">${Utils.renderMarkdown(a.message || '')}</div>
+                ${a.ends_at ? `<div class="announcement-schedule"><span><strong>Ends:</strong> ${Utils.escapeHtml(a.ends_at)}</span></div>` : ''}
+              </div>
+            </div>
+          `).join('')}</div>`;
+    },
+
+    renderStaff(result) {
+      const count = this.tabEl.querySelector('#dashboard-staff-count');
+      const roles = this.tabEl.querySelector('#dashboard-staff-roles');
+
+      if (result.status === 'rejected') {
+        console.error('Failed to load users:', result.reason);
+        count.textContent = '–';
+        roles.textContent = 'Unable to load accounts';
+        return;
+      }
+
+      const active = (Array.isArray(result.value) ? result.value : []).filter(u => Number(u.is_active) === 1);
+      const byRole = active.reduce((counts, u) => {
+        const role = u.role || 'admin';
+        counts[role] = (counts[role] || 0) + 1;
+        return counts;
+      }, {});
+
+      count.textContent = active.length;
+      roles.textContent = ['owner', 'admin', 'staff']
+        .filter(role => byRole[role])
+        .map(role => `${byRole[role]} ${role}`)
+        .join(' • ');
+    }
+  },
+
+  // ========================================================================
+  // BattleMetrics Detail
+  // ========================================================================
+
+  battlemetrics: {
+    tabEl: null,
+    servers: [],
+    request: null,
+    // Payloads behind the JSON inspectors currently on screen (for Copy)
+    inspected: new Map(),
+    // Detail keys that are already shown in their own section
+    skipAttributes: ['details.mods', 'details.serverSettings', 'details.reforger.mods'],
+
+    async init() {
+      this.tabEl = Utils.getElement('#battlemetrics');
+      if (!this.tabEl) return;
+
+      if (this.tabEl.dataset.initialized) {
+        this.refreshServerOptions();
+        return;
+      }
+      this.tabEl.dataset.initialized = 'true';
+
+      this.render();
+      await this.refreshServerOptions();
+    },
+
+    render() {
+      this.tabEl.innerHTML = `
+        <div class="bm-detail-toolbar">
+          <label>
+            <span>Server</span>
+            <select id="bm-detail-server" class="form-input"></select>
+          </label>
+          <label>
+            <span>Compare with</span>
+            <select id="bm-detail-compare" class="form-input"></select>
+          </label>
+          <button class="btn-secondary" id="bm-detail-refresh" type="button">
+            <i class="fas fa-rotate" aria-hidden="true"></i> Refresh
+          </button>
+        </div>
+        <div id="bm-detail-content" aria-live="polite"></div>
+      `;
+
+      const show = () => this.show();
+      this.tabEl.querySelector('#bm-detail-server').addEventListener('change', show);
+      this.tabEl.querySelector('#bm-detail-compare').addEventListener('change', show);
+      this.tabEl.querySelector('#bm-detail-refresh').addEventListener('click', () => this.show(true));
+
+      // Inspector buttons are re-rendered with each view, so listen once here
+      this.tabEl.querySelector('#bm-detail-content').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-json-action]');
+        if (button) this.handleInspectorAction(button);
+      });
+    },
+
+    // Reloads the server list into both pickers, keeping the current selection
+    async refreshServerOptions() {
+      try {
+        State.setServers(await API.listServers());
+      } catch (error) {
+        console.error('Failed to load servers for BattleMetrics:', error);
+      }
+
+      this.servers = State.servers.map(Utils.normalizeServer).filter(s => s.battlemetricsId);
+
+      const primary = this.tabEl.querySelector('#bm-detail-server');
+      const compare = this.tabEl.querySelector('#bm-detail-compare');
+      const selected = primary.value;
+      const compared = compare.value;
+
+      const options = this.servers
+        .map(s => `<option value="${Utils.escapeHtml(s.id)}">${Utils.escapeHtml(s.displayName || s.battlemetricsId)}</option>`)
+        .join('');
+      primary.innerHTML = options;
+      compare.innerHTML = `<option value="">No comparison</option>${options}`;
+
+      if (this.findServer(selected)) primary.value = selected;
+      if (this.findServer(compared)) compare.value = compared;
+
+      this.show();
+    },
+
+    findServer(id) {
+      return this.servers.find(s => String(s.id) === String(id)) || null;
+    },
+
+    async show(refresh = false) {
+      const content = this.tabEl.querySelector('#bm-detail-content');
+      const server = this.findServer(this.tabEl.querySelector('#bm-detail-server').value);
+      let other = this.findServer(this.tabEl.querySelector('#bm-detail-compare').value);
+      if (other && server && other.id === server.id) other = null;
+
+      if (!server) {
+        content.innerHTML = '<p class="bm-empty-state">No servers with a BattleMetrics ID yet. Add one under Manage Site → Our Servers.</p>';
+        return;
+      }
+
+      const refreshBtn = this.tabEl.querySelector('#bm-detail-refresh');
+      Utils.setLoading(refreshBtn, true);
+      content.innerHTML = '<p class="bm-empty-state">Loading server details...</p>';
+
+      // Only the latest selection is rendered when requests overlap
+      const request = this.request = {};
+      const targets = other ? [server, other] : [server];
+      const results = await Promise.allSettled(
+        targets.map(s => Battlemetrics.loadPayload(s.battlemetricsId, { refresh }))
+      );
+      if (request !== this.request) return;
+      Utils.setLoading(refreshBtn, false);
+
+      const failed = results.findIndex(r => r.status === 'rejected');
+      if (failed !== -1) {
+        console.error('Failed to load BattleMetrics details:', results[failed].reason);
+        const name = targets[failed].displayName || targets[failed].battlemetricsId;
+        content.innerHTML = `<p class="bm-detail-error">Unable to load ${Utils.escapeHtml(name)} from BattleMetrics.</p>`;
+        return;
+      }
+
+      const payloads = results.map(r => r.value);
+      this.inspected.clear();
+      if (other) {
+        this.renderCompare(content, targets, payloads);
+      } else {
+        this.renderDetail(content, server, payloads[0]);
+      }
+    },
+
+    renderDetail(content, server, payload) {
+      const attributes = payload?.data?.attributes || {};
+      const details = attributes.details || {};
+      const players = Battlemetrics.extractPlayers(payload);
+      const conflicts = Battlemetrics.extractConflicts(payload);
+      const mods = Battlemetrics.extractMods(details);
+      const settings = Battlemetrics.extractServerSettings(payload);
+
+      content.innerHTML = `
+        ${this.summaryHtml(server, payload)}
+        <div class="bm-detail-grid">
+          <section class="bm-detail-section">
+            <h3>Attributes</h3>
+            ${this.fieldsTableHtml(this.attributeFields(payload))}
+          </section>
+          <section class="bm-detail-section">
+            <h3>Server Settings</h3>
+            ${this.fieldsTableHtml(this.flatten(settings), 'No server settings reported.')}
+          </section>
+          <section class="bm-detail-section">
+            <h3>Players (${players.length})</h3>
+            ${this.playersHtml(players)}
+          </section>
+          <section class="bm-detail-section">
+            <h3>Conflicts</h3>
+            ${this.conflictsHtml(conflicts)}
+          </section>
+          <section class="bm-detail-section bm-detail-wide">
+            <h3>Mods (${mods.length})</h3>
+            ${this.modsHtml(mods)}
+          </section>
+        </div>
+        ${this.inspectorHtml(payload)}
+      `;
+    },
+
+    renderCompare(content, servers, payloads) {
+      const names = servers.map(s => s.displayName || s.battlemetricsId);
+      const fields = payloads.map(payload => ({
+        ...this.attributeFields(payload),
+        ...this.prefixKeys(this.flatten(Battlemetrics.extractServerSettings(payload)), 'settings.'),
+        'players.count': Battlemetrics.extractPlayers(payload).length,
+        'conflicts.count': Battlemetrics.extractConflicts(payload).length
+      }));
+
+      const keys = [...new Set(fields.flatMap(Object.keys))].sort();
+      let differences = 0;
+      const rows = keys.map(key => {
+        const values = fields.map(f => this.formatValue(f[key]));
+        const differs = values[0] !== values[1];
+        if (differs) differences++;
+        return `
+          <tr class="${differs ? 'bm-compare-differs' : ''}">
+            <th scope="row">${Utils.escapeHtml(key)}</th>
+            ${values.map(v => `<td>${Utils.escapeHtml(v)}</td>`).join('')}
+          </tr>
+        `;
+      }).join('');
+
+      content.innerHTML = `
+        <div class="bm-compare-summaries">
+          ${servers.map((s, i) => this.summaryHtml(s, payloads[i])).join('')}
+        </div>
+        <section class="bm-detail-section">
+          <div class="bm-compare-header">
+            <h3>Side by Side</h3>
+            <span>${differences} of ${keys.length} fields differ</span>
+            <label><input type="checkbox" id="bm-compare-diff-only"> Only differences</label>
+          </div>
+          <div class="bm-detail-scroll">
+            <table class="bm-detail-table bm-compare-table">
+              <thead>
+                <tr>
+                  <th scope="col">Field</th>
+                  ${names.map(n => `<th scope="col">${Utils.escapeHtml(n)}</th>`).join('')}
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        </section>
+        <div class="bm-mod-matrix" id="bm-compare-mods"></div>
+        <div class="bm-compare-inspectors">
+          ${payloads.map((p, i) => this.inspectorHtml(p, names[i])).join('')}
+        </div>
+      `;
+
+      const diffOnly = content.querySelector('#bm-compare-diff-only');
+      diffOnly.addEventListener('change', () => {
+        content.querySelector('.bm-compare-table').classList.toggle('differences-only', diffOnly.checked);
+      });
+
+      // Payloads are already cached, so the matrix renders without another request
+      Battlemetrics.renderModMatrix(content.querySelector('#bm-compare-mods'), servers);
+    },
+
+    summaryHtml(server, payload) {
+      const attributes = payload?.data?.attributes || {};
+      const details = attributes.details || {};
+      const state = Battlemetrics.stateFromStatus(attributes.status);
+      const uptime = details.uptime
+        ? Battlemetrics.formatUptime(details.uptime)
+        : (attributes.startTime ? Battlemetrics.calculateUptime(attributes.startTime) : 'N/A');
+
+      const facts = [
+        ['Status', Battlemetrics.states[state]],
+        ['Players', `${Number(attributes.players) || 0} / ${Number(attributes.maxPlayers) || 0}`],
+        ['Address', Battlemetrics.formatIpPort(attributes.ip, attributes.port)],
+        ['Map', details.map || attributes.map || 'N/A'],
+        ['Uptime', uptime],
+        ['BattleMetrics ID', server.battlemetricsId]
+      ];
+
+      return `
+        <div class="bm-detail-summary" data-state="${Utils.escapeHtml(state)}">
+          <h3>${Utils.escapeHtml(attributes.name || server.displayName || 'Unknown server')}</h3>
+          <dl>
+            ${facts.map(([label, value]) => `<div><dt>${label}</dt><dd>${Utils.escapeHtml(value)}</dd></div>`).join('')}
+          </dl>
+        </div>
+      `;
+    },
+
+    // Flattened data.attributes (including details.*), minus sections shown separately
+    attributeFields(payload) {
+      const fields = this.flatten(payload?.data?.attributes || {});
+      this.skipAttributes.forEach(key => {
+        Object.keys(fields)
+          .filter(field => field === key || field.startsWith(`${key}.`))
+          .forEach(field => delete fields[field]);
+      });
+      return fields;
+    },
+
+    // { a: { b: 1 } } -> { 'a.b': 1 }; arrays are kept whole
+    flatten(value, prefix = '', out = {}) {
+      if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.entries(value).forEach(([key, child]) => {
+          this.flatten(child, prefix ? `${prefix}.${key}` : key, out);
+        });
+      } else if (prefix) {
+        out[prefix] = value;
+      }
+      return out;
+    },
+
+    prefixKeys(fields, prefix) {
+      return Object.fromEntries(Object.entries(fields).map(([key, value]) => [prefix + key, value]));
+    },
+
+    formatValue(value) {
+      if (value === null || value === undefined || value === '') return '—';
+      if (Array.isArray(value)) {
+        if (!value.length) return '—';
+        return value.every(v => v === null || typeof v !== 'object')
+          ? value.join(', ')
+          : `${value.length} items (see JSON)`;
+      }
+      return String(value);
+    },
+
+    fieldsTableHtml(fields, emptyText = 'Nothing reported.') {
+      const keys = Object.keys(fields).sort();
+      if (!keys.length) return `<p class="bm-empty-state">${emptyText}</p>`;
+
+      return `
+        <div class="bm-detail-scroll">
+          <table class="bm-detail-table">
+            <tbody>
+              ${keys.map(key => `
+                <tr>
+                  <th scope="row">${Utils.escapeHtml(key)}</th>
+                  <td>${Utils.escapeHtml(this.formatValue(fields[key]))}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    },
+
+    playersHtml(players) {
+      if (!players.length) return '<p class="bm-empty-state">No players online.</p>';
+
+      return `
+        <div class="bm-detail-scroll">
+          <table class="bm-detail-table">
+            <thead><tr><th scope="col">Name</th><th scope="col">Session</th></tr></thead>
+            <tbody>
+              ${players.map(p => `
+                <tr>
+                  <td>${Utils.escapeHtml(p.name)}</td>
+                  <td>${p.sessionStart ? Utils.escapeHtml(Battlemetrics.calculateUptime(p.sessionStart)) : '—'}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    },
+
+    conflictsHtml(conflicts) {
+      if (!conflicts.length) return '<p class="bm-empty-state">No current conflicts.</p>';
+
+      return `
+        <ul class="bm-detail-list">
+          ${conflicts.map(c => `
+            <li>
+              <strong>${Utils.escapeHtml(c.name)}</strong>
+              ${c.status ? `<span>${Utils.escapeHtml(c.status)}</span>` : ''}
+              ${c.faction ? `<span>${Utils.escapeHtml(c.faction)}</span>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      `;
+    },
+
+    modsHtml(mods) {
+      if (!mods.length) return '<p class="bm-empty-state">No mods detected.</p>';
+
+      return `
+        <div class="bm-detail-scroll">
+          <table class="bm-detail-table">
+            <thead><tr><th scope="col">Mod</th><th scope="col">Version</th><th scope="col">ID</th></tr></thead>
+            <tbody>
+              ${mods.map(m => `
+                <tr>
+                  <td>${m.workshopUrl
+                    ? `<a href="${Utils.escapeHtml(m.workshopUrl)}" target="_blank" rel="noopener noreferrer">${Utils.escapeHtml(m.name)}</a>`
+                    : Utils.escapeHtml(m.name)}</td>
+                  <td>${Utils.escapeHtml(m.version || '—')}</td>
+                  <td>${Utils.escapeHtml(m.id || '—')}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+    },
+
+    // ----- JSON inspector: collapsible tree of the raw proxy response -----
+
+    inspectorHtml(payload, title = 'Raw Response') {
+      const key = String(this.inspected.size);
+      this.inspected.set(key, payload);
+
+      return `
+        <section class="bm-detail-section bm-json-inspector" data-json-key="${key}">
+          <div class="bm-json-header">
+            <h3>${Utils.escapeHtml(title)}</h3>
+            <button class="btn-secondary" type="button" data-json-action="expand">Expand all</button>
+            <button class="btn-secondary" type="button" data-json-action="collapse">Collapse all</button>
+            <button class="btn-secondary" type="button" data-json-action="copy">Copy JSON</button>
+          </div>
+          <div class="bm-json-tree">${this.jsonNodeHtml(payload, null, 0)}</div>
+        </section>
+      `;
+    },
+
+    jsonNodeHtml(value, key, depth) {
+      const label = key === null ? '' : `<span class="json-key">${Utils.escapeHtml(key)}</span>: `;
+
+      if (value === null || typeof value !== 'object') {
+        const type = value === null ? 'null' : typeof value;
+        const text = value === undefined ? 'undefined' : JSON.stringify(value);
+        return `<div class="json-leaf">${label}<span class="json-${type}">${Utils.escapeHtml(text)}</span></div>`;
+      }
+
+      const entries = Array.isArray(value) ? value.map((v, i) => [String(i), v]) : Object.entries(value);
+      const size = Array.isArray(value) ? `[${entries.length}]` : `{${entries.length}}`;
+
+      return `
+        <details class="json-node"${depth < 2 ? ' open' : ''}>
+          <summary>${label}<span class="json-size">${size}</span></summary>
+          ${entries.map(([k, v]) => this.jsonNodeHtml(v, k, depth + 1)).join('')}
+        </details>
+      `;
+    },
+
+    handleInspectorAction(button) {
+      const inspector = button.closest('.bm-json-inspector');
+      const action = button.dataset.jsonAction;
+
+      if (action === 'copy') {
+        const payload = this.inspected.get(inspector.dataset.jsonKey);
+        Battlemetrics.copyText(JSON.stringify(payload, null, 2))
+          .then(() => { button.textContent = 'Copied'; })
+          .catch(() => { button.textContent = 'Copy failed'; })
+          .finally(() => setTimeout(() => { button.textContent = 'Copy JSON'; }, 2000));
+        return;
+      }
+
+      inspector.querySelectorAll('details').forEach(d => { d.open = action === 'expand'; });
+    }
+  },
+
+  // ========================================================================
+  // Players (cross-server search and profiles)
+  // ========================================================================
+
+  players: {
+    tabEl: null,
+    results: [],
+    // Only the latest search/profile request is rendered when they overlap
+    searchRequest: null,
+    profileRequest: null,
+    minQueryLength: 2,
+    // Matches Auth.applyRoleVisibility: staff don't get the Players tab,
+    // and the notes/watchlist endpoints refuse them
+    roles: ['owner', 'admin'],
+    // BattleMetrics player ID -> watchlist row
+    watchlist: new Map(),
+    // Set after the first successful fetch (an empty watchlist is the usual case)
+    watchlistLoaded: false,
+    // Player whose profile is open: { id, name }; selectedId is set while it loads
+    current: null,
+    selectedId: null,
+
+    canManage() {
+      return this.roles.includes(State.getRole());
+    },
+
+    async init() {
+      this.tabEl = Utils.getElement('#players');
+      if (!this.tabEl || this.tabEl.dataset.initialized) return;
+      this.tabEl.dataset.initialized = 'true';
+
+      this.render();
+      this.loadWatchlist();
+
+      if (!State.servers.length) {
+        try {
+          State.setServers(await API.listServers());
+        } catch (error) {
+          console.error('Failed to load servers for player search:', error);
+        }
+      }
+    },
+
+    render() {
+      this.tabEl.innerHTML = `
+        <form class="player-search" id="player-search-form" role="search">
+          <input type="search" id="player-search-input" class="form-input" maxlength="64"
+            placeholder="Player name (current or past)" aria-label="Player name" autocomplete="off">
+          <button type="submit" class="btn-primary" id="player-search-btn">
+            <i class="fas fa-magnifying-glass" aria-hidden="true"></i> Search
+          </button>
+        </form>
+        <p class="player-search-status" id="player-search-status" aria-live="polite">
+          Searches everyone BattleMetrics has seen on our servers.
+        </p>
+        <div class="players-layout">
+          <div class="player-sidebar">
+            <div class="player-results" id="player-search-results"></div>
+            <section class="player-watchlist">
+              <h4>Watchlist <span id="player-watchlist-count"></span></h4>
+              <div id="player-watchlist"></div>
+            </section>
+          </div>
+          <div class="player-profile" id="player-profile"></div>
+        </div>
+      `;
+
+      this.tabEl.querySelector('#player-search-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.search(this.tabEl.querySelector('#player-search-input').value);
+      });
+
+      // Search results and watchlist entries both open a profile
+      this.tabEl.querySelector('.player-sidebar').addEventListener('click', (e) => {
+        const result = e.target.closest('[data-player-id]');
+        if (result) this.openProfile(result.dataset.playerId);
+      });
+
+      const profile = this.tabEl.querySelector('#player-profile');
+      profile.addEventListener('submit', (e) => {
+        if (e.target.id !== 'player-note-form') return;
+        e.preventDefault();
+        this.handleNoteSubmit();
+      });
+      profile.addEventListener('click', (e) => {
+        if (e.target.closest('#player-watch-btn')) this.handleWatchToggle();
+        const deleteBtn = e.target.closest('.delete-player-note');
+        if (deleteBtn) this.handleNoteDelete(Number(deleteBtn.dataset.id));
+      });
+    },
+
+    // Loads the watchlist into the Players tab and the portal's server cards
+    async loadWatchlist() {
+      if (!this.canManage()) return;
+
+      try {
+        const result = await API.listWatchlist();
+        const players = Array.isArray(result.data?.players) ? result.data.players : [];
+        this.watchlist = new Map(players.map(p => [String(p.player_id), p]));
+        this.watchlistLoaded = true;
+      } catch (error) {
+        console.error('Failed to load watchlist:', error);
+        return;
+      }
+
+      this.syncWatchlist();
+    },
+
+    // Pushes the current watchlist to the cards and redraws everything that shows it
+    syncWatchlist() {
+      if (window.Battlemetrics) {
+        Battlemetrics.setWatchlist([...this.watchlist.values()].map(p => ({
+          id: p.player_id,
+          name: p.player_name,
+          reason: p.reason
+        })));
+      }
+
+      if (!this.tabEl?.dataset.initialized) return;
+      this.renderWatchlist();
+      this.renderResults(this.tabEl.querySelector('#player-search-results'));
+    },
+
+    renderWatchlist() {
+      const list = this.tabEl.querySelector('#player-watchlist');
+      const count = this.tabEl.querySelector('#player-watchlist-count');
+      const players = [...this.watchlist.values()];
+
+      count.textContent = players.length ? `(${players.length})` : '';
+
+      if (!players.length) {
+        list.innerHTML = '<p class="bm-empty-state">Nobody on the watchlist.</p>';
+        return;
+      }
+
+      list.innerHTML = players.map(p => `
+        <button type="button" class="player-result is-watchlisted${this.selectedId === String(p.player_id) ? ' selected' : ''}" data-player-id="${Utils.escapeHtml(p.player_id)}">
+          <strong>${Utils.escapeHtml(p.player_name)}</strong>
+          ${p.reason ? `<span>${Utils.escapeHtml(p.reason)}</span>` : ''}
+          <small>Added by ${Utils.escapeHtml(p.added_by_name)}</small>
+        </button>
+      `).join('');
+    },
+
+    // BattleMetrics ID -> our display name, for every configured server
+    ourServers() {
+      return new Map(State.servers
+        .map(Utils.normalizeServer)
+        .filter(s => s.battlemetricsId)
+        .map(s => [String(s.battlemetricsId), s.displayName || s.battlemetricsId]));
+    },
+
+    // A player's per-server history limited to our servers, named as we name them
+    serversOnOurs(player, included) {
+      const ours = this.ourServers();
+      return Battlemetrics.extractPlayerServers(player, included)
+        .filter(s => ours.has(s.id))
+        .map(s => ({ ...s, name: ours.get(s.id) }));
+    },
+
+    setStatus(text, isError = false) {
+      const status = this.tabEl.querySelector('#player-search-status');
+      status.textContent = text;
+      status.classList.toggle('is-error', isError);
+    },
+
+    async search(rawQuery) {
+      const query = String(rawQuery || '').trim();
+      const list = this.tabEl.querySelector('#player-search-results');
+
+      if (query.length < this.minQueryLength) {
+        this.setStatus(`Enter at least ${this.minQueryLength} characters.`, true);
+        return;
+      }
+
+      const button = this.tabEl.querySelector('#player-search-btn');
+      const request = this.searchRequest = {};
+      Utils.setLoading(button, true);
+      this.setStatus(`Searching for "${query}"...`);
+
+      try {
+        const payload = await API.searchPlayers(query);
+        if (request !== this.searchRequest) return;
+
+        const players = Array.isArray(payload.data) ? payload.data : [];
+        this.results = players.map(player => {
+          const servers = this.serversOnOurs(player, payload.included);
+          const lastSeen = servers.map(s => s.lastSeen).filter(Boolean).sort().pop() || null;
+          return {
+            id: String(player.id),
+            name: String(player.attributes?.name || 'Unknown Player'),
+            servers,
+            lastSeen,
+            online: servers.filter(s => s.online)
+          };
+        }).sort((a, b) => (b.online.length > 0) - (a.online.length > 0) || String(b.lastSeen).localeCompare(String(a.lastSeen)));
+
+        this.renderResults(list);
+        this.setStatus(this.results.length
+          ? `${this.results.length} player${this.results.length === 1 ? '' : 's'} found for "${query}".`
+          : `No players found for "${query}" on our servers.`);
+      } catch (error) {
+        if (request !== this.searchRequest) return;
+        console.error('Player search failed:', error);
+        list.innerHTML = '';
+        this.setStatus(`Search failed: ${error.message}`, true);
+      } finally {
+        if (request === this.searchRequest) Utils.setLoading(button, false);
+      }
+    },
+
+    renderResults(list) {
+      list.innerHTML = this.results.map(p => {
+        const seen = p.online.length
+          ? `<span class="player-online">Online now on ${Utils.escapeHtml(p.online.map(s => s.name).join(', '))}</span>`
+          : `<span>Last seen ${Utils.escapeHtml(Utils.formatTime(p.lastSeen))}</span>`;
+
+        return `
+          <button type="button" class="player-result${this.watchlist.has(p.id) ? ' is-watchlisted' : ''}${this.selectedId === p.id ? ' selected' : ''}" data-player-id="${Utils.escapeHtml(p.id)}">
+            <strong>${Utils.escapeHtml(p.name)}</strong>
+            ${seen}
+            <small>${p.servers.length} of our servers</small>
+          </button>
+        `;
+      }).join('');
+    },
+
+    async openProfile(playerId) {
+      const profile = this.tabEl.querySelector('#player-profile');
+      const request = this.profileRequest = {};
+
+      this.selectedId = String(playerId);
+      this.tabEl.querySelectorAll('.player-result').forEach(el => {
+        el.classList.toggle('selected', el.dataset.playerId === String(playerId));
+      });
+      profile.innerHTML = '<p class="bm-empty-state">Loading player profile...</p>';
+      this.current = null;
+
+      try {
+        const [payload, record] = await Promise.all([
+          API.getPlayer(playerId),
+          API.getPlayerNotes(playerId)
+        ]);
+        if (request !== this.profileRequest) return;
+
+        this.current = { id: String(playerId), name: payload?.data?.attributes?.name || 'Unknown Player' };
+        this.renderProfile(profile, payload);
+        this.renderStaffRecord(record.data || {});
+      } catch (error) {
+        if (request !== this.profileRequest) return;
+        console.error('Failed to load player profile:', error);
+        profile.innerHTML = `<p class="bm-detail-error">Unable to load this player: ${Utils.escapeHtml(error.message)}</p>`;
+      }
+    },
+
+    renderProfile(profile, payload) {
+      const player = payload?.data || {};
+      const id = String(player.id || '');
+      const name = player.attributes?.name || 'Unknown Player';
+      const servers = this.serversOnOurs(player, payload?.included)
+        .sort((a, b) => b.timePlayed - a.timePlayed);
+
+      const totalPlayed = servers.reduce((sum, s) => sum + s.timePlayed, 0);
+      const firstSeen = servers.map(s => s.firstSeen).filter(Boolean).sort()[0] || null;
+      const lastSeen = servers.map(s => s.lastSeen).filter(Boolean).sort().pop() || null;
+      const online = servers.filter(s => s.online);
+
+      const facts = [
+        ['First seen', Utils.formatTime(firstSeen)],
+        ['Last seen', online.length ? 'Online now' : Utils.formatTime(lastSeen)],
+        ['Playtime on our servers', Battlemetrics.formatDuration(totalPlayed)],
+        ['Our servers played', String(servers.length)]
+      ];
+
+      const rows = servers.map(s => {
+        const share = totalPlayed ? Math.round((s.timePlayed / totalPlayed) * 100) : 0;
+        return `
+          <tr>
+            <th scope="row">${Utils.escapeHtml(s.name)}${s.online ? ' <span class="player-online">● online</span>' : ''}</th>
+            <td>${Utils.escapeHtml(Battlemetrics.formatDuration(s.timePlayed))}</td>
+            <td>
+              <div class="player-share" title="${share}% of their time on our servers">
+                <span style="width: ${share}%"></span>
+              </div>
+            </td>
+            <td>${Utils.escapeHtml(Utils.formatTime(s.firstSeen))}</td>
+            <td>${Utils.escapeHtml(Utils.formatTime(s.lastSeen))}</td>
+          </tr>
+        `;
+      }).join('');
+
+      profile.innerHTML = `
+        <div class="player-profile-header">
+          <h3>${Utils.escapeHtml(name)}</h3>
+          <a href="https://www.battlemetrics.com/players/${encodeURIComponent(id)}" target="_blank" rel="noopener noreferrer">
+            BattleMetrics #${Utils.escapeHtml(id)} <i class="fas fa-arrow-up-right-from-square" aria-hidden="true"></i>
+          </a>
+        </div>
+        <dl class="player-profile-facts">
+          ${facts.map(([label, value]) => `<div><dt>${label}</dt><dd>${Utils.escapeHtml(value)}</dd></div>`).join('')}
+        </dl>
+        <h4>Servers they frequent</h4>
+        ${servers.length ? `
+          <div class="bm-detail-scroll">
+            <table class="bm-detail-table player-servers">
+              <thead>
+                <tr>
+                  <th scope="col">Server</th>
+                  <th scope="col">Playtime</th>
+                  <th scope="col">Share</th>
+                  <th scope="col">First seen</th>
+                  <th scope="col">Last seen</th>
+                </tr>
+              </thead>
+              <tbody>${rows}</tbody>
+            </table>
+          </div>
+        ` : '<p class="bm-empty-state">No recorded sessions on our servers.</p>'}
+        <section class="player-staff">
+          <div class="player-watch" id="player-watch"></div>
+          <h4>Staff Notes</h4>
+          <form class="player-note-form" id="player-note-form">
+            <textarea id="player-note-input" class="form-input" rows="3" maxlength="2000"
+              placeholder="What happened? Include dates, reports and actions taken." aria-label="New staff note"></textarea>
+            <button type="submit" class="btn-primary" id="player-note-btn">Add Note</button>
+          </form>
+          <p class="form-error" id="player-note-error" role="alert" aria-live="assertive"></p>
+          <ul class="player-notes" id="player-notes"></ul>
+        </section>
+      `;
+    },
+
+    // Notes and watchlist state from getPlayerNotes.php for the open profile
+    renderStaffRecord({ notes = [], watchlist = null }) {
+      const wasWatched = Boolean(this.current && this.watchlist.has(this.current.id));
+      if (watchlist) {
+        this.watchlist.set(String(watchlist.player_id), watchlist);
+      } else if (this.current) {
+        this.watchlist.delete(this.current.id);
+      }
+      // Someone else may have changed the flag since the watchlist was loaded
+      if (wasWatched !== Boolean(watchlist)) this.syncWatchlist();
+
+      this.renderWatchControls();
+      this.renderNotes(notes);
+    },
+
+    renderWatchControls() {
+      const container = this.tabEl.querySelector('#player-watch');
+      if (!container || !this.current) return;
+
+      const entry = this.watchlist.get(this.current.id);
+      container.classList.toggle('is-watchlisted', Boolean(entry));
+      container.innerHTML = entry ? `
+        <div>
+          <strong><i class="fas fa-eye" aria-hidden="true"></i> On the watchlist</strong>
+          <span>${entry.reason ? Utils.escapeHtml(entry.reason) : 'No reason given'} •
+            added by ${Utils.escapeHtml(entry.added_by_name)} ${Utils.escapeHtml(Utils.formatTime(entry.created_at))}</span>
+        </div>
+        <button type="button" class="btn-secondary" id="player-watch-btn">Remove from Watchlist</button>
+      ` : `
+        <input type="text" id="player-watch-reason" class="form-input" maxlength="255"
+          placeholder="Reason (optional)" aria-label="Watchlist reason">
+        <button type="button" class="btn-secondary" id="player-watch-btn">
+          <i class="fas fa-eye" aria-hidden="true"></i> Add to Watchlist
+        </button>
+      `;
+    },
+
+    renderNotes(notes) {
+      const list = this.tabEl.querySelector('#player-notes');
+      if (!list) return;
+
+      if (!notes.length) {
+        list.innerHTML = '<li class="bm-empty-state">No notes yet.</li>';
+        return;
+      }
+
+      // Mirrors PlayerController::deleteNote(): authors and owners only
+      const userId = Number(State.currentUser?.userId);
+      const isOwner = State.getRole() === 'owner';
+
+      list.innerHTML = notes.map(n => `
+        <li class="player-note">
+          <div class="player-note-meta">
+            <strong>${Utils.escapeHtml(n.author_name)}</strong>
+            <span>${Utils.escapeHtml(Utils.formatTime(n.created_at))}</span>
+            ${isOwner || Number(n.author_id) === userId ? `
+              <button type="button" class="btn-danger delete-player-note" data-id="${Number(n.id)}">Delete</button>
+            ` : ''}
+          </div>
+          <p>${Utils.escapeHtml(n.note)}</p>
+        </li>
+      `).join('');
+    },
+
+    async reloadStaffRecord() {
+      if (!this.current) return;
+      const playerId = this.current.id;
+
+      const record = await API.getPlayerNotes(playerId);
+      if (this.current?.id === playerId) this.renderStaffRecord(record.data || {});
+    },
+
+    async handleNoteSubmit() {
+      const input = this.tabEl.querySelector('#player-note-input');
+      const error = this.tabEl.querySelector('#player-note-error');
+      const button = this.tabEl.querySelector('#player-note-btn');
+      const note = input.value.trim();
+
+      error.textContent = '';
+      error.classList.remove('active');
+
+      if (!note || !this.current) {
+        error.textContent = 'Write a note first.';
+        error.classList.add('active');
+        input.focus();
+        return;
+      }
+
+      Utils.setLoading(button, true);
+      try {
+        await API.addPlayerNote(this.current.id, this.current.name, note);
+        input.value = '';
+        await this.reloadStaffRecord();
+      } catch (err) {
+        console.error('Failed to add player note:', err);
+        error.textContent = err.message;
+        error.classList.add('active');
+      } finally {
+        Utils.setLoading(button, false);
+      }
+    },
+
+    async handleNoteDelete(noteId) {
+      if (!noteId || !window.confirm('Delete this note?')) return;
+
+      try {
+        await API.deletePlayerNote(noteId);
+        await this.reloadStaffRecord();
+      } catch (error) {
+        console.error('Failed to delete player note:', error);
+        alert(error.message);
+      }
+    },
+
+    async handleWatchToggle() {
+      if (!this.current) return;
+
+      const { id, name } = this.current;
+      const watched = !this.watchlist.has(id);
+      const reason = this.tabEl.querySelector('#player-watch-reason')?.value.trim() || '';
+      const button = this.tabEl.querySelector('#player-watch-btn');
+
+      Utils.setLoading(button, true);
+      try {
+        const result = await API.setWatchlist(id, name, watched, reason);
+        const entry = result.data?.watchlist;
+        if (entry) {
+          this.watchlist.set(id, entry);
+        } else {
+          this.watchlist.delete(id);
+        }
+        this.syncWatchlist();
+        if (this.current?.id === id) this.renderWatchControls();
+      } catch (error) {
+        console.error('Failed to update watchlist:', error);
+        alert(error.message);
+        Utils.setLoading(button, false);
+      }
+    }
+  },
+
+  // ========================================================================
+  // Logs (admin audit log)
+  // ========================================================================
+
+  logs: {
+    tabEl: null,
+    entries: [],
+    total: 0,
+    pageSize: 50,
+    // Action key -> label, as sent by the server
+    actions: {},
+    // Only the latest load is rendered when filters change mid-request
+    request: null,
+
+    init() {
+      this.tabEl = Utils.getElement('#logs');
+      if (!this.tabEl) return;
+
+      // Entries may have been added since the tab was last opened
+      if (this.tabEl.dataset.initialized) {
+        this.load();
+        return;
+      }
+      this.tabEl.dataset.initialized = 'true';
+
+      this.render();
+      this.load();
+    },
+
+    render() {
+      this.tabEl.innerHTML = `
+        <form class="audit-filters" id="audit-filters">
+          <label>
+            <span>Who</span>
+            <select id="audit-actor" class="form-input">
+              <option value="">Everyone</option>
+            </select>
+          </label>
+          <label>
+            <span>Action</span>
+            <select id="audit-action" class="form-input">
+              <option value="">All actions</option>
+            </select>
+          </label>
+          <label>
+            <span>From</span>
+            <input type="date" id="audit-from" class="form-input">
+          </label>
+          <label>
+            <span>To</span>
+            <input type="date" id="audit-to" class="form-input">
+          </label>
+          <div class="audit-filter-actions">
+            <button type="submit" class="btn-primary">Apply</button>
+            <button type="button" class="btn-secondary" id="audit-clear">Clear</button>
+          </div>
+        </form>
+        <p class="audit-status" id="audit-status" aria-live="polite"></p>
+        <div class="audit-entries" id="audit-entries"></div>
+        <button type="button" class="btn-secondary audit-more" id="audit-more" hidden>Load more</button>
+      `;
+
+      this.tabEl.querySelector('#audit-filters').addEventListener('submit', (e) => {
+        e.preventDefault();
+        this.load();
+      });
+
+      this.tabEl.querySelector('#audit-clear').addEventListener('click', () => {
+        this.tabEl.querySelector('#audit-filters').reset();
+        this.load();
       });
 
-      return modal;
+      this.tabEl.querySelector('#audit-more').addEventListener('click', () => this.load(true));
     },
 
-    async handleFormSubmit() {
-      const msgEl = Utils.getElement('#announcement-message');
-      const msg = msgEl?.value?.trim() || '';
+    readFilters() {
+      const value = (id) => this.tabEl.querySelector(id).value.trim();
+      return {
+        actor: value('#audit-actor'),
+        action: value('#audit-action'),
+        from: value('#audit-from'),
+        to: value('#audit-to')
+      };
+    },
 
-      if (!msg) {
-        this.setError('Message is required.');
+    setStatus(text, isError = false) {
+      const status = this.tabEl.querySelector('#audit-status');
+      status.textContent = text;
+      status.classList.toggle('is-error', isError);
+    },
+
+    async load(append = false) {
+      const filters = this.readFilters();
+
+      // Dates compare as strings in YYYY-MM-DD
+      if (filters.from && filters.to && filters.from > filters.to) {
+        this.setStatus('The start date is after the end date.', true);
         return;
       }
 
-      this.clearError();
-      const btn = Utils.getElement('#add-announcement-form button[type="submit"]');
-      Utils.setLoading(btn, true);
+      const request = {};
+      this.request = request;
+      this.setStatus('Loading…');
 
+      let data;
       try {
-        const payload = {
-          message: msg,
-          severity: Utils.getElement('#announcement-severity')?.value || 'info',
-          serverId: Utils.getElement('#announcement-server')?.value || null,
-          startsAt: Utils.getElement('#announcement-start')?.value || '',
-          endsAt: Utils.getElement('#announcement-end')?.value || '',
-          isActive: 1
-        };
-
-        await API.saveAnnouncement(payload);
-        this.closeModal();
-        await this.load();
+        // The dates are the viewer's days, sent as exact instants ("to" is exclusive)
+        const result = await API.listAuditLog({
+          ...filters,
+          from: filters.from ? this.startOfDay(filters.from) : '',
+          to: filters.to ? this.startOfDay(filters.to, 1) : '',
+          limit: this.pageSize,
+          offset: append ? this.entries.length : 0
+        });
+        data = result.data || {};
       } catch (error) {
-        console.error('Failed to save announcement:', error);
-        this.setError(error.message);
-      } finally {
-        Utils.setLoading(btn, false);
+        if (this.request !== request) return;
+        console.error('Failed to load audit log:', error);
+        this.setStatus(`Couldn't load the log: ${error.message}`, true);
+        return;
       }
+
+      if (this.request !== request) return;
+
+      const entries = Array.isArray(data.entries) ? data.entries : [];
+      this.entries = append ? this.entries.concat(entries) : entries;
+      this.total = Number(data.total) || 0;
+      this.actions = data.actions || {};
+
+      this.renderFilterOptions(Array.isArray(data.actors) ? data.actors : []);
+      this.renderEntries();
     },
 
-    async load() {
-      const listEl = Utils.getElement('#announcements-list');
-      if (!listEl) return;
+    // Local midnight of a YYYY-MM-DD date (plus whole days) as ISO 8601 UTC
+    startOfDay(date, addDays = 0) {
+      const day = new Date(`${date}T00:00:00`);
+      day.setDate(day.getDate() + addDays);
+      return day.toISOString();
+    },
 
-      listEl.innerHTML = '<p style="color: #cccccc;">Loading announcements...</p>';
+    // Rebuilds the dropdowns from the server's lists, keeping the current choice
+    renderFilterOptions(actors) {
+      const fill = (select, firstLabel, options) => {
+        const current = select.value;
+        select.innerHTML = `<option value="">${firstLabel}</option>` + options.map(([value, label]) => `
+          <option value="${Utils.escapeHtml(value)}">${Utils.escapeHtml(label)}</option>
+        `).join('');
+        select.value = options.some(([value]) => value === current) ? current : '';
+      };
 
-      try {
-        const data = await API.listAnnouncements(0);
-        this.renderList(Array.isArray(data) ? data : []);
-      } catch (error) {
-        console.error('Failed to load announcements:', error);
-        listEl.innerHTML = '<p style="color: #ff6b6b;">Unable to load announcements.</p>';
-      }
+      fill(this.tabEl.querySelector('#audit-actor'), 'Everyone', actors.map(name => [name, name]));
+      fill(this.tabEl.querySelector('#audit-action'), 'All actions', Object.entries(this.actions));
     },
 
-    renderList(announcements) {
-      const listEl = Utils.getElement('#announcements-list');
-      if (!listEl) return;
+    renderEntries() {
+      const list = this.tabEl.querySelector('#audit-entries');
+      const more = this.tabEl.querySelector('#audit-more');
 
-      if (announcements.length === 0) {
-        listEl.innerHTML = '<p style="color: #cccccc;">No announcements yet.</p>';
+      more.hidden = this.entries.length >= this.total;
+
+      if (!this.entries.length) {
+        this.setStatus('');
+        list.innerHTML = '<p class="bm-empty-state">No changes match these filters.</p>';
         return;
       }
 
-      let html = '<div class="announcements-list">';
-      announcements.forEach(a => {
-        html += `
-          <div class="announcement-card">
-            <div class="announcement-main">
-              <div class="announcement-header">
-                <span class="badge badge-${a.severity}">${a.severity.toUpperCase()}</span>
-                <span class="announcement-target">${Utils.escapeHtml(a.server_name || 'All Servers')}</span>
-                <span class="announcement-status">${Number(a.is_active) === 1 ? 'Active' : 'Inactive'}</span>
-              </div>
-              <p class="announcement-message">${Utils.escapeHtml(a.message || '')}</p>
-              <div class="announcement-schedule">
-                <span><strong>Starts:</strong> ${a.starts_at ? Utils.escapeHtml(a.starts_at) : 'Immediate'}</span>
-                <span><strong>Ends:</strong> ${a.ends_at ? Utils.escapeHtml(a.ends_at) : 'Open-ended'}</span>
-              </div>
-            </div>
-            <div class="announcement-actions">
-              <button class="btn-danger delete-announcement" data-id="${a.id}">Delete</button>
-            </div>
-          </div>
+      this.setStatus(`Showing ${this.entries.length} of ${this.total} change${this.total === 1 ? '' : 's'}.`);
+
+      list.innerHTML = this.entries.map(entry => {
+        const targetType = String(entry.action || '').split('.')[0];
+        return `
+          <details class="audit-entry audit-${Utils.escapeHtml(targetType)}">
+            <summary>
+              <time datetime="${Utils.escapeHtml(entry.created_at)}">${Utils.escapeHtml(Utils.formatTime(entry.created_at))}</time>
+              <span class="audit-action">${Utils.escapeHtml(this.actions[entry.action] || entry.action)}</span>
+              <span class="audit-summary">${Utils.escapeHtml(entry.summary)}</span>
+              <span class="audit-actor">${Utils.escapeHtml(entry.actor_name)}</span>
+            </summary>
+            ${this.diffHtml(entry.before, entry.after)}
+          </details>
         `;
-      });
-      html += '</div>';
-      listEl.innerHTML = html;
-
-      listEl.querySelectorAll('.delete-announcement').forEach(btn => {
-        btn.addEventListener('click', async () => {
-          const id = parseInt(btn.dataset.id, 10);
-          if (!Number.isNaN(id)) await this.handleDelete(id);
-        });
-      });
+      }).join('');
     },
 
-    async handleDelete(id) {
-      if (!window.confirm('Delete this announcement?')) return;
-
-      try {
-        await API.deleteAnnouncement(id);
-        await this.load();
-      } catch (error) {
-        console.error('Failed to delete announcement:', error);
-        alert(error.message);
+    // Table of the fields that differ between the before and after snapshots
+    diffHtml(before, after) {
+      if (!before && !after) {
+        return '<p class="audit-no-diff">No field changes are recorded for this action.</p>';
       }
-    },
 
-    setError(msg) {
-      const el = Utils.getElement('#add-announcement-error');
-      if (el) {
-        el.textContent = msg;
-        el.classList.add('active');
+      const keys = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+      const changed = keys.filter(key => this.formatValue(before?.[key]) !== this.formatValue(after?.[key]));
+      const unchanged = keys.length - changed.length;
+
+      if (!changed.length) {
+        return '<p class="audit-no-diff">Saved without changes.</p>';
       }
+
+      return `
+        <div class="bm-detail-scroll">
+          <table class="bm-detail-table audit-diff">
+            <thead>
+              <tr><th scope="col">Field</th><th scope="col">Before</th><th scope="col">After</th></tr>
+            </thead>
+            <tbody>
+              ${changed.map(key => `
+                <tr>
+                  <th scope="row">${Utils.escapeHtml(key)}</th>
+                  <td class="audit-before">${Utils.escapeHtml(this.formatValue(before?.[key]))}</td>
+                  <td class="audit-after">${Utils.escapeHtml(this.formatValue(after?.[key]))}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        ${unchanged ? `<p class="audit-no-diff">${unchanged} unchanged field${unchanged === 1 ? '' : 's'} not shown.</p>` : ''}
+      `;
     },
 
-    clearError() {
-      const el = Utils.getElement('#add-announcement-error');
-      if (el) {
-        el.textContent = '';
-        el.classList.remove('active');
-      }
+    formatValue(value) {
+      if (value === null || value === undefined || value === '') return '—';
+      if (typeof value === 'object') return JSON.stringify(value);
+      return String(value);
     }
   },
 
@@ -1321,6 +3317,19 @@ const Managers = {
   },
 
   ManageContent: {
+    slides: new Map(),
+    editingSlideId: null,
+    // Checked against the original file and its resized size; SlideController::uploadImage() re-checks the upload
+    slideUpload: {
+      types: ['image/jpeg', 'image/png', 'image/webp'],
+      maxFileBytes: 20 * 1024 * 1024,
+      minWidth: 800,
+      minHeight: 300,
+      maxWidth: 1920,
+      maxHeight: 1080,
+      quality: 0.85
+    },
+
     initSlideshow() {
       const btn = Utils.getElement('#manage-slideshow-btn');
       if (btn) {
@@ -1362,31 +3371,22 @@ const Managers = {
         
         newBtn.addEventListener('click', () => {
           this.closeAnnouncementsModal();
-          const addAnnouncementModal = Utils.getElement('#add-announcement-modal');
-          if (addAnnouncementModal) {
-            addAnnouncementModal.classList.add('active');
-            // Populate server select if needed
-            const serverSelect = Utils.getElement('#announcement-server');
-            if (serverSelect && serverSelect.options.length <= 1) {
-              serverSelect.innerHTML = '<option value="">All Servers</option>';
-              State.servers.forEach(s => {
-                const opt = document.createElement('option');
-                opt.value = s.id;
-                opt.textContent = Utils.escapeHtml(s.display_name || 'Server');
-                serverSelect.appendChild(opt);
-              });
-            }
-          }
+          Managers.announcements.openModal();
         });
       }
     },
 
     // Slideshow Modal
-    openSlideshowModal() {
+    async openSlideshowModal() {
       const modal = Utils.getElement('#manage-slideshow-modal');
       if (modal) {
         modal.classList.add('active');
         console.log('Slideshow modal opened');
+        this.resetSlideForm();
+        this.loadSlideImages();
+        await this.loadSlides();
+        // Re-run now that the list is known so the order defaults to the end
+        if (!this.editingSlideId) this.resetSlideForm();
       } else {
         console.error('Slideshow modal not found');
       }
@@ -1405,9 +3405,16 @@ const Managers = {
       const form = Utils.getElement('#manage-slideshow-form');
       const closeBtn = Utils.getElement('#close-manage-slideshow-modal');
       const cancelBtn = Utils.getElement('#cancel-manage-slideshow');
+      const newSlideBtn = Utils.getElement('#new-slide-btn');
+
+      // The sub-tab re-runs initSlideshow on every visit
+      if (!modal || modal.dataset.wired) return;
+      modal.dataset.wired = 'true';
 
       if (closeBtn) closeBtn.addEventListener('click', () => this.closeSlideshowModal());
       if (cancelBtn) cancelBtn.addEventListener('click', () => this.closeSlideshowModal());
+      if (newSlideBtn) newSlideBtn.addEventListener('click', () => this.resetSlideForm());
+      this.setupSlideUpload();
       if (modal) {
         modal.addEventListener('click', (e) => {
           if (e.target === modal) {
@@ -1431,6 +3438,128 @@ const Managers = {
       }
     },
 
+    async loadSlides() {
+      const listEl = Utils.getElement('#slideshow-slides-list');
+      if (!listEl) return;
+
+      try {
+        const result = await API.listSlides();
+        const slides = result.data?.slides || [];
+        this.slides = new Map(slides.map(slide => [String(slide.id), slide]));
+        this.renderSlideList(slides);
+      } catch (error) {
+        console.error('Failed to load slides:', error);
+        listEl.innerHTML = `<p style="color: #ff6b6b;">Failed to load slides: ${Utils.escapeHtml(error.message)}</p>`;
+      }
+    },
+
+    renderSlideList(slides) {
+      const listEl = Utils.getElement('#slideshow-slides-list');
+      if (!listEl) return;
+
+      if (slides.length === 0) {
+        listEl.innerHTML = '<p style="color: #cccccc;">No slides yet. The homepage shows its built-in slides until one is added.</p>';
+        return;
+      }
+
+      listEl.innerHTML = slides.map(slide => {
+        const isActive = Number(slide.is_active) === 1;
+        return `
+          <div class="slide-list-item sortable-item${isActive ? '' : ' is-hidden'}" data-id="${slide.id}">
+            ${Utils.moveButtonsHtml(slide.title)}
+            <span class="slide-list-order">${Number(slide.sort_order) || 0}</span>
+            <div class="slide-list-main">
+              <strong>${Utils.escapeHtml(slide.title)}</strong>
+              ${isActive ? '' : '<span class="slide-list-status">Hidden</span>'}
+              ${slide.description ? `<p>${Utils.escapeHtml(slide.description)}</p>` : ''}
+            </div>
+            <div class="slide-list-actions">
+              <button type="button" class="btn-secondary edit-slide" data-id="${slide.id}">Edit</button>
+              <button type="button" class="btn-danger delete-slide" data-id="${slide.id}">Delete</button>
+            </div>
+          </div>
+        `;
+      }).join('');
+
+      listEl.querySelectorAll('.edit-slide').forEach(btn => {
+        btn.addEventListener('click', () => {
+          const slide = this.slides.get(btn.dataset.id);
+          if (slide) this.fillSlideForm(slide);
+        });
+      });
+
+      listEl.querySelectorAll('.delete-slide').forEach(btn => {
+        btn.addEventListener('click', async () => {
+          const id = parseInt(btn.dataset.id, 10);
+          if (!Number.isNaN(id)) await this.handleSlideDelete(id, btn);
+        });
+      });
+
+      Utils.makeSortable(listEl, '.slide-list-item', (ids) => this.saveSlideOrder(ids));
+    },
+
+    async saveSlideOrder(ids) {
+      try {
+        await API.reorderSlides(ids.map(Number));
+      } catch (error) {
+        console.error('Failed to save slide order:', error);
+        this.setSlideshowError(error.message);
+        await this.loadSlides();
+        return;
+      }
+
+      // Update numbers in place so keyboard focus stays on the moved slide
+      ids.forEach((id, index) => {
+        const slide = this.slides.get(id);
+        if (slide) slide.sort_order = index + 1;
+        const item = Utils.getElement(`#slideshow-slides-list .slide-list-item[data-id="${id}"] .slide-list-order`);
+        if (item) item.textContent = index + 1;
+      });
+
+      // The open form would otherwise save the old position back
+      const orderInput = Utils.getElement('#slideshow-order');
+      if (orderInput) {
+        orderInput.value = this.editingSlideId
+          ? this.slides.get(String(this.editingSlideId))?.sort_order ?? orderInput.value
+          : this.slides.size + 1;
+      }
+    },
+
+    fillSlideForm(slide) {
+      this.editingSlideId = Number(slide.id);
+      Utils.getElement('#slideshow-form-heading').textContent = `Edit Slide: ${slide.title}`;
+      Utils.getElement('#slideshow-title').value = slide.title || '';
+      Utils.getElement('#slideshow-description').value = slide.description || '';
+      Utils.getElement('#slideshow-image-url').value = slide.image_url || '';
+      Utils.getElement('#slideshow-link-url').value = slide.link_url || '';
+      Utils.getElement('#slideshow-order').value = Number(slide.sort_order) || 1;
+      Utils.getElement('#slideshow-active').value = Number(slide.is_active) === 1 ? '1' : '0';
+      this.highlightSlideImage();
+      this.setSlideUploadStatus('');
+      this.setSlideshowError('');
+      Utils.getElement('#slideshow-title').focus();
+    },
+
+    resetSlideForm() {
+      const form = Utils.getElement('#manage-slideshow-form');
+      if (form) form.reset();
+      this.editingSlideId = null;
+
+      const heading = Utils.getElement('#slideshow-form-heading');
+      if (heading) heading.textContent = 'New Slide';
+
+      // Default new slides to the end of the show
+      const orderInput = Utils.getElement('#slideshow-order');
+      if (orderInput) {
+        const orders = Array.from(this.slides.values()).map(slide => Number(slide.sort_order) || 0);
+        orderInput.value = orders.length ? Math.max(...orders) + 1 : 1;
+      }
+
+      this.highlightSlideImage();
+      this.setSlideUploadStatus('');
+      this.setSlideshowError('');
+    },
+
     async handleSlideshowSubmit() {
       const data = {
         title: Utils.getElement('#slideshow-title')?.value?.trim() || '',
@@ -1441,13 +3570,243 @@ const Managers = {
         active: Utils.getElement('#slideshow-active')?.value === '1'
       };
 
+      if (!data.title) {
+        this.setSlideshowError('Title is required.');
+        return;
+      }
+
+      if (this.editingSlideId) data.id = this.editingSlideId;
+
+      const submitBtn = Utils.getElement('#manage-slideshow-form button[type="submit"]');
+      Utils.setLoading(submitBtn, true);
+      this.setSlideshowError('');
+
+      try {
+        await API.saveSlide(data);
+        await this.loadSlides();
+        this.resetSlideForm();
+      } catch (error) {
+        console.error('Failed to save slide:', error);
+        this.setSlideshowError(error.message);
+      } finally {
+        Utils.setLoading(submitBtn, false);
+      }
+    },
+
+    async handleSlideDelete(id, btn) {
+      if (!window.confirm('Delete this slide?')) return;
+
+      Utils.setLoading(btn, true);
+
+      try {
+        await API.deleteSlide(id);
+        if (this.editingSlideId === id) this.resetSlideForm();
+        await this.loadSlides();
+      } catch (error) {
+        console.error('Failed to delete slide:', error);
+        alert(error.message);
+        Utils.setLoading(btn, false);
+      }
+    },
+
+    // Slide image upload: drop zone, client-side resize and the uploads gallery
+    setupSlideUpload() {
+      const dropzone = Utils.getElement('#slide-upload-dropzone');
+      const fileInput = Utils.getElement('#slide-upload-input');
+      const urlInput = Utils.getElement('#slideshow-image-url');
+      if (!dropzone || !fileInput) return;
+
+      dropzone.addEventListener('click', () => fileInput.click());
+      dropzone.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          fileInput.click();
+        }
+      });
+
+      fileInput.addEventListener('change', () => {
+        if (fileInput.files[0]) this.handleSlideImageFile(fileInput.files[0]);
+        fileInput.value = '';
+      });
+
+      ['dragenter', 'dragover'].forEach(type => {
+        dropzone.addEventListener(type, (e) => {
+          e.preventDefault();
+          dropzone.classList.add('is-dragover');
+        });
+      });
+
+      ['dragleave', 'drop'].forEach(type => {
+        dropzone.addEventListener(type, (e) => {
+          e.preventDefault();
+          dropzone.classList.remove('is-dragover');
+        });
+      });
+
+      dropzone.addEventListener('drop', (e) => {
+        const file = e.dataTransfer?.files?.[0];
+        if (file) this.handleSlideImageFile(file);
+      });
+
+      if (urlInput) urlInput.addEventListener('input', () => this.highlightSlideImage());
+
+      const gallery = Utils.getElement('#slide-image-gallery');
+      if (gallery) {
+        gallery.addEventListener('click', (e) => {
+          const thumb = e.target.closest('.slide-image-thumb');
+          if (thumb) this.selectSlideImage(thumb.dataset.url);
+        });
+      }
+    },
+
+    async handleSlideImageFile(file) {
+      const limits = this.slideUpload;
+      const dropzone = Utils.getElement('#slide-upload-dropzone');
+
+      if (!limits.types.includes(file.type)) {
+        this.setSlideUploadStatus('Only JPEG, PNG and WebP images can be uploaded.', true);
+        return;
+      }
+
+      if (file.size > limits.maxFileBytes) {
+        this.setSlideUploadStatus(`Image is too large (max ${limits.maxFileBytes / 1024 / 1024} MB).`, true);
+        return;
+      }
+
+      dropzone?.classList.add('is-busy');
+      this.setSlideUploadStatus('Preparing image...');
+
+      try {
+        const img = await this.loadImageFile(file);
+        const width = img.naturalWidth;
+        const height = img.naturalHeight;
+
+        if (width < limits.minWidth || height < limits.minHeight) {
+          this.setSlideUploadStatus(`Image is ${width}×${height}; slides need at least ${limits.minWidth}×${limits.minHeight}.`, true);
+          return;
+        }
+
+        // Very tall or very wide images shrink below the minimum when fitted to maxWidth×maxHeight
+        const fitted = this.fitSlideImage(width, height);
+        if (fitted.width < limits.minWidth || fitted.height < limits.minHeight) {
+          this.setSlideUploadStatus(
+            `A ${width}×${height} image shrinks to ${fitted.width}×${fitted.height} to fit ${limits.maxWidth}×${limits.maxHeight}, ` +
+            `below the ${limits.minWidth}×${limits.minHeight} minimum. Crop it to a wider, banner-like shape first.`,
+            true
+          );
+          return;
+        }
+
+        const dataUrl = this.resizeSlideImage(img);
+        this.setSlideUploadStatus('Uploading...');
+
+        const result = await API.uploadSlideImage(dataUrl);
+        const image = result.data?.image;
+        await this.loadSlideImages();
+        if (image) this.selectSlideImage(image.url);
+        this.setSlideUploadStatus(`Uploaded ${image?.width || ''}×${image?.height || ''} image.`);
+      } catch (error) {
+        console.error('Failed to upload slide image:', error);
+        this.setSlideUploadStatus(error.message || 'Upload failed.', true);
+      } finally {
+        dropzone?.classList.remove('is-busy');
+      }
+    },
+
+    loadImageFile(file) {
+      return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const img = new Image();
+        img.onload = () => {
+          URL.revokeObjectURL(url);
+          resolve(img);
+        };
+        img.onerror = () => {
+          URL.revokeObjectURL(url);
+          reject(new Error('That file could not be read as an image.'));
+        };
+        img.src = url;
+      });
+    },
+
+    // Size of a width×height image fitted inside maxWidth×maxHeight (never upscaled)
+    fitSlideImage(width, height) {
+      const { maxWidth, maxHeight } = this.slideUpload;
+      const scale = Math.min(1, maxWidth / width, maxHeight / height);
+      return { width: Math.round(width * scale), height: Math.round(height * scale) };
+    },
+
+    // Fits the image inside maxWidth×maxHeight and re-encodes as JPEG
+    resizeSlideImage(img) {
+      const { quality } = this.slideUpload;
+      const size = this.fitSlideImage(img.naturalWidth, img.naturalHeight);
+      const canvas = document.createElement('canvas');
+      canvas.width = size.width;
+      canvas.height = size.height;
+
+      const ctx = canvas.getContext('2d');
+      // JPEG has no transparency; fill with the slide background colour
+      ctx.fillStyle = '#1a1a1a';
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+      return canvas.toDataURL('image/jpeg', quality);
+    },
+
+    async loadSlideImages() {
+      const gallery = Utils.getElement('#slide-image-gallery');
+      if (!gallery) return;
+
       try {
-        localStorage.setItem('slideshowData', JSON.stringify(data));
-        alert('Slideshow saved successfully!');
-        this.closeSlideshowModal();
+        const result = await API.listSlideImages();
+        this.renderSlideImageGallery(result.data?.images || []);
       } catch (error) {
-        console.error('Failed to save slideshow:', error);
-        alert('Failed to save slideshow. Please try again.');
+        console.error('Failed to load slide images:', error);
+        gallery.innerHTML = '';
+      }
+    },
+
+    renderSlideImageGallery(images) {
+      const gallery = Utils.getElement('#slide-image-gallery');
+      if (!gallery) return;
+
+      gallery.innerHTML = images.map(image => `
+        <button type="button" class="slide-image-thumb" data-url="${Utils.escapeHtml(image.url)}" title="${Utils.escapeHtml(image.name)}">
+          <img src="${Utils.escapeHtml(image.url)}" alt="" loading="lazy">
+        </button>
+      `).join('');
+
+      this.highlightSlideImage();
+    },
+
+    selectSlideImage(url) {
+      const urlInput = Utils.getElement('#slideshow-image-url');
+      if (urlInput) urlInput.value = url || '';
+      this.highlightSlideImage();
+    },
+
+    highlightSlideImage() {
+      const current = Utils.getElement('#slideshow-image-url')?.value.trim() || '';
+      Utils.getAllElements('#slide-image-gallery .slide-image-thumb').forEach(thumb => {
+        const selected = thumb.dataset.url === current;
+        thumb.classList.toggle('selected', selected);
+        thumb.setAttribute('aria-pressed', String(selected));
+      });
+    },
+
+    setSlideUploadStatus(msg, isError = false) {
+      const el = Utils.getElement('#slide-upload-status');
+      if (el) {
+        el.textContent = msg;
+        el.classList.toggle('is-error', isError);
+      }
+    },
+
+    setSlideshowError(msg) {
+      const el = Utils.getElement('#manage-slideshow-error');
+      if (el) {
+        el.textContent = msg;
+        el.style.display = msg ? 'block' : 'none';
       }
     },
 
@@ -1687,6 +4046,7 @@ const Managers = {
                 <span class="user-status">${Utils.escapeHtml(announcement.server_name || 'All Servers')}</span>
               </div>
               <div class="user-actions">
+                <button class="btn-secondary edit-announcement" type="button" data-id="${announcement.id}">Edit</button>
                 <button class="btn-danger delete-announcement" data-id="${announcement.id}">Delete</button>
               </div>
             </div>
@@ -1695,6 +4055,15 @@ const Managers = {
         html += '</div>';
         container.innerHTML = html;
 
+        container.querySelectorAll('.edit-announcement').forEach(btn => {
+          btn.addEventListener('click', () => {
+            const announcement = announcements.find(a => String(a.id) === btn.dataset.id);
+            if (!announcement) return;
+            this.closeAnnouncementsModal();
+            Managers.announcements.openModal(announcement, 'edit');
+          });
+        });
+
         container.querySelectorAll('.delete-announcement').forEach(btn => {
           btn.addEventListener('click', async () => {
             const id = parseInt(btn.dataset.id, 10);
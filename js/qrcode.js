@@ -0,0 +1,410 @@
+// Minimal QR code generator (byte mode, error correction level M, versions 1-10).
+// Enough for server addresses and short links; used by the connect panel in
+// js/battlemetrics.js so console players can scan an address off the screen.
+(() => {
+    const MAX_VERSION = 10;
+
+    // Level M, indexed by version: ECC codewords per block and number of blocks
+    const ECC_CODEWORDS_PER_BLOCK = [null, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26];
+    const NUM_ERROR_CORRECTION_BLOCKS = [null, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5];
+
+    // Format bits for level M are 00
+    const ECC_FORMAT_BITS = 0;
+
+    const MASKS = [
+        (x, y) => (x + y) % 2 === 0,
+        (x, y) => y % 2 === 0,
+        (x) => x % 3 === 0,
+        (x, y) => (x + y) % 3 === 0,
+        (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+        (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+        (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+        (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    function getBit(value, index) {
+        return ((value >>> index) & 1) !== 0;
+    }
+
+    function numRawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const numAlign = Math.floor(version / 7) + 2;
+            result -= (25 * numAlign - 10) * numAlign - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    function numDataCodewords(version) {
+        return Math.floor(numRawDataModules(version) / 8) -
+            ECC_CODEWORDS_PER_BLOCK[version] * NUM_ERROR_CORRECTION_BLOCKS[version];
+    }
+
+    function alignmentPositions(version) {
+        if (version === 1) {
+            return [];
+        }
+
+        const numAlign = Math.floor(version / 7) + 2;
+        const step = Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+        const result = [6];
+        for (let pos = version * 4 + 10; result.length < numAlign; pos -= step) {
+            result.splice(1, 0, pos);
+        }
+        return result;
+    }
+
+    // ── Reed-Solomon over GF(2^8) with polynomial 0x11D ──────────────────────
+
+    function gfMultiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    function reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = gfMultiply(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = gfMultiply(root, 0x02);
+        }
+        return result;
+    }
+
+    function reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= gfMultiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    // ── Data encoding ────────────────────────────────────────────────────────
+
+    function chooseVersion(byteLength) {
+        for (let version = 1; version <= MAX_VERSION; version++) {
+            const countBits = version < 10 ? 8 : 16;
+            if (4 + countBits + byteLength * 8 <= numDataCodewords(version) * 8) {
+                return version;
+            }
+        }
+        throw new RangeError('Text too long for QR code');
+    }
+
+    function encodeData(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+
+        append(0x4, 4); // byte mode
+        append(bytes.length, version < 10 ? 8 : 16);
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = numDataCodewords(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - bits.length % 8) % 8);
+
+        for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+            append(pad, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        return codewords;
+    }
+
+    // Splits data into blocks, appends ECC to each, then interleaves them
+    function addErrorCorrection(data, version) {
+        const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[version];
+        const blockEccLength = ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(numRawDataModules(version) / 8);
+        const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+        const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+        const divisor = reedSolomonDivisor(blockEccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < numBlocks; i++) {
+            const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+            const block = data.slice(offset, offset + length);
+            offset += length;
+
+            const ecc = reedSolomonRemainder(block, divisor);
+            if (i < numShortBlocks) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                // Skip the padding byte added to short blocks
+                if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    // ── Matrix construction ──────────────────────────────────────────────────
+
+    function createGrid(size) {
+        return Array.from({ length: size }, () => new Array(size).fill(false));
+    }
+
+    function drawFunctionPatterns(version, modules, isFunction) {
+        const size = modules.length;
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                        set(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                // Corners already hold finder patterns
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+                    return;
+                }
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas now; real bits are drawn once the mask is known
+        drawFormatBits(0, modules, isFunction);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+
+            for (let i = 0; i < 18; i++) {
+                const dark = getBit(bits, i);
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                set(a, b, dark);
+                set(b, a, dark);
+            }
+        }
+    }
+
+    function drawFormatBits(mask, modules, isFunction) {
+        const size = modules.length;
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            isFunction[y][x] = true;
+        };
+
+        const data = (ECC_FORMAT_BITS << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+
+        for (let i = 0; i <= 5; i++) {
+            set(8, i, getBit(bits, i));
+        }
+        set(8, 7, getBit(bits, 6));
+        set(8, 8, getBit(bits, 7));
+        set(7, 8, getBit(bits, 8));
+        for (let i = 9; i < 15; i++) {
+            set(14 - i, 8, getBit(bits, i));
+        }
+
+        for (let i = 0; i < 8; i++) {
+            set(size - 1 - i, 8, getBit(bits, i));
+        }
+        for (let i = 8; i < 15; i++) {
+            set(8, size - 15 + i, getBit(bits, i));
+        }
+        set(8, size - 8, true);
+    }
+
+    // Zig-zags up and down two-column strips from the bottom-right corner
+    function drawCodewords(codewords, modules, isFunction) {
+        const size = modules.length;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) {
+                right = 5;
+            }
+            for (let vertical = 0; vertical < size; vertical++) {
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    const upward = ((right + 1) & 2) === 0;
+                    const y = upward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                        i++;
+                    }
+                }
+            }
+        }
+    }
+
+    function applyMask(mask, modules, isFunction) {
+        const test = MASKS[mask];
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (!isFunction[y][x] && test(x, y)) {
+                    row[x] = !dark;
+                }
+            });
+        });
+    }
+
+    // Simplified penalty (runs, 2x2 blocks, dark balance). Any mask decodes;
+    // this only steers towards the easier-to-scan ones.
+    function penaltyScore(modules) {
+        const size = modules.length;
+        let score = 0;
+        let dark = 0;
+
+        for (let a = 0; a < size; a++) {
+            let rowRun = 1;
+            let columnRun = 1;
+            for (let b = 1; b <= size; b++) {
+                if (b < size && modules[a][b] === modules[a][b - 1]) {
+                    rowRun++;
+                } else {
+                    if (rowRun >= 5) score += rowRun - 2;
+                    rowRun = 1;
+                }
+                if (b < size && modules[b][a] === modules[b - 1][a]) {
+                    columnRun++;
+                } else {
+                    if (columnRun >= 5) score += columnRun - 2;
+                    columnRun = 1;
+                }
+            }
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (
+                    x < size - 1 && y < size - 1 &&
+                    modules[y][x] === modules[y][x + 1] &&
+                    modules[y][x] === modules[y + 1][x] &&
+                    modules[y][x] === modules[y + 1][x + 1]
+                ) {
+                    score += 3;
+                }
+            }
+        }
+
+        const total = size * size;
+        score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+        return score;
+    }
+
+    /**
+     * Encodes text into a square matrix of booleans (true = dark module).
+     * Throws RangeError when the UTF-8 text does not fit in version 10.
+     */
+    function encode(text) {
+        const bytes = Array.from(new TextEncoder().encode(String(text)));
+        const version = chooseVersion(bytes.length);
+        const codewords = addErrorCorrection(encodeData(bytes, version), version);
+        const size = version * 4 + 17;
+
+        const modules = createGrid(size);
+        const isFunction = createGrid(size);
+        drawFunctionPatterns(version, modules, isFunction);
+        drawCodewords(codewords, modules, isFunction);
+
+        let best = null;
+        for (let mask = 0; mask < MASKS.length; mask++) {
+            applyMask(mask, modules, isFunction);
+            drawFormatBits(mask, modules, isFunction);
+            const score = penaltyScore(modules);
+            if (!best || score < best.score) {
+                best = { mask, score };
+            }
+            applyMask(mask, modules, isFunction); // XOR again to undo
+        }
+
+        applyMask(best.mask, modules, isFunction);
+        drawFormatBits(best.mask, modules, isFunction);
+        return modules;
+    }
+
+    /**
+     * Renders text as an SVG string. Options: margin (quiet zone in modules,
+     * default 4) and label (accessible name for the image).
+     */
+    function toSvg(text, options = {}) {
+        const modules = encode(text);
+        const margin = options.margin ?? 4;
+        const size = modules.length + margin * 2;
+        const label = String(options.label || text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/"/g, '&quot;');
+
+        let path = '';
+        modules.forEach((row, y) => {
+            row.forEach((dark, x) => {
+                if (dark) {
+                    path += `M${x + margin},${y + margin}h1v1h-1z`;
+                }
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img" aria-label="${label}">` +
+            `<rect width="100%" height="100%" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`;
+    }
+
+    window.QRCode = { encode, toSvg };
+})();
@@ -0,0 +1,191 @@
+// Announcement schedules, shared by the public banner (js/main.js) and the
+// portal list (js/portal.js). starts_at/ends_at are wall-clock times in the
+// announcement's own IANA timezone, so "20:00 Europe/London" stays 20:00 across
+// DST changes whatever the viewer's timezone. Rows without a (valid) timezone,
+// saved before it was recorded, are read as UTC on both sides
+// (AnnouncementController::FALLBACK_TIMEZONE), so every viewer agrees.
+//
+// Recurrence rules mirror AnnouncementController::isLiveAt():
+//   none   - live between starts_at and ends_at
+//   daily  - every day at starts_at's time of day, for recurrence_duration minutes
+//   weekly - as daily, only on recurrence_days ("1,5" = Mon, Fri; 0 = Sunday)
+//   hourly - every recurrence_interval hours counted from starts_at
+// ends_at closes the whole series. Any other stored type is read as none, as
+// in AnnouncementController::recurrenceOf(); tests/announcement_schedule.json
+// holds cases both sides are checked against.
+(() => {
+    const RECURRENCE_TYPES = ['none', 'daily', 'weekly', 'hourly'];
+    const DEFAULT_DURATION_MINUTES = 60;
+    const MINUTE = 60 * 1000;
+    const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const FALLBACK_ZONE = 'UTC';
+
+    const formatters = new Map();
+
+    // Returns an Intl formatter for the zone, or null for unknown zones
+    function formatter(timeZone) {
+        if (!formatters.has(timeZone)) {
+            let format = null;
+            try {
+                format = new Intl.DateTimeFormat('en-US', {
+                    timeZone,
+                    hourCycle: 'h23',
+                    year: 'numeric',
+                    month: '2-digit',
+                    day: '2-digit',
+                    hour: '2-digit',
+                    minute: '2-digit',
+                    second: '2-digit'
+                });
+            } catch {
+                console.warn(`Unknown announcement timezone: ${timeZone}`);
+            }
+            formatters.set(timeZone, format);
+        }
+        return formatters.get(timeZone);
+    }
+
+    function resolveZone(timeZone) {
+        return timeZone && formatter(timeZone) ? timeZone : FALLBACK_ZONE;
+    }
+
+    // Wall-clock parts of an instant in the zone
+    function wallParts(time, zone) {
+        const parts = {};
+        formatter(zone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+            if (type !== 'literal') parts[type] = Number(value);
+        });
+        return parts;
+    }
+
+    // Wall-clock time in a zone -> epoch ms. The second pass settles times
+    // near a DST switch, where the offset at the guess differs from the result.
+    function zonedTime({ year, month, day, hour, minute, second }, zone) {
+        const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+        const offsetAt = (time) => {
+            const p = wallParts(time, zone);
+            return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(time / 1000) * 1000;
+        };
+
+        const guess = wall - offsetAt(wall);
+        return wall - offsetAt(guess);
+    }
+
+    // MySQL DATETIME ("2024-01-15 20:00:00") -> parts; null when empty/invalid
+    function parseWall(value) {
+        const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?/);
+        if (!match) return null;
+
+        const [year, month, day, hour, minute, second = 0] = match.slice(1).map(Number);
+        return { year, month, day, hour, minute, second };
+    }
+
+    function toTime(value, zone) {
+        const parts = parseWall(value);
+        return parts ? zonedTime(parts, zone) : null;
+    }
+
+    function recurrenceType(announcement) {
+        const type = String(announcement.recurrence_type || 'none');
+        return RECURRENCE_TYPES.includes(type) ? type : 'none';
+    }
+
+    function recurrenceDays(announcement) {
+        return String(announcement.recurrence_days || '')
+            .split(',')
+            .filter(day => day.trim() !== '')
+            .map(Number)
+            .filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    }
+
+    function durationMinutes(announcement) {
+        return Math.max(1, Number(announcement.recurrence_duration) || DEFAULT_DURATION_MINUTES);
+    }
+
+    // Start of the occurrence covering `now`, or null between occurrences
+    function currentOccurrence(announcement, now, zone, start) {
+        const type = recurrenceType(announcement);
+        const duration = durationMinutes(announcement) * MINUTE;
+
+        if (type === 'hourly') {
+            const period = Math.max(1, Number(announcement.recurrence_interval) || 1) * 60 * MINUTE;
+            const occurrence = start + Math.floor((now - start) / period) * period;
+            return now < occurrence + duration ? occurrence : null;
+        }
+
+        // Daily/weekly: walk back over the last week of dates in the zone
+        const first = parseWall(announcement.starts_at);
+        const days = recurrenceDays(announcement);
+        const today = wallParts(now, zone);
+
+        for (let i = 0; i <= 7; i++) {
+            const date = new Date(Date.UTC(today.year, today.month - 1, today.day - i));
+            if (type === 'weekly' && !days.includes(date.getUTCDay())) continue;
+
+            const occurrence = zonedTime({
+                year: date.getUTCFullYear(),
+                month: date.getUTCMonth() + 1,
+                day: date.getUTCDate(),
+                hour: first.hour,
+                minute: first.minute,
+                second: first.second
+            }, zone);
+
+            if (occurrence < start) break;
+            if (occurrence <= now && now < occurrence + duration) return occurrence;
+        }
+
+        return null;
+    }
+
+    function isLive(announcement, now = Date.now()) {
+        if (Number(announcement.is_active) !== 1) return false;
+
+        const zone = resolveZone(announcement.timezone);
+        const start = toTime(announcement.starts_at, zone);
+        const end = toTime(announcement.ends_at, zone);
+
+        if ((start !== null && start > now) || (end !== null && end < now)) return false;
+        if (recurrenceType(announcement) === 'none' || start === null) return true;
+
+        return currentOccurrence(announcement, now, zone, start) !== null;
+    }
+
+    // 'live' | 'scheduled' (not started, or between occurrences) | 'expired' | 'inactive'
+    function status(announcement, now = Date.now()) {
+        if (Number(announcement.is_active) !== 1) return 'inactive';
+        if (isLive(announcement, now)) return 'live';
+
+        const end = toTime(announcement.ends_at, resolveZone(announcement.timezone));
+        return end !== null && end < now ? 'expired' : 'scheduled';
+    }
+
+    // Zone the row's times are read in (FALLBACK_ZONE when unset or unknown)
+    function zoneOf(announcement) {
+        return resolveZone(announcement.timezone);
+    }
+
+    // Human-readable rule, e.g. "Weekly on Mon, Fri at 20:00 for 30 min"; '' for one-off
+    function describe(announcement) {
+        const type = recurrenceType(announcement);
+        if (type === 'none') return '';
+
+        const first = parseWall(announcement.starts_at);
+        const time = first ? `${String(first.hour).padStart(2, '0')}:${String(first.minute).padStart(2, '0')}` : '';
+        const duration = `for ${durationMinutes(announcement)} min`;
+
+        if (type === 'hourly') {
+            const hours = Math.max(1, Number(announcement.recurrence_interval) || 1);
+            return `Every ${hours === 1 ? 'hour' : `${hours} hours`} from ${time} ${duration}`;
+        }
+
+        if (type === 'weekly') {
+            const days = recurrenceDays(announcement).map(day => WEEKDAYS[day]).join(', ');
+            return `Weekly on ${days} at ${time} ${duration}`;
+        }
+
+        return `Daily at ${time} ${duration}`;
+    }
+
+    window.AnnouncementSchedule = { isLive, status, describe, zoneOf, WEEKDAYS };
+})();
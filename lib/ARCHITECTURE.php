@@ -36,6 +36,7 @@
  * │ - db.php: Database connection helpers                                      │
  * │ - auth.php: Authentication helper stubs                                    │
  * │ - battlemetrics_client.php: BattleMetrics API client wrapper              │
+ * │ - discord_webhook_client.php: Discord webhook publisher                   │
  * └─────────────────────────────────────────────────────────────────────────────┘
  *                            │
  *                            ▼
@@ -57,25 +58,44 @@
  * │   ├── ServerController.php       ← Server CRUD operations
  * │   ├── AnnouncementController.php ← Announcement CRUD operations
  * │   ├── UserController.php         ← User management operations
+ * │   ├── SlideController.php        ← Homepage slideshow CRUD + image uploads
+ * │   ├── PlayerController.php       ← Staff notes + player watchlist
+ * │   ├── AuditLogController.php     ← Admin audit log (who changed what)
  * │   ├── api_common.php             ← Common API helpers
  * │   ├── auth.php                   ← Auth helper stubs
  * │   ├── db.php                     ← Database helpers
- * │   └── battlemetrics_client.php   ← BattleMetrics API client
+ * │   ├── battlemetrics_client.php   ← BattleMetrics API client
+ * │   └── discord_webhook_client.php ← Discord webhook publisher
  * ├── dbconnect.php                  ← Database connection handler
  * ├── login.php                      ← Authentication endpoint
  * ├── auth_check.php                 ← Session verification endpoint
  * ├── getServers.php                 ← List servers endpoint
  * ├── saveServer.php                 ← Create/update server endpoint
  * ├── deleteServer.php               ← Soft-delete server endpoint
+ * ├── reorderServers.php             ← Bulk server order endpoint
  * ├── getAnnouncements.php           ← List announcements endpoint
- * ├── saveAnnouncement.php           ← Create announcement endpoint
+ * ├── saveAnnouncement.php           ← Create/update announcement endpoint
+ * ├── toggleAnnouncement.php         ← Activate/deactivate announcement endpoint
  * ├── deleteAnnouncement.php         ← Soft-delete announcement endpoint
+ * ├── getSlides.php                  ← List slides endpoint
+ * ├── saveSlide.php                  ← Create/update slide endpoint
+ * ├── deleteSlide.php                ← Delete slide endpoint
+ * ├── reorderSlides.php              ← Bulk slide order endpoint
+ * ├── uploadSlideImage.php           ← Slide image upload endpoint
+ * ├── getSlideImages.php             ← Uploaded slide images endpoint
  * ├── listUsers.php                  ← List users endpoint
  * ├── addUser.php                    ← Create user endpoint
  * ├── deactivateUser.php             ← Deactivate user endpoint
  * ├── reactivateUser.php             ← Reactivate user endpoint
  * ├── resetUserPassword.php          ← Reset password endpoint
+ * ├── getPlayerNotes.php             ← Player notes + watchlist entry endpoint
+ * ├── addPlayerNote.php              ← Create player note endpoint
+ * ├── deletePlayerNote.php           ← Delete player note endpoint
+ * ├── getWatchlist.php               ← List watched players endpoint
+ * ├── setWatchlist.php               ← Add/remove watched player endpoint
+ * ├── getAuditLog.php                ← Audit log listing endpoint
  * ├── battlemetrics.php              ← BattleMetrics API proxy
+ * ├── getServerSnapshot.php          ← Last-known server snapshot endpoint
  * └── cluster.php                    ← Server snapshot utility
  * 
  * ═════════════════════════════════════════════════════════════════════════════════
@@ -11,11 +11,14 @@
  * - Creating announcements
  * - Deleting announcements (soft-delete)
  * - Time-window validation
+ * - Recurring schedules (daily, weekly, every N hours)
+ * - Publishing to Discord via webhook
  * 
  * FEATURES
  * ────────
- * ✓ Filtering by serverId, battlemetricsId, activeOnly
+ * ✓ Filtering by serverId, battlemetricsId, activeOnly, includeUpcoming
  * ✓ Time-window filtering (starts_at/ends_at)
+ * ✓ Recurrence rules evaluated in the announcement's own timezone
  * ✓ Severity whitelist validation
  * ✓ HTML datetime-local to MySQL DATETIME conversion
  * ✓ Soft-delete with graceful end time
@@ -41,6 +44,49 @@ class AnnouncementController
      */
     private const ALLOWED_SEVERITIES = ['info', 'success', 'warning', 'error'];
 
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ RECURRENCE RULES                                                        │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * - none:   Single window (starts_at → ends_at)
+     * - daily:  Every day at starts_at's time of day
+     * - weekly: As daily, limited to recurrence_days (0=Sunday … 6=Saturday)
+     * - hourly: Every recurrence_interval hours, counted from starts_at
+     * 
+     * Each occurrence stays live for recurrence_duration minutes; ends_at closes
+     * the whole series. js/schedule.js implements the same rules for the browser.
+     * Stored rows with any other type are read as 'none' on both sides
+     * (recurrenceOf); tests/announcement_schedule.json checks they agree.
+     */
+    private const ALLOWED_RECURRENCES = ['none', 'daily', 'weekly', 'hourly'];
+
+    private const DEFAULT_DURATION_MINUTES = 60;
+
+    private const MAX_INTERVAL_HOURS = 168;
+
+    // Zone for rows without one; js/schedule.js uses the same (FALLBACK_ZONE)
+    private const FALLBACK_TIMEZONE = 'UTC';
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ COLUMNS ADDED AFTER THE ORIGINAL SCHEMA                                 │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * Name → definition, in order. Added to existing tables by ensureColumns().
+     */
+    private const ADDED_COLUMNS = [
+        'recurrence_type' => "VARCHAR(16) NOT NULL DEFAULT 'none' AFTER ends_at",
+        'recurrence_days' => 'VARCHAR(32) NULL AFTER recurrence_type',
+        'recurrence_interval' => 'INT NULL AFTER recurrence_days',
+        'recurrence_duration' => 'INT NULL AFTER recurrence_interval',
+        'timezone' => 'VARCHAR(64) NULL AFTER recurrence_duration',
+        'discord_status' => 'VARCHAR(16) NULL AFTER timezone',
+        'discord_detail' => 'VARCHAR(255) NULL AFTER discord_status',
+        'discord_posted_at' => 'DATETIME NULL AFTER discord_detail',
+        'deleted_at' => 'TIMESTAMP NULL DEFAULT NULL AFTER is_active',
+    ];
+
     // ─────────────────────────────────────────────────────────────────────────────
     // SECTION 2: TABLE MANAGEMENT
     // ─────────────────────────────────────────────────────────────────────────────
@@ -58,7 +104,17 @@ class AnnouncementController
      * - message: Announcement text
      * - severity: 'info', 'success', 'warning', 'error'
      * - starts_at, ends_at: Time window (NULL=always active)
-     * - is_active: Soft-delete flag
+     * - recurrence_type: 'none', 'daily', 'weekly', 'hourly'
+     * - recurrence_days: Weekdays for weekly rules, e.g. "1,5" (Mon, Fri)
+     * - recurrence_interval: Hours between occurrences for hourly rules
+     * - recurrence_duration: Minutes each occurrence stays live
+     * - timezone: IANA zone the times were entered in (NULL=FALLBACK_TIMEZONE)
+     * - discord_status: Last webhook delivery, 'sent' or 'failed' (NULL=never posted)
+     * - discord_detail: HTTP status or error of the last delivery
+     * - discord_posted_at: When the last delivery was attempted
+     * - is_active: Shown/hidden switch (toggled from the portal)
+     * - deleted_at: When the announcement was deleted (NULL=not deleted);
+     *   deleted rows are left out of every query
      * - created_at, updated_at: Timestamps
      * 
      * FOREIGN KEY: server_id → servers(id) ON DELETE SET NULL
@@ -77,7 +133,16 @@ class AnnouncementController
                 severity VARCHAR(16) NOT NULL DEFAULT 'info',
                 starts_at DATETIME NULL,
                 ends_at DATETIME NULL,
+                recurrence_type VARCHAR(16) NOT NULL DEFAULT 'none',
+                recurrence_days VARCHAR(32) NULL,
+                recurrence_interval INT NULL,
+                recurrence_duration INT NULL,
+                timezone VARCHAR(64) NULL,
+                discord_status VARCHAR(16) NULL,
+                discord_detail VARCHAR(255) NULL,
+                discord_posted_at DATETIME NULL,
                 is_active TINYINT(1) NOT NULL DEFAULT 1,
+                deleted_at TIMESTAMP NULL DEFAULT NULL,
                 created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
                 updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
                 INDEX idx_server_id (server_id),
@@ -89,6 +154,46 @@ class AnnouncementController
         ";
 
         @$conn->query($sql);
+
+        self::ensureColumns($conn);
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ ENSURE ADDED COLUMNS EXIST                                              │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * Tables created before recurring schedules / Discord publishing / soft
+     * deletes lack those columns; CREATE TABLE IF NOT EXISTS won't add them, so add any
+     * missing ones from ADDED_COLUMNS here.
+     * 
+     * @param mysqli $conn Database connection
+     * @return void
+     */
+    private static function ensureColumns(mysqli $conn): void
+    {
+        $result = @$conn->query('SHOW COLUMNS FROM announcements');
+
+        if (!$result) {
+            return;
+        }
+
+        $existing = [];
+        while ($row = $result->fetch_assoc()) {
+            $existing[$row['Field']] = true;
+        }
+        $result->free();
+
+        $additions = [];
+        foreach (self::ADDED_COLUMNS as $name => $definition) {
+            if (!isset($existing[$name])) {
+                $additions[] = "ADD COLUMN {$name} {$definition}";
+            }
+        }
+
+        if (!empty($additions)) {
+            @$conn->query('ALTER TABLE announcements ' . implode(', ', $additions));
+        }
     }
 
     // ─────────────────────────────────────────────────────────────────────────────
@@ -103,10 +208,14 @@ class AnnouncementController
      * Supports filtering by:
      * - serverId: Shows announcements for that server + global
      * - battlemetricsId: Looks up server, then filters like serverId
-     * - activeOnly: Only announcements in their active time window
+     * - activeOnly: Only announcements live right now (time window and
+     *   recurrence, evaluated in PHP so timezones are honoured)
+     * - includeUpcoming: With activeOnly, also keep enabled announcements
+     *   that haven't ended yet, so a client polling every few minutes can
+     *   show each one the moment it starts (js/schedule.js decides when)
      * 
      * @param mysqli $conn Database connection
-     * @param array $filters ['serverId' => int, 'battlemetricsId' => string, 'activeOnly' => bool]
+     * @param array $filters ['serverId' => int, 'battlemetricsId' => string, 'activeOnly' => bool, 'includeUpcoming' => bool]
      * @return array Array of announcement objects
      */
     public static function getAnnouncements(mysqli $conn, array $filters = []): array
@@ -120,12 +229,14 @@ class AnnouncementController
         $serverId = isset($filters['serverId']) ? (int)$filters['serverId'] : 0;
         $battlemetricsId = isset($filters['battlemetricsId']) ? trim((string)$filters['battlemetricsId']) : '';
         $activeOnly = isset($filters['activeOnly']) ? (int)$filters['activeOnly'] : 0;
+        $includeUpcoming = !empty($filters['includeUpcoming']);
 
         // ────────────────────────────────────────────────────────────────────────
         // STEP 2: Build WHERE Clause Dynamically
         // ────────────────────────────────────────────────────────────────────────
         
-        $conditions = [];
+        // Deleted announcements are kept for the audit log only
+        $conditions = ['a.deleted_at IS NULL'];
         $params = [];
         $types = '';
 
@@ -143,14 +254,9 @@ class AnnouncementController
 
         if ($activeOnly === 1) {
             $conditions[] = 'a.is_active = 1';
-            $conditions[] = '(a.starts_at IS NULL OR a.starts_at <= NOW())';
-            $conditions[] = '(a.ends_at IS NULL OR a.ends_at >= NOW())';
         }
 
-        $where = '';
-        if (!empty($conditions)) {
-            $where = 'WHERE ' . implode(' AND ', $conditions);
-        }
+        $where = 'WHERE ' . implode(' AND ', $conditions);
 
         // ────────────────────────────────────────────────────────────────────────
         // STEP 3: Build and Execute Query
@@ -163,6 +269,14 @@ class AnnouncementController
                 a.severity,
                 a.starts_at,
                 a.ends_at,
+                a.recurrence_type,
+                a.recurrence_days,
+                a.recurrence_interval,
+                a.recurrence_duration,
+                a.timezone,
+                a.discord_status,
+                a.discord_detail,
+                a.discord_posted_at,
                 a.is_active,
                 a.created_at,
                 a.updated_at,
@@ -207,15 +321,27 @@ class AnnouncementController
             return [];
         }
 
+        // Windows and recurrences depend on each row's timezone, so filter here
+        if ($activeOnly === 1) {
+            $now = time();
+            $announcements = array_values(array_filter(
+                $announcements,
+                static fn(array $announcement): bool => $includeUpcoming
+                    ? !self::hasEndedAt($announcement, $now)
+                    : self::isLiveAt($announcement, $now)
+            ));
+        }
+
         return $announcements;
     }
 
     /**
      * ┌─────────────────────────────────────────────────────────────────────────┐
-     * │ SAVE ANNOUNCEMENT - Create New Announcement                            │
+     * │ SAVE ANNOUNCEMENT - Create or Update Announcement                      │
      * └─────────────────────────────────────────────────────────────────────────┘
      * 
      * Validates, normalizes datetime, and inserts into database.
+     * When $data['id'] is set, updates that announcement instead.
      * 
      * @param array $data Announcement data
      * @param mysqli $conn Database connection
@@ -223,7 +349,8 @@ class AnnouncementController
      *   'success' => bool,
      *   'announcement' => array | null,
      *   'id' => int,
-     *   'message' => string (on failure)
+     *   'message' => string (on failure),
+     *   'code' => int (HTTP status code on failure)
      * ]
      */
     public static function saveAnnouncement(array $data, mysqli $conn): array
@@ -240,6 +367,7 @@ class AnnouncementController
             return [
                 'success' => false,
                 'message' => 'Message is required.',
+                'code' => 422,
             ];
         }
 
@@ -259,102 +387,283 @@ class AnnouncementController
         $startsAtDb = self::normalizeDateTime($startsAt);
         $endsAtDb = self::normalizeDateTime($endsAt);
 
+        $timezone = isset($data['timezone']) ? trim((string)$data['timezone']) : '';
+
+        if ($timezone !== '' && !in_array($timezone, DateTimeZone::listIdentifiers(), true)) {
+            return [
+                'success' => false,
+                'message' => 'Unknown timezone.',
+                'code' => 422,
+            ];
+        }
+
+        $timezone = $timezone !== '' ? $timezone : null;
+
+        $recurrence = self::normalizeRecurrence($data, $startsAtDb);
+
+        if (isset($recurrence['error'])) {
+            return [
+                'success' => false,
+                'message' => $recurrence['error'],
+                'code' => 422,
+            ];
+        }
+
         $isActive = isset($data['isActive']) ? (int)(!!$data['isActive']) : 1;
 
+        $announcementId = isset($data['id']) ? (int)$data['id'] : 0;
+
         // ────────────────────────────────────────────────────────────────────────
-        // STEP 2: Insert Announcement
+        // STEP 2: Insert or Update Announcement
         // ────────────────────────────────────────────────────────────────────────
         
-        $stmt = $conn->prepare("
-            INSERT INTO announcements (server_id, message, severity, starts_at, ends_at, is_active)
-            VALUES (?, ?, ?, ?, ?, ?)
-        ");
+        if ($announcementId > 0) {
+            $stmt = $conn->prepare("
+                UPDATE announcements
+                SET server_id = ?, message = ?, severity = ?, starts_at = ?, ends_at = ?, is_active = ?,
+                    recurrence_type = ?, recurrence_days = ?, recurrence_interval = ?, recurrence_duration = ?, timezone = ?
+                WHERE id = ? AND deleted_at IS NULL
+                LIMIT 1
+            ");
+        } else {
+            $stmt = $conn->prepare("
+                INSERT INTO announcements (
+                    server_id, message, severity, starts_at, ends_at, is_active,
+                    recurrence_type, recurrence_days, recurrence_interval, recurrence_duration, timezone
+                )
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ");
+        }
 
         if (!$stmt) {
             return [
                 'success' => false,
                 'message' => 'Failed to prepare statement.',
+                'code' => 500,
             ];
         }
 
-        $stmt->bind_param('issssi', $serverId, $message, $severity, $startsAtDb, $endsAtDb, $isActive);
+        $recurrenceType = $recurrence['type'];
+        $recurrenceDays = $recurrence['days'];
+        $recurrenceInterval = $recurrence['interval'];
+        $recurrenceDuration = $recurrence['duration'];
+
+        if ($announcementId > 0) {
+            $stmt->bind_param(
+                'issssissiisi',
+                $serverId, $message, $severity, $startsAtDb, $endsAtDb, $isActive,
+                $recurrenceType, $recurrenceDays, $recurrenceInterval, $recurrenceDuration, $timezone,
+                $announcementId
+            );
+        } else {
+            $stmt->bind_param(
+                'issssissiis',
+                $serverId, $message, $severity, $startsAtDb, $endsAtDb, $isActive,
+                $recurrenceType, $recurrenceDays, $recurrenceInterval, $recurrenceDuration, $timezone
+            );
+        }
 
         if (!$stmt->execute()) {
             $stmt->close();
             return [
                 'success' => false,
                 'message' => 'Failed to save announcement.',
+                'code' => 500,
             ];
         }
 
-        $insertId = $stmt->insert_id;
+        $savedId = $announcementId > 0 ? $announcementId : $stmt->insert_id;
         $stmt->close();
 
         // ────────────────────────────────────────────────────────────────────────
         // STEP 3: Retrieve Saved Announcement
         // ────────────────────────────────────────────────────────────────────────
         
-        $select = $conn->prepare("
-            SELECT
-                a.id,
-                a.message,
-                a.severity,
-                a.starts_at,
-                a.ends_at,
-                a.is_active,
-                a.created_at,
-                a.updated_at,
-                a.server_id,
-                s.display_name AS server_name,
-                s.battlemetrics_id
-            FROM announcements a
-            LEFT JOIN servers s ON s.id = a.server_id
-            WHERE a.id = ?
-            LIMIT 1
-        ");
+        $announcement = self::findAnnouncement($savedId, $conn);
 
-        $announcement = null;
-
-        if ($select) {
-            $select->bind_param('i', $insertId);
-            $select->execute();
-            $result = $select->get_result();
-            $announcement = $result ? $result->fetch_assoc() : null;
-            $select->close();
+        // An UPDATE that matched nothing still "succeeds"; the lookup tells us
+        if ($announcementId > 0 && !$announcement) {
+            return [
+                'success' => false,
+                'message' => 'Announcement not found.',
+                'code' => 404,
+            ];
         }
 
         return [
             'success' => true,
             'announcement' => $announcement,
-            'id' => $insertId,
+            'id' => $savedId,
+        ];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ PUBLISH TO DISCORD - Post Announcement via Webhook                     │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * Sends the saved announcement to the configured Discord webhook and
+     * records the outcome on the row (discord_status/detail/posted_at).
+     * A failed delivery is reported, not fatal: the announcement stays saved.
+     * 
+     * @param int $announcementId Announcement ID
+     * @param mysqli $conn Database connection
+     * @param DiscordWebhookClient|null $client Webhook client (defaults to env config)
+     * @return array [
+     *   'success' => bool,
+     *   'delivered' => bool,
+     *   'detail' => string,
+     *   'announcement' => array | null,
+     *   'message' => string (on failure),
+     *   'code' => int (HTTP status code on failure)
+     * ]
+     */
+    public static function publishToDiscord(int $announcementId, mysqli $conn, ?DiscordWebhookClient $client = null): array
+    {
+        $announcement = $announcementId > 0 ? self::findAnnouncement($announcementId, $conn) : null;
+
+        if (!$announcement) {
+            return [
+                'success' => false,
+                'message' => 'Announcement not found.',
+                'code' => 404,
+            ];
+        }
+
+        $client = $client ?? new DiscordWebhookClient();
+        $delivery = $client->publishAnnouncement($announcement);
+
+        $status = $delivery['ok'] ? 'sent' : 'failed';
+        $detail = $delivery['ok'] ? "HTTP {$delivery['status']}" : mb_substr((string)$delivery['error'], 0, 255);
+
+        $stmt = $conn->prepare('
+            UPDATE announcements
+            SET discord_status = ?, discord_detail = ?, discord_posted_at = NOW()
+            WHERE id = ?
+            LIMIT 1
+        ');
+
+        if ($stmt) {
+            $stmt->bind_param('ssi', $status, $detail, $announcementId);
+            $stmt->execute();
+            $stmt->close();
+        }
+
+        return [
+            'success' => true,
+            'delivered' => $delivery['ok'],
+            'detail' => $detail,
+            'announcement' => self::findAnnouncement($announcementId, $conn) ?? $announcement,
         ];
     }
 
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ SET ACTIVE - Activate or Deactivate Announcement                       │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * Flips is_active only; message, target and schedule are left untouched
+     * (unlike deleteAnnouncement, which removes it from the portal list).
+     * Deleted announcements can't be toggled back.
+     * 
+     * @param int $announcementId Announcement ID
+     * @param bool $isActive New state
+     * @param mysqli $conn Database connection
+     * @return array ['success' => bool, 'message' => string, 'code' => int (on failure)]
+     */
+    public static function setActive(int $announcementId, bool $isActive, mysqli $conn): array
+    {
+        self::ensureTableExists($conn);
+
+        if ($announcementId <= 0) {
+            return [
+                'success' => false,
+                'message' => 'Invalid announcement ID.',
+                'code' => 422,
+            ];
+        }
+
+        $stmt = $conn->prepare('UPDATE announcements SET is_active = ? WHERE id = ? AND deleted_at IS NULL LIMIT 1');
+
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+                'code' => 500,
+            ];
+        }
+
+        $active = $isActive ? 1 : 0;
+        $stmt->bind_param('ii', $active, $announcementId);
+
+        if (!$stmt->execute()) {
+            $stmt->close();
+            return [
+                'success' => false,
+                'message' => 'Failed to update announcement.',
+                'code' => 500,
+            ];
+        }
+
+        $changed = $stmt->affected_rows > 0;
+        $stmt->close();
+
+        // Nothing changed either because the row is missing or it already had this state
+        if (!$changed && !self::findAnnouncement($announcementId, $conn)) {
+            return [
+                'success' => false,
+                'message' => 'Announcement not found.',
+                'code' => 404,
+            ];
+        }
+
+        return ['success' => true];
+    }
+
     /**
      * ┌─────────────────────────────────────────────────────────────────────────┐
      * │ DELETE ANNOUNCEMENT - Soft-Delete Announcement                         │
      * └─────────────────────────────────────────────────────────────────────────┘
      * 
-     * Sets is_active = 0 and ends_at = COALESCE(ends_at, NOW()).
-     * Gracefully ends announcements that don't have an end time.
+     * Sets deleted_at, which drops it from every list (the public site and
+     * the portal), and ends_at to now when it had no end time. is_active is
+     * left alone: hiding an announcement and deleting it are separate actions.
+     * ends_at is wall-clock time in the row's timezone (see isLiveAt), so
+     * "now" is taken there rather than from the database session.
      * 
      * @param int $announcementId Announcement ID to delete
      * @param mysqli $conn Database connection
-     * @return array ['success' => bool, 'message' => string (on failure)]
+     * @return array ['success' => bool, 'message' => string, 'code' => int (on failure)]
      */
     public static function deleteAnnouncement(int $announcementId, mysqli $conn): array
     {
+        self::ensureTableExists($conn);
+
         if ($announcementId <= 0) {
             return [
                 'success' => false,
                 'message' => 'Invalid announcement ID.',
+                'code' => 422,
             ];
         }
 
+        $announcement = self::findAnnouncement($announcementId, $conn);
+
+        if (!$announcement) {
+            return [
+                'success' => false,
+                'message' => 'Announcement not found.',
+                'code' => 404,
+            ];
+        }
+
+        $endsAt = $announcement['ends_at']
+            ?: (new DateTimeImmutable('now', self::resolveTimezone($announcement['timezone'])))->format('Y-m-d H:i:s');
+
         $stmt = $conn->prepare('
             UPDATE announcements
-            SET is_active = 0, ends_at = COALESCE(ends_at, NOW())
-            WHERE id = ?
+            SET deleted_at = CURRENT_TIMESTAMP, ends_at = ?
+            WHERE id = ? AND deleted_at IS NULL
             LIMIT 1
         ');
 
@@ -362,16 +671,18 @@ class AnnouncementController
             return [
                 'success' => false,
                 'message' => 'Failed to prepare statement.',
+                'code' => 500,
             ];
         }
 
-        $stmt->bind_param('i', $announcementId);
+        $stmt->bind_param('si', $endsAt, $announcementId);
 
         if (!$stmt->execute()) {
             $stmt->close();
             return [
                 'success' => false,
                 'message' => 'Failed to delete announcement.',
+                'code' => 500,
             ];
         }
 
@@ -384,6 +695,57 @@ class AnnouncementController
     // SECTION 4: HELPER METHODS
     // ─────────────────────────────────────────────────────────────────────────────
 
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ FIND ANNOUNCEMENT - Load One Announcement with Server Details          │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * @param int $announcementId Announcement ID
+     * @param mysqli $conn Database connection
+     * @return array|null Announcement row or null if missing or deleted
+     */
+    private static function findAnnouncement(int $announcementId, mysqli $conn): ?array
+    {
+        $select = $conn->prepare("
+            SELECT
+                a.id,
+                a.message,
+                a.severity,
+                a.starts_at,
+                a.ends_at,
+                a.recurrence_type,
+                a.recurrence_days,
+                a.recurrence_interval,
+                a.recurrence_duration,
+                a.timezone,
+                a.discord_status,
+                a.discord_detail,
+                a.discord_posted_at,
+                a.is_active,
+                a.created_at,
+                a.updated_at,
+                a.server_id,
+                s.display_name AS server_name,
+                s.battlemetrics_id
+            FROM announcements a
+            LEFT JOIN servers s ON s.id = a.server_id
+            WHERE a.id = ? AND a.deleted_at IS NULL
+            LIMIT 1
+        ");
+
+        if (!$select) {
+            return null;
+        }
+
+        $select->bind_param('i', $announcementId);
+        $select->execute();
+        $result = $select->get_result();
+        $announcement = $result ? $result->fetch_assoc() : null;
+        $select->close();
+
+        return $announcement ?: null;
+    }
+
     /**
      * ┌─────────────────────────────────────────────────────────────────────────┐
      * │ NORMALIZE DATETIME - Convert HTML to MySQL Format                      │
@@ -410,6 +772,241 @@ class AnnouncementController
 
         return date('Y-m-d H:i:s', $ts);
     }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ NORMALIZE RECURRENCE - Validate Recurrence Fields                      │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * Input keys: recurrenceType, recurrenceDays (array or "1,5"),
+     * recurrenceInterval (hours), recurrenceDuration (minutes).
+     * Fields that don't apply to the chosen type are stored as NULL.
+     * 
+     * @param array $data Raw request data
+     * @param string|null $startsAt Normalized start (recurring rules need one)
+     * @return array ['type', 'days', 'interval', 'duration'] or ['error' => string]
+     */
+    private static function normalizeRecurrence(array $data, ?string $startsAt): array
+    {
+        $type = isset($data['recurrenceType']) ? strtolower(trim((string)$data['recurrenceType'])) : 'none';
+
+        if ($type === '') {
+            $type = 'none';
+        }
+
+        if (!in_array($type, self::ALLOWED_RECURRENCES, true)) {
+            return ['error' => 'Unknown recurrence type.'];
+        }
+
+        if ($type === 'none') {
+            return ['type' => 'none', 'days' => null, 'interval' => null, 'duration' => null];
+        }
+
+        if ($startsAt === null) {
+            return ['error' => 'Recurring announcements need a start time.'];
+        }
+
+        $duration = isset($data['recurrenceDuration']) && $data['recurrenceDuration'] !== ''
+            ? (int)$data['recurrenceDuration']
+            : self::DEFAULT_DURATION_MINUTES;
+
+        // An occurrence can't outlast the gap before the next one
+        $maxDuration = 24 * 60;
+        $days = null;
+        $interval = null;
+
+        if ($type === 'weekly') {
+            $rawDays = $data['recurrenceDays'] ?? [];
+            $rawDays = is_array($rawDays) ? $rawDays : explode(',', (string)$rawDays);
+            $weekdays = [];
+
+            foreach ($rawDays as $day) {
+                if (is_numeric($day) && (int)$day >= 0 && (int)$day <= 6) {
+                    $weekdays[] = (int)$day;
+                }
+            }
+
+            $weekdays = array_values(array_unique($weekdays));
+            sort($weekdays);
+
+            if (empty($weekdays)) {
+                return ['error' => 'Pick at least one day for a weekly announcement.'];
+            }
+
+            $days = implode(',', $weekdays);
+        }
+
+        if ($type === 'hourly') {
+            $interval = isset($data['recurrenceInterval']) ? (int)$data['recurrenceInterval'] : 0;
+
+            if ($interval < 1 || $interval > self::MAX_INTERVAL_HOURS) {
+                return ['error' => 'Repeat interval must be between 1 and ' . self::MAX_INTERVAL_HOURS . ' hours.'];
+            }
+
+            $maxDuration = $interval * 60;
+        }
+
+        if ($duration < 1 || $duration > $maxDuration) {
+            return ['error' => "Duration must be between 1 and {$maxDuration} minutes."];
+        }
+
+        return ['type' => $type, 'days' => $days, 'interval' => $interval, 'duration' => $duration];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ IS LIVE AT - Evaluate Window and Recurrence                            │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * starts_at/ends_at are wall-clock times in the row's timezone, so a
+     * "20:00 Europe/London" rule stays at 20:00 across DST changes.
+     * Must stay in step with isLive() in js/schedule.js.
+     * 
+     * @param array $announcement Announcement row
+     * @param int $now Unix timestamp
+     * @return bool True if the announcement should be shown at $now
+     */
+    private static function isLiveAt(array $announcement, int $now): bool
+    {
+        if ((int)$announcement['is_active'] !== 1) {
+            return false;
+        }
+
+        $tz = self::resolveTimezone($announcement['timezone'] ?? null);
+        $first = $announcement['starts_at'] ? new DateTimeImmutable($announcement['starts_at'], $tz) : null;
+        $start = $first ? $first->getTimestamp() : null;
+        $end = $announcement['ends_at'] ? (new DateTimeImmutable($announcement['ends_at'], $tz))->getTimestamp() : null;
+
+        if (($start !== null && $start > $now) || ($end !== null && $end < $now)) {
+            return false;
+        }
+
+        ['type' => $type, 'days' => $days, 'duration' => $duration] = self::recurrenceOf($announcement);
+
+        if ($type === 'none' || $first === null) {
+            return true;
+        }
+
+        $duration *= 60;
+
+        if ($type === 'hourly') {
+            $period = max(1, (int)$announcement['recurrence_interval']) * 3600;
+            $occurrence = $start + intdiv($now - $start, $period) * $period;
+            return $now < $occurrence + $duration;
+        }
+
+        // Daily/weekly: walk back over the last week of dates in the row's timezone
+        $today = (new DateTimeImmutable('@' . $now))->setTimezone($tz);
+        $timeOfDay = $first->format('H:i:s');
+
+        for ($i = 0; $i <= 7; $i++) {
+            $date = $today->modify("-{$i} day")->format('Y-m-d');
+            $occurrence = new DateTimeImmutable("{$date} {$timeOfDay}", $tz);
+
+            if ($type === 'weekly' && !in_array((int)$occurrence->format('w'), $days, true)) {
+                continue;
+            }
+
+            $occurrenceTs = $occurrence->getTimestamp();
+
+            if ($occurrenceTs < $start) {
+                break;
+            }
+
+            if ($occurrenceTs <= $now && $now < $occurrenceTs + $duration) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ RECURRENCE OF - Read a Stored Rule                                      │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * The read-side counterpart of normalizeRecurrence(), for rows that
+     * predate it or were edited by hand: unknown types count as 'none',
+     * stray weekdays are dropped and a missing duration is the default.
+     * Same as recurrenceType()/recurrenceDays()/durationMinutes() in
+     * js/schedule.js.
+     * 
+     * @param array $announcement Announcement row
+     * @return array ['type' => string, 'days' => int[], 'duration' => int (minutes)]
+     */
+    private static function recurrenceOf(array $announcement): array
+    {
+        $type = (string)($announcement['recurrence_type'] ?? 'none');
+
+        if (!in_array($type, self::ALLOWED_RECURRENCES, true)) {
+            $type = 'none';
+        }
+
+        $days = [];
+        foreach (explode(',', (string)($announcement['recurrence_days'] ?? '')) as $day) {
+            $day = trim($day);
+            if (is_numeric($day) && (float)$day === (float)(int)$day && (int)$day >= 0 && (int)$day <= 6) {
+                $days[] = (int)$day;
+            }
+        }
+
+        $duration = (int)($announcement['recurrence_duration'] ?? 0) ?: self::DEFAULT_DURATION_MINUTES;
+
+        return ['type' => $type, 'days' => $days, 'duration' => max(1, $duration)];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ HAS ENDED AT - Past Its Window (or Hidden)                              │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * The rows a live banner still needs: everything else is shown now or
+     * later, and isLive() in js/schedule.js picks the moment.
+     * 
+     * @param array $announcement Announcement row
+     * @param int $now Unix timestamp
+     * @return bool True if the announcement can't be shown at $now or later
+     */
+    private static function hasEndedAt(array $announcement, int $now): bool
+    {
+        if ((int)$announcement['is_active'] !== 1) {
+            return true;
+        }
+
+        if (!$announcement['ends_at']) {
+            return false;
+        }
+
+        $tz = self::resolveTimezone($announcement['timezone'] ?? null);
+
+        return (new DateTimeImmutable($announcement['ends_at'], $tz))->getTimestamp() < $now;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ RESOLVE TIMEZONE                                                        │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * Rows saved before timezones were recorded (or with an unknown zone) use
+     * FALLBACK_TIMEZONE, as js/schedule.js does, so the banner and the
+     * server agree on when they're live.
+     * 
+     * @param string|null $name IANA timezone name
+     * @return DateTimeZone
+     */
+    private static function resolveTimezone(?string $name): DateTimeZone
+    {
+        if ($name) {
+            try {
+                return new DateTimeZone($name);
+            } catch (Throwable $e) {
+                // Fall through to the fallback
+            }
+        }
+
+        return new DateTimeZone(self::FALLBACK_TIMEZONE);
+    }
 }
 
 ?>
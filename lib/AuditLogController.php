@@ -0,0 +1,501 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * lib/AuditLogController.php
+ * ═════════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Records who changed what through the portal's mutating endpoints, and
+ * lists those records for the portal Logs tab:
+ * - record(): one row per successful change, with before/after snapshots
+ * - snapshot() / snapshotOrder(): the row (or display order) as stored,
+ *   taken by the endpoint around its change
+ * - getLogs(): filtered, newest-first listing
+ *
+ * Endpoints call record() only after the controller reports success, and a
+ * failed write here never fails the change itself.
+ *
+ * FEATURES
+ * ────────
+ * ✓ Idempotent table creation (IF NOT EXISTS)
+ * ✓ Before/after row snapshots stored as JSON (secrets never included)
+ * ✓ Actor name kept on each entry (survives account deactivation)
+ * ✓ Parameterized queries (SQL injection prevention)
+ *
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/db.php';
+
+class AuditLogController
+{
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 1: CONSTANTS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Action keys and their labels in the Logs tab.
+     */
+    public const ACTIONS = [
+        'server.create' => 'Server added',
+        'server.update' => 'Server updated',
+        'server.delete' => 'Server deleted',
+        'server.reorder' => 'Servers reordered',
+        'user.create' => 'User added',
+        'user.deactivate' => 'User deactivated',
+        'user.reactivate' => 'User reactivated',
+        'user.password_reset' => 'Password reset',
+        'announcement.create' => 'Announcement created',
+        'announcement.update' => 'Announcement updated',
+        'announcement.toggle' => 'Announcement shown/hidden',
+        'announcement.delete' => 'Announcement deleted',
+        'slide.create' => 'Slide added',
+        'slide.update' => 'Slide updated',
+        'slide.delete' => 'Slide deleted',
+        'slide.reorder' => 'Slides reordered',
+    ];
+
+    /**
+     * Roles allowed to read the log. Matches the portal, where staff
+     * accounts don't get the Logs tab.
+     */
+    public const VIEW_ROLES = ['owner', 'admin'];
+
+    /**
+     * Tables snapshot() may read, with the columns it may look rows up by.
+     */
+    private const SNAPSHOT_TABLES = [
+        'servers' => ['id', 'battlemetrics_id'],
+        'users' => ['id'],
+        'announcements' => ['id'],
+        'slides' => ['id'],
+    ];
+
+    // Never copied into the log; updated_at is left out as the entry has its own time
+    private const SNAPSHOT_EXCLUDED_COLUMNS = ['password_hash', 'updated_at'];
+
+    private const DEFAULT_PAGE_SIZE = 50;
+
+    private const MAX_PAGE_SIZE = 200;
+
+    private const MAX_SUMMARY_LENGTH = 255;
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 2: TABLE MANAGEMENT
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ ENSURE AUDIT LOG TABLE EXISTS                                           │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Idempotent: Creates if missing, no-op if exists.
+     *
+     * TABLE SCHEMA:
+     * - id: Primary key (auto-increment)
+     * - action: Key of ACTIONS (e.g. 'server.delete')
+     * - target_type, target_id: What was changed ('server', 12)
+     * - summary: One-line description for the list
+     * - before_data, after_data: JSON row snapshots (NULL when not applicable)
+     * - actor_id, actor_name: Portal user who made the change
+     * - ip_address: Client address
+     * - created_at: Timestamp
+     *
+     * @param mysqli $conn Database connection
+     * @return void
+     */
+    private static function ensureTableExists(mysqli $conn): void
+    {
+        $sql = "
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                action VARCHAR(64) NOT NULL,
+                target_type VARCHAR(32) NOT NULL,
+                target_id VARCHAR(64) NULL,
+                summary VARCHAR(255) NOT NULL,
+                before_data MEDIUMTEXT NULL,
+                after_data MEDIUMTEXT NULL,
+                actor_id INT NOT NULL,
+                actor_name VARCHAR(255) NOT NULL,
+                ip_address VARCHAR(45) NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_created_at (created_at),
+                INDEX idx_action (action),
+                INDEX idx_actor_name (actor_name)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+        ";
+
+        @$conn->query($sql);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 3: WRITING ENTRIES
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ SNAPSHOT - Current Row for a Before/After Record                        │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param mysqli $conn Database connection
+     * @param string $table One of SNAPSHOT_TABLES
+     * @param string $column Lookup column allowed for that table
+     * @param int|string $value Lookup value
+     * @return array|null Row without excluded columns, or null if missing
+     */
+    public static function snapshot(mysqli $conn, string $table, string $column, $value): ?array
+    {
+        // Table and column are interpolated, so only whitelisted names get through
+        if (!in_array($column, self::SNAPSHOT_TABLES[$table] ?? [], true)) {
+            return null;
+        }
+
+        $stmt = $conn->prepare("SELECT * FROM {$table} WHERE {$column} = ? LIMIT 1");
+
+        if (!$stmt) {
+            return null;
+        }
+
+        $value = (string)$value;
+        $stmt->bind_param('s', $value);
+        $stmt->execute();
+        $result = $stmt->get_result();
+        $row = $result ? $result->fetch_assoc() : null;
+        $stmt->close();
+
+        if (!$row) {
+            return null;
+        }
+
+        return array_diff_key($row, array_flip(self::SNAPSHOT_EXCLUDED_COLUMNS));
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ SNAPSHOT ORDER - Current Display Order of Some Rows                     │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Lets a reorder be logged as before/after lists of IDs.
+     *
+     * @param mysqli $conn Database connection
+     * @param string $table Key of SORTABLE_TABLES (lib/db.php)
+     * @param array $ids Rows to include (others are left out)
+     * @return array|null ['order' => [id, ...]], or null for an unknown table
+     */
+    public static function snapshotOrder(mysqli $conn, string $table, array $ids): ?array
+    {
+        // Same whitelist as the reorder itself, as the table name is interpolated
+        if (!isset(SORTABLE_TABLES[$table])) {
+            return null;
+        }
+
+        $wanted = array_flip(array_map('intval', $ids));
+        $result = $conn->query("SELECT id FROM {$table} ORDER BY sort_order ASC, id ASC");
+        $order = [];
+
+        if ($result) {
+            while ($row = $result->fetch_assoc()) {
+                if (isset($wanted[(int)$row['id']])) {
+                    $order[] = (int)$row['id'];
+                }
+            }
+            $result->free();
+        }
+
+        return ['order' => $order];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ RECORD - Write One Audit Entry                                          │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Failures are logged server-side and otherwise ignored: the change being
+     * recorded has already happened. Every endpoint that records a change
+     * rejects callers without a portal session first, so there is always an
+     * actor.
+     *
+     * @param mysqli $conn Database connection
+     * @param array $actor User from AuthController::checkAuth()
+     * @param string $action Key of ACTIONS
+     * @param string $targetType 'server', 'user', 'announcement' or 'slide'
+     * @param int|string|null $targetId ID of the changed row
+     * @param string $summary One-line description
+     * @param array|null $before Row before the change (null for creations)
+     * @param array|null $after Row after the change
+     * @return bool True if the entry was written
+     */
+    public static function record(
+        mysqli $conn,
+        array $actor,
+        string $action,
+        string $targetType,
+        $targetId,
+        string $summary,
+        ?array $before = null,
+        ?array $after = null
+    ): bool {
+        self::ensureTableExists($conn);
+
+        if (!isset(self::ACTIONS[$action])) {
+            error_log("Audit log: unknown action {$action}");
+            return false;
+        }
+
+        $targetId = $targetId !== null ? (string)$targetId : null;
+        $summary = mb_substr(trim($summary), 0, self::MAX_SUMMARY_LENGTH);
+        $beforeJson = $before !== null ? json_encode($before, JSON_UNESCAPED_UNICODE) : null;
+        $afterJson = $after !== null ? json_encode($after, JSON_UNESCAPED_UNICODE) : null;
+        $actorId = (int)$actor['id'];
+        $actorName = (string)$actor['name'];
+        $ipAddress = isset($_SERVER['REMOTE_ADDR']) ? (string)$_SERVER['REMOTE_ADDR'] : null;
+
+        $stmt = $conn->prepare("
+            INSERT INTO audit_log
+                (action, target_type, target_id, summary, before_data, after_data, actor_id, actor_name, ip_address)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ");
+
+        if (!$stmt) {
+            error_log('Audit log: failed to prepare insert');
+            return false;
+        }
+
+        $stmt->bind_param(
+            'ssssssiss',
+            $action,
+            $targetType,
+            $targetId,
+            $summary,
+            $beforeJson,
+            $afterJson,
+            $actorId,
+            $actorName,
+            $ipAddress
+        );
+
+        $ok = $stmt->execute();
+        $stmt->close();
+
+        if (!$ok) {
+            error_log("Audit log: failed to record {$action}");
+        }
+
+        return $ok;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 4: READING ENTRIES
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ CAN VIEW LOGS - Role Check for the Logs Tab                             │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param array|null $user User from AuthController::checkAuth()
+     * @return bool True for owners and admins
+     */
+    public static function canViewLogs(?array $user): bool
+    {
+        return $user !== null && in_array((string)($user['role'] ?? ''), self::VIEW_ROLES, true);
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ GET LOGS - Filtered Entries, Newest First                               │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param mysqli $conn Database connection
+     * @param array $filters [
+     *   'actor' => string (exact actor name),
+     *   'action' => string (key of ACTIONS),
+     *   'from' => ISO 8601 date-time with offset (inclusive),
+     *   'to' => ISO 8601 date-time with offset (exclusive),
+     *   'limit' => int (default 50, max 200),
+     *   'offset' => int
+     * ]
+     * @return array [
+     *   'success' => bool,
+     *   'entries' => array (before/after decoded, created_at as ISO 8601 UTC),
+     *   'total' => int (matching entries),
+     *   'actors' => array (every actor name, for the filter),
+     *   'actions' => array (ACTIONS),
+     *   'message' => string (on failure),
+     *   'code' => int (HTTP status code on failure)
+     * ]
+     */
+    public static function getLogs(mysqli $conn, array $filters = []): array
+    {
+        self::ensureTableExists($conn);
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 1: Validate Filters and Build WHERE Clause
+        // ────────────────────────────────────────────────────────────────────────
+
+        $where = [];
+        $types = '';
+        $params = [];
+
+        $actor = trim((string)($filters['actor'] ?? ''));
+        if ($actor !== '') {
+            $where[] = 'actor_name = ?';
+            $types .= 's';
+            $params[] = $actor;
+        }
+
+        $action = trim((string)($filters['action'] ?? ''));
+        if ($action !== '') {
+            if (!isset(self::ACTIONS[$action])) {
+                return [
+                    'success' => false,
+                    'message' => 'Unknown action filter.',
+                    'code' => 422,
+                ];
+            }
+            $where[] = 'action = ?';
+            $types .= 's';
+            $params[] = $action;
+        }
+
+        foreach (['from' => '>=', 'to' => '<'] as $key => $operator) {
+            $value = trim((string)($filters[$key] ?? ''));
+            if ($value === '') {
+                continue;
+            }
+
+            // An explicit offset is required: the viewer's days aren't the database's
+            $date = null;
+            if (preg_match('/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/', $value)) {
+                try {
+                    $date = new DateTimeImmutable($value);
+                } catch (Exception $e) {
+                    $date = null;
+                }
+            }
+
+            if (!$date) {
+                return [
+                    'success' => false,
+                    'message' => 'Dates must be ISO 8601 date-times with a UTC offset.',
+                    'code' => 422,
+                ];
+            }
+
+            // FROM_UNIXTIME() and TIMESTAMP columns share the session time zone
+            $where[] = "created_at {$operator} FROM_UNIXTIME(?)";
+            $types .= 'i';
+            $params[] = $date->getTimestamp();
+        }
+
+        $whereSql = $where ? 'WHERE ' . implode(' AND ', $where) : '';
+        $limit = (int)($filters['limit'] ?? self::DEFAULT_PAGE_SIZE);
+        $limit = max(1, min(self::MAX_PAGE_SIZE, $limit));
+        $offset = max(0, (int)($filters['offset'] ?? 0));
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 2: Count Matching Entries
+        // ────────────────────────────────────────────────────────────────────────
+
+        $count = $conn->prepare("SELECT COUNT(*) AS total FROM audit_log {$whereSql}");
+
+        if (!$count) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+                'code' => 500,
+            ];
+        }
+
+        if ($params) {
+            $count->bind_param($types, ...$params);
+        }
+        $count->execute();
+        $countResult = $count->get_result();
+        $total = (int)(($countResult ? $countResult->fetch_assoc() : null)['total'] ?? 0);
+        $count->close();
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 3: Fetch the Requested Page
+        // ────────────────────────────────────────────────────────────────────────
+
+        $stmt = $conn->prepare("
+            SELECT id, action, target_type, target_id, summary, before_data, after_data,
+                   actor_id, actor_name, ip_address, UNIX_TIMESTAMP(created_at) AS created_ts
+            FROM audit_log
+            {$whereSql}
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        ");
+
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+                'code' => 500,
+            ];
+        }
+
+        $pageTypes = $types . 'ii';
+        $pageParams = array_merge($params, [$limit, $offset]);
+        $stmt->bind_param($pageTypes, ...$pageParams);
+        $stmt->execute();
+        $result = $stmt->get_result();
+
+        $entries = [];
+
+        if ($result) {
+            while ($row = $result->fetch_assoc()) {
+                $row['before'] = $row['before_data'] !== null ? json_decode($row['before_data'], true) : null;
+                $row['after'] = $row['after_data'] !== null ? json_decode($row['after_data'], true) : null;
+                $row['created_at'] = gmdate('Y-m-d\TH:i:s\Z', (int)$row['created_ts']);
+                unset($row['before_data'], $row['after_data'], $row['created_ts']);
+                $entries[] = $row;
+            }
+            $result->free();
+        }
+
+        $stmt->close();
+
+        return [
+            'success' => true,
+            'entries' => $entries,
+            'total' => $total,
+            'actors' => self::getActors($conn),
+            'actions' => self::ACTIONS,
+        ];
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 5: HELPERS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ GET ACTORS - Everyone Who Has an Entry                                  │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param mysqli $conn Database connection
+     * @return array Actor names, alphabetical
+     */
+    private static function getActors(mysqli $conn): array
+    {
+        $result = $conn->query('SELECT DISTINCT actor_name FROM audit_log ORDER BY actor_name ASC');
+
+        $actors = [];
+
+        if ($result) {
+            while ($row = $result->fetch_assoc()) {
+                $actors[] = $row['actor_name'];
+            }
+            $result->free();
+        }
+
+        return $actors;
+    }
+}
+
+?>
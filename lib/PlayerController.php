@@ -0,0 +1,633 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * lib/PlayerController.php
+ * ═════════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Handles staff records about players, keyed by BattleMetrics player ID:
+ * - Staff notes (author, timestamp, text) per player
+ * - The watchlist of players to keep an eye on
+ *
+ * Player names are stored as they were when the note/flag was written, so
+ * records stay readable if BattleMetrics is unreachable or the player renames.
+ *
+ * FEATURES
+ * ────────
+ * ✓ Idempotent table creation (IF NOT EXISTS)
+ * ✓ Author name kept on each note (survives account deactivation)
+ * ✓ Notes can be deleted by their author or an owner
+ * ✓ Parameterized queries (SQL injection prevention)
+ *
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+class PlayerController
+{
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 1: CONSTANTS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Roles allowed to read and write player records. Matches the portal,
+     * where staff accounts don't get the Players tab.
+     */
+    public const ALLOWED_ROLES = ['owner', 'admin'];
+
+    private const MAX_NOTE_LENGTH = 2000;
+
+    private const MAX_NAME_LENGTH = 255;
+
+    private const MAX_REASON_LENGTH = 255;
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 2: TABLE MANAGEMENT
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ ENSURE PLAYER TABLES EXIST                                              │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Idempotent: Creates if missing, no-op if exists.
+     *
+     * TABLE SCHEMA (player_notes):
+     * - id: Primary key (auto-increment)
+     * - player_id: BattleMetrics player ID
+     * - player_name: Player name when the note was written
+     * - note: Note text
+     * - author_id, author_name: Portal user who wrote it
+     * - created_at: Timestamp
+     *
+     * TABLE SCHEMA (player_watchlist):
+     * - player_id: BattleMetrics player ID (primary key)
+     * - player_name: Player name when flagged
+     * - reason: Why they are watched (optional)
+     * - added_by_id, added_by_name: Portal user who flagged them
+     * - created_at, updated_at: Timestamps
+     *
+     * @param mysqli $conn Database connection
+     * @return void
+     */
+    private static function ensureTablesExist(mysqli $conn): void
+    {
+        @$conn->query("
+            CREATE TABLE IF NOT EXISTS player_notes (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                player_id VARCHAR(32) NOT NULL,
+                player_name VARCHAR(255) NOT NULL,
+                note TEXT NOT NULL,
+                author_id INT NULL,
+                author_name VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_player_id (player_id)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+        ");
+
+        @$conn->query("
+            CREATE TABLE IF NOT EXISTS player_watchlist (
+                player_id VARCHAR(32) NOT NULL PRIMARY KEY,
+                player_name VARCHAR(255) NOT NULL,
+                reason VARCHAR(255) NULL,
+                added_by_id INT NULL,
+                added_by_name VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+        ");
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 3: ACCESS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ CAN MANAGE PLAYERS - Role Check for Player Records                      │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param array|null $user User from AuthController::checkAuth() ['id', 'name', 'role']
+     * @return bool True for owners and admins
+     */
+    public static function canManagePlayers(?array $user): bool
+    {
+        return $user !== null && in_array((string)($user['role'] ?? ''), self::ALLOWED_ROLES, true);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 4: NOTES
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ GET PLAYER RECORD - Notes and Watchlist Entry for One Player            │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param string $playerId BattleMetrics player ID
+     * @param mysqli $conn Database connection
+     * @return array [
+     *   'success' => bool,
+     *   'notes' => array (newest first),
+     *   'watchlist' => array | null,
+     *   'message' => string (on failure),
+     *   'code' => int (HTTP status code on failure)
+     * ]
+     */
+    public static function getPlayerRecord(string $playerId, mysqli $conn): array
+    {
+        self::ensureTablesExist($conn);
+
+        $playerId = self::normalizePlayerId($playerId);
+
+        if ($playerId === '') {
+            return [
+                'success' => false,
+                'message' => 'Invalid player ID.',
+                'code' => 422,
+            ];
+        }
+
+        $stmt = $conn->prepare("
+            SELECT id, player_id, player_name, note, author_id, author_name,
+                   UNIX_TIMESTAMP(created_at) AS created_ts
+            FROM player_notes
+            WHERE player_id = ?
+            ORDER BY created_at DESC, id DESC
+        ");
+
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+                'code' => 500,
+            ];
+        }
+
+        $stmt->bind_param('s', $playerId);
+        $stmt->execute();
+        $result = $stmt->get_result();
+
+        $notes = [];
+
+        if ($result) {
+            while ($row = $result->fetch_assoc()) {
+                $notes[] = self::withIsoTimes($row);
+            }
+            $result->free();
+        }
+
+        $stmt->close();
+
+        return [
+            'success' => true,
+            'notes' => $notes,
+            'watchlist' => self::findWatchlistEntry($playerId, $conn),
+        ];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ ADD NOTE - Record a Staff Note on a Player                              │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param array $data ['playerId', 'playerName', 'note']
+     * @param array $user Author from AuthController::checkAuth() ['id', 'name', 'role']
+     * @param mysqli $conn Database connection
+     * @return array [
+     *   'success' => bool,
+     *   'note' => array | null,
+     *   'message' => string (on failure),
+     *   'code' => int (HTTP status code on failure)
+     * ]
+     */
+    public static function addNote(array $data, array $user, mysqli $conn): array
+    {
+        self::ensureTablesExist($conn);
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 1: Extract and Validate Input
+        // ────────────────────────────────────────────────────────────────────────
+
+        $playerId = self::normalizePlayerId((string)($data['playerId'] ?? ''));
+        $playerName = self::normalizeName($data['playerName'] ?? '');
+        $note = isset($data['note']) ? trim((string)$data['note']) : '';
+
+        if ($playerId === '') {
+            return [
+                'success' => false,
+                'message' => 'Invalid player ID.',
+                'code' => 422,
+            ];
+        }
+
+        if ($note === '') {
+            return [
+                'success' => false,
+                'message' => 'Note text is required.',
+                'code' => 422,
+            ];
+        }
+
+        if (mb_strlen($note) > self::MAX_NOTE_LENGTH) {
+            return [
+                'success' => false,
+                'message' => 'Notes must be ' . self::MAX_NOTE_LENGTH . ' characters or fewer.',
+                'code' => 422,
+            ];
+        }
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 2: Insert Note
+        // ────────────────────────────────────────────────────────────────────────
+
+        $authorId = (int)$user['id'];
+        $authorName = (string)$user['name'];
+
+        $stmt = $conn->prepare("
+            INSERT INTO player_notes (player_id, player_name, note, author_id, author_name)
+            VALUES (?, ?, ?, ?, ?)
+        ");
+
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+                'code' => 500,
+            ];
+        }
+
+        $stmt->bind_param('sssis', $playerId, $playerName, $note, $authorId, $authorName);
+
+        if (!$stmt->execute()) {
+            $stmt->close();
+            return [
+                'success' => false,
+                'message' => 'Failed to save note.',
+                'code' => 500,
+            ];
+        }
+
+        $noteId = $stmt->insert_id;
+        $stmt->close();
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 3: Retrieve Saved Note
+        // ────────────────────────────────────────────────────────────────────────
+
+        $saved = self::findNote($noteId, $conn);
+
+        if (!$saved) {
+            return [
+                'success' => false,
+                'message' => 'Note not found.',
+                'code' => 404,
+            ];
+        }
+
+        return [
+            'success' => true,
+            'note' => $saved,
+        ];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ DELETE NOTE - Remove a Staff Note                                       │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Authors can delete their own notes; owners can delete any note.
+     *
+     * @param int $noteId Note ID to delete
+     * @param array $user Current user from AuthController::checkAuth()
+     * @param mysqli $conn Database connection
+     * @return array ['success' => bool, 'message' => string (on failure), 'code' => int (on failure)]
+     */
+    public static function deleteNote(int $noteId, array $user, mysqli $conn): array
+    {
+        self::ensureTablesExist($conn);
+
+        $note = $noteId > 0 ? self::findNote($noteId, $conn) : null;
+
+        if (!$note) {
+            return [
+                'success' => false,
+                'message' => 'Note not found.',
+                'code' => 404,
+            ];
+        }
+
+        $isAuthor = (int)$note['author_id'] === (int)$user['id'];
+
+        if (!$isAuthor && ($user['role'] ?? '') !== 'owner') {
+            return [
+                'success' => false,
+                'message' => 'Only the author or an owner can delete this note.',
+                'code' => 403,
+            ];
+        }
+
+        $stmt = $conn->prepare('DELETE FROM player_notes WHERE id = ? LIMIT 1');
+
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+                'code' => 500,
+            ];
+        }
+
+        $stmt->bind_param('i', $noteId);
+
+        if (!$stmt->execute()) {
+            $stmt->close();
+            return [
+                'success' => false,
+                'message' => 'Failed to delete note.',
+                'code' => 500,
+            ];
+        }
+
+        $stmt->close();
+
+        return ['success' => true];
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 5: WATCHLIST
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ GET WATCHLIST - All Watched Players                                     │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param mysqli $conn Database connection
+     * @return array Array of watchlist entries, most recently flagged first
+     */
+    public static function getWatchlist(mysqli $conn): array
+    {
+        self::ensureTablesExist($conn);
+
+        $result = $conn->query("
+            SELECT player_id, player_name, reason, added_by_id, added_by_name,
+                   UNIX_TIMESTAMP(created_at) AS created_ts, UNIX_TIMESTAMP(updated_at) AS updated_ts
+            FROM player_watchlist
+            ORDER BY created_at DESC
+        ");
+
+        $players = [];
+
+        if ($result) {
+            while ($row = $result->fetch_assoc()) {
+                $players[] = self::withIsoTimes($row);
+            }
+            $result->free();
+        }
+
+        return $players;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ SET WATCHLIST - Add, Update or Remove a Watched Player                  │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Watching an already watched player updates the reason and name.
+     *
+     * @param array $data ['playerId', 'playerName', 'watched', 'reason'?]
+     * @param array $user Current user from AuthController::checkAuth()
+     * @param mysqli $conn Database connection
+     * @return array [
+     *   'success' => bool,
+     *   'watchlist' => array | null (null once removed),
+     *   'message' => string (on failure),
+     *   'code' => int (HTTP status code on failure)
+     * ]
+     */
+    public static function setWatchlist(array $data, array $user, mysqli $conn): array
+    {
+        self::ensureTablesExist($conn);
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 1: Extract and Validate Input
+        // ────────────────────────────────────────────────────────────────────────
+
+        $playerId = self::normalizePlayerId((string)($data['playerId'] ?? ''));
+
+        if ($playerId === '') {
+            return [
+                'success' => false,
+                'message' => 'Invalid player ID.',
+                'code' => 422,
+            ];
+        }
+
+        $watched = !empty($data['watched']);
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 2: Remove From Watchlist
+        // ────────────────────────────────────────────────────────────────────────
+
+        if (!$watched) {
+            $stmt = $conn->prepare('DELETE FROM player_watchlist WHERE player_id = ? LIMIT 1');
+
+            if (!$stmt) {
+                return [
+                    'success' => false,
+                    'message' => 'Failed to prepare statement.',
+                    'code' => 500,
+                ];
+            }
+
+            $stmt->bind_param('s', $playerId);
+            $ok = $stmt->execute();
+            $stmt->close();
+
+            return $ok
+                ? ['success' => true, 'watchlist' => null]
+                : ['success' => false, 'message' => 'Failed to update watchlist.', 'code' => 500];
+        }
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 3: Add or Update Entry
+        // ────────────────────────────────────────────────────────────────────────
+
+        $playerName = self::normalizeName($data['playerName'] ?? '');
+        $reason = isset($data['reason']) ? trim((string)$data['reason']) : '';
+
+        if (mb_strlen($reason) > self::MAX_REASON_LENGTH) {
+            return [
+                'success' => false,
+                'message' => 'Reason must be ' . self::MAX_REASON_LENGTH . ' characters or fewer.',
+                'code' => 422,
+            ];
+        }
+
+        $reason = $reason !== '' ? $reason : null;
+        $addedById = (int)$user['id'];
+        $addedByName = (string)$user['name'];
+
+        $stmt = $conn->prepare("
+            INSERT INTO player_watchlist (player_id, player_name, reason, added_by_id, added_by_name)
+            VALUES (?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                player_name = VALUES(player_name),
+                reason = VALUES(reason)
+        ");
+
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+                'code' => 500,
+            ];
+        }
+
+        $stmt->bind_param('sssis', $playerId, $playerName, $reason, $addedById, $addedByName);
+
+        if (!$stmt->execute()) {
+            $stmt->close();
+            return [
+                'success' => false,
+                'message' => 'Failed to update watchlist.',
+                'code' => 500,
+            ];
+        }
+
+        $stmt->close();
+
+        return [
+            'success' => true,
+            'watchlist' => self::findWatchlistEntry($playerId, $conn),
+        ];
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 6: HELPERS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ FIND NOTE - Fetch One Note by ID                                        │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param int $noteId Note ID
+     * @param mysqli $conn Database connection
+     * @return array|null Note row or null
+     */
+    private static function findNote(int $noteId, mysqli $conn): ?array
+    {
+        $stmt = $conn->prepare("
+            SELECT id, player_id, player_name, note, author_id, author_name,
+                   UNIX_TIMESTAMP(created_at) AS created_ts
+            FROM player_notes
+            WHERE id = ?
+            LIMIT 1
+        ");
+
+        if (!$stmt) {
+            return null;
+        }
+
+        $stmt->bind_param('i', $noteId);
+        $stmt->execute();
+        $result = $stmt->get_result();
+        $row = $result ? $result->fetch_assoc() : null;
+        $stmt->close();
+
+        return $row ? self::withIsoTimes($row) : null;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ FIND WATCHLIST ENTRY - Fetch One Watched Player                         │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param string $playerId BattleMetrics player ID
+     * @param mysqli $conn Database connection
+     * @return array|null Watchlist row or null when not watched
+     */
+    private static function findWatchlistEntry(string $playerId, mysqli $conn): ?array
+    {
+        $stmt = $conn->prepare("
+            SELECT player_id, player_name, reason, added_by_id, added_by_name,
+                   UNIX_TIMESTAMP(created_at) AS created_ts, UNIX_TIMESTAMP(updated_at) AS updated_ts
+            FROM player_watchlist
+            WHERE player_id = ?
+            LIMIT 1
+        ");
+
+        if (!$stmt) {
+            return null;
+        }
+
+        $stmt->bind_param('s', $playerId);
+        $stmt->execute();
+        $result = $stmt->get_result();
+        $row = $result ? $result->fetch_assoc() : null;
+        $stmt->close();
+
+        return $row ? self::withIsoTimes($row) : null;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ NORMALIZE PLAYER ID                                                     │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param string $playerId Raw input
+     * @return string Numeric BattleMetrics player ID, or '' when invalid
+     */
+    private static function normalizePlayerId(string $playerId): string
+    {
+        $playerId = trim($playerId);
+        return preg_match('/^\d{1,20}$/', $playerId) ? $playerId : '';
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ NORMALIZE NAME                                                          │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param mixed $name Raw player name
+     * @return string Trimmed name, cut to fit the column ('Unknown Player' when empty)
+     */
+    private static function normalizeName($name): string
+    {
+        $name = trim((string)$name);
+
+        if ($name === '') {
+            return 'Unknown Player';
+        }
+
+        return mb_substr($name, 0, self::MAX_NAME_LENGTH);
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ WITH ISO TIMES - Timestamps as ISO 8601 UTC                             │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Rows select UNIX_TIMESTAMP(...) AS *_ts, which doesn't depend on the
+     * database session's timezone; the portal shows them in the viewer's.
+     *
+     * @param array $row Row with created_ts (and updated_ts for the watchlist)
+     * @return array Row with created_at/updated_at as "2024-01-15T20:00:00Z"
+     */
+    private static function withIsoTimes(array $row): array
+    {
+        foreach (['created', 'updated'] as $field) {
+            if (array_key_exists("{$field}_ts", $row)) {
+                $row["{$field}_at"] = gmdate('Y-m-d\TH:i:s\Z', (int)$row["{$field}_ts"]);
+                unset($row["{$field}_ts"]);
+            }
+        }
+
+        return $row;
+    }
+}
+
+?>
@@ -10,6 +10,7 @@
  * - Listing servers
  * - Creating/updating servers
  * - Deleting servers (soft-delete)
+ * - Reordering servers (bulk sort_order update)
  * - BattleMetrics API integration
  * 
  * FEATURES
@@ -25,6 +26,8 @@
 
 declare(strict_types=1);
 
+require_once __DIR__ . '/db.php';
+
 class ServerController
 {
     // ─────────────────────────────────────────────────────────────────────────────
@@ -95,7 +98,7 @@ class ServerController
         self::ensureTableExists($conn);
 
         $result = $conn->query("
-            SELECT id, battlemetrics_id, display_name, game_title, region
+            SELECT id, battlemetrics_id, display_name, game_title, region, is_active, sort_order
             FROM servers
             WHERE is_active = 1
             ORDER BY sort_order ASC, id ASC
@@ -272,6 +275,24 @@ class ServerController
         return ['success' => true];
     }
 
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ REORDER SERVERS - Save Display Order in One Call                        │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     * 
+     * Sets sort_order to each ID's position (1, 2, 3, ...) in a single
+     * transaction, so a failed update leaves the previous order intact
+     * (save_sort_order() in lib/db.php).
+     * 
+     * @param array $ids Server IDs in their new display order
+     * @param mysqli $conn Database connection
+     * @return array ['success' => bool, 'message' => string (on failure), 'code' => int (on failure)]
+     */
+    public static function reorderServers(array $ids, mysqli $conn): array
+    {
+        return save_sort_order($conn, 'servers', $ids);
+    }
+
     // ─────────────────────────────────────────────────────────────────────────────
     // SECTION 3: BATTLEMETRICS API INTEGRATION
     // ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,585 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * lib/SlideController.php
+ * ═════════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Handles homepage slideshow operations:
+ * - Listing slides (public: active only, portal: all)
+ * - Creating/updating slides
+ * - Deleting slides
+ * - Reordering slides (bulk sort_order update)
+ * - Storing uploaded slide images under assets/slides/ and listing them
+ *
+ * FEATURES
+ * ────────
+ * ✓ Idempotent table creation (IF NOT EXISTS)
+ * ✓ Display order (sort_order) and active flag per slide
+ * ✓ URL validation (http/https or site-relative paths only)
+ * ✓ Upload validation by decoded image type and size, never by file name
+ * ✓ Parameterized queries (SQL injection prevention)
+ *
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/db.php';
+
+class SlideController
+{
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 1: CONSTANTS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    private const MAX_TITLE_LENGTH = 255;
+
+    private const MAX_URL_LENGTH = 500;
+
+    // Uploads are stored under the site root so image_url can be a relative path
+    private const UPLOAD_DIR = 'assets/slides';
+
+    // The portal resizes before upload; these bounds guard direct API calls
+    private const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+
+    private const MIN_IMAGE_WIDTH = 800;
+
+    private const MIN_IMAGE_HEIGHT = 300;
+
+    private const MAX_IMAGE_DIMENSION = 4096;
+
+    private const IMAGE_EXTENSIONS = [
+        'image/jpeg' => 'jpg',
+        'image/png' => 'png',
+        'image/webp' => 'webp',
+    ];
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 2: TABLE MANAGEMENT
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ ENSURE SLIDES TABLE EXISTS                                              │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Idempotent: Creates if missing, no-op if exists.
+     *
+     * TABLE SCHEMA:
+     * - id: Primary key (auto-increment)
+     * - title: Slide heading
+     * - description: Text under the heading
+     * - image_url: Background image (absolute URL or site-relative path)
+     * - link_url: Where clicking the slide goes (optional)
+     * - sort_order: Display order (lower first)
+     * - is_active: Shown on the homepage (1) or hidden (0)
+     * - created_at, updated_at: Timestamps
+     *
+     * @param mysqli $conn Database connection
+     * @return void
+     */
+    private static function ensureTableExists(mysqli $conn): void
+    {
+        $sql = "
+            CREATE TABLE IF NOT EXISTS slides (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                title VARCHAR(255) NOT NULL,
+                description TEXT NULL,
+                image_url VARCHAR(500) NULL,
+                link_url VARCHAR(500) NULL,
+                sort_order INT NOT NULL DEFAULT 0,
+                is_active TINYINT(1) NOT NULL DEFAULT 1,
+                created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                INDEX idx_is_active (is_active),
+                INDEX idx_sort_order (sort_order)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+        ";
+
+        @$conn->query($sql);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 3: PUBLIC CRUD METHODS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ GET SLIDES - Retrieve Slides in Display Order                          │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param mysqli $conn Database connection
+     * @param bool $activeOnly Only slides shown on the homepage
+     * @return array Array of slide objects
+     */
+    public static function getSlides(mysqli $conn, bool $activeOnly = true): array
+    {
+        self::ensureTableExists($conn);
+
+        $where = $activeOnly ? 'WHERE is_active = 1' : '';
+
+        $result = $conn->query("
+            SELECT id, title, description, image_url, link_url, sort_order, is_active, created_at, updated_at
+            FROM slides
+            {$where}
+            ORDER BY sort_order ASC, id ASC
+        ");
+
+        $slides = [];
+
+        if ($result) {
+            while ($row = $result->fetch_assoc()) {
+                $slides[] = $row;
+            }
+            $result->free();
+        }
+
+        return $slides;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ SAVE SLIDE - Create or Update Slide                                    │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Inserts a new slide, or updates the slide with $data['id'] when set.
+     *
+     * @param array $data ['id'?, 'title', 'description', 'imageUrl', 'linkUrl', 'order', 'active']
+     * @param mysqli $conn Database connection
+     * @return array [
+     *   'success' => bool,
+     *   'slide' => array | null,
+     *   'message' => string (on failure),
+     *   'code' => int (HTTP status code on failure)
+     * ]
+     */
+    public static function saveSlide(array $data, mysqli $conn): array
+    {
+        self::ensureTableExists($conn);
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 1: Extract and Validate Input
+        // ────────────────────────────────────────────────────────────────────────
+
+        $title = isset($data['title']) ? trim((string)$data['title']) : '';
+
+        if ($title === '') {
+            return [
+                'success' => false,
+                'message' => 'Title is required.',
+                'code' => 422,
+            ];
+        }
+
+        if (mb_strlen($title) > self::MAX_TITLE_LENGTH) {
+            return [
+                'success' => false,
+                'message' => 'Title must be ' . self::MAX_TITLE_LENGTH . ' characters or fewer.',
+                'code' => 422,
+            ];
+        }
+
+        $description = isset($data['description']) ? trim((string)$data['description']) : '';
+        $description = $description !== '' ? $description : null;
+
+        $imageUrl = self::normalizeUrl($data['imageUrl'] ?? '');
+        $linkUrl = self::normalizeUrl($data['linkUrl'] ?? '');
+
+        if ($imageUrl === false || $linkUrl === false) {
+            return [
+                'success' => false,
+                'message' => 'URLs must start with http:// or https://, or be a path on this site.',
+                'code' => 422,
+            ];
+        }
+
+        $sortOrder = isset($data['order']) ? (int)$data['order'] : 0;
+        $isActive = isset($data['active']) ? (int)(!!$data['active']) : 1;
+        $slideId = isset($data['id']) ? (int)$data['id'] : 0;
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 2: Insert or Update Slide
+        // ────────────────────────────────────────────────────────────────────────
+
+        if ($slideId > 0) {
+            $stmt = $conn->prepare("
+                UPDATE slides
+                SET title = ?, description = ?, image_url = ?, link_url = ?, sort_order = ?, is_active = ?
+                WHERE id = ?
+                LIMIT 1
+            ");
+        } else {
+            $stmt = $conn->prepare("
+                INSERT INTO slides (title, description, image_url, link_url, sort_order, is_active)
+                VALUES (?, ?, ?, ?, ?, ?)
+            ");
+        }
+
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+                'code' => 500,
+            ];
+        }
+
+        if ($slideId > 0) {
+            $stmt->bind_param('ssssiii', $title, $description, $imageUrl, $linkUrl, $sortOrder, $isActive, $slideId);
+        } else {
+            $stmt->bind_param('ssssii', $title, $description, $imageUrl, $linkUrl, $sortOrder, $isActive);
+        }
+
+        if (!$stmt->execute()) {
+            $stmt->close();
+            return [
+                'success' => false,
+                'message' => 'Failed to save slide.',
+                'code' => 500,
+            ];
+        }
+
+        $savedId = $slideId > 0 ? $slideId : $stmt->insert_id;
+        $stmt->close();
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 3: Retrieve Saved Slide
+        // ────────────────────────────────────────────────────────────────────────
+
+        $slide = self::findSlide($savedId, $conn);
+
+        if (!$slide) {
+            return [
+                'success' => false,
+                'message' => 'Slide not found.',
+                'code' => 404,
+            ];
+        }
+
+        return [
+            'success' => true,
+            'slide' => $slide,
+        ];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ DELETE SLIDE - Remove Slide                                            │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Hard delete: is_active is the user-facing "show on homepage" switch, so
+     * it can't double as a soft-delete flag here. Hide a slide to keep it.
+     *
+     * @param int $slideId Slide ID to delete
+     * @param mysqli $conn Database connection
+     * @return array ['success' => bool, 'message' => string (on failure)]
+     */
+    public static function deleteSlide(int $slideId, mysqli $conn): array
+    {
+        if ($slideId <= 0) {
+            return [
+                'success' => false,
+                'message' => 'Invalid slide ID.',
+            ];
+        }
+
+        $stmt = $conn->prepare('DELETE FROM slides WHERE id = ? LIMIT 1');
+
+        if (!$stmt) {
+            return [
+                'success' => false,
+                'message' => 'Failed to prepare statement.',
+            ];
+        }
+
+        $stmt->bind_param('i', $slideId);
+
+        if (!$stmt->execute()) {
+            $stmt->close();
+            return [
+                'success' => false,
+                'message' => 'Failed to delete slide.',
+            ];
+        }
+
+        $stmt->close();
+
+        return ['success' => true];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ REORDER SLIDES - Save Display Order in One Call                         │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Sets sort_order to each ID's position (1, 2, 3, ...) in a single
+     * transaction, so a failed update leaves the previous order intact
+     * (save_sort_order() in lib/db.php).
+     *
+     * @param array $ids Slide IDs in their new display order
+     * @param mysqli $conn Database connection
+     * @return array ['success' => bool, 'message' => string (on failure), 'code' => int (on failure)]
+     */
+    public static function reorderSlides(array $ids, mysqli $conn): array
+    {
+        return save_sort_order($conn, 'slides', $ids);
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 4: IMAGE UPLOADS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ UPLOAD IMAGE - Store a Slide Image Under assets/slides/                │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * The type comes from the decoded bytes (not the data URL or file name),
+     * and the stored name is generated, so nothing user-supplied reaches disk.
+     *
+     * @param array $data ['image' => 'data:image/jpeg;base64,...']
+     * @return array [
+     *   'success' => bool,
+     *   'image' => array | null (url, name, size, modified, width, height),
+     *   'message' => string (on failure),
+     *   'code' => int (HTTP status code on failure)
+     * ]
+     */
+    public static function uploadImage(array $data): array
+    {
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 1: Decode Data URL
+        // ────────────────────────────────────────────────────────────────────────
+
+        $image = isset($data['image']) ? (string)$data['image'] : '';
+
+        if (!preg_match('#^data:image/[a-z0-9.+\-]+;base64,#i', $image)) {
+            return [
+                'success' => false,
+                'message' => 'Image must be sent as a base64 data URL.',
+                'code' => 422,
+            ];
+        }
+
+        $bytes = base64_decode(substr($image, strpos($image, ',') + 1), true);
+
+        if ($bytes === false || $bytes === '') {
+            return [
+                'success' => false,
+                'message' => 'Image data is not valid base64.',
+                'code' => 422,
+            ];
+        }
+
+        if (strlen($bytes) > self::MAX_UPLOAD_BYTES) {
+            return [
+                'success' => false,
+                'message' => 'Image must be ' . (self::MAX_UPLOAD_BYTES / 1024 / 1024) . ' MB or smaller.',
+                'code' => 413,
+            ];
+        }
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 2: Validate Type and Dimensions
+        // ────────────────────────────────────────────────────────────────────────
+
+        $info = @getimagesizefromstring($bytes);
+        $mime = is_array($info) ? ($info['mime'] ?? '') : '';
+
+        if (!isset(self::IMAGE_EXTENSIONS[$mime])) {
+            return [
+                'success' => false,
+                'message' => 'Only JPEG, PNG and WebP images are allowed.',
+                'code' => 422,
+            ];
+        }
+
+        [$width, $height] = $info;
+
+        if ($width < self::MIN_IMAGE_WIDTH || $height < self::MIN_IMAGE_HEIGHT) {
+            return [
+                'success' => false,
+                'message' => 'Image must be at least ' . self::MIN_IMAGE_WIDTH . '×' . self::MIN_IMAGE_HEIGHT . ' pixels.',
+                'code' => 422,
+            ];
+        }
+
+        if ($width > self::MAX_IMAGE_DIMENSION || $height > self::MAX_IMAGE_DIMENSION) {
+            return [
+                'success' => false,
+                'message' => 'Image must be at most ' . self::MAX_IMAGE_DIMENSION . ' pixels on each side.',
+                'code' => 422,
+            ];
+        }
+
+        // ────────────────────────────────────────────────────────────────────────
+        // STEP 3: Write File
+        // ────────────────────────────────────────────────────────────────────────
+
+        $dir = self::uploadPath();
+
+        if (!is_dir($dir) && !@mkdir($dir, 0755, true) && !is_dir($dir)) {
+            return [
+                'success' => false,
+                'message' => 'Upload folder could not be created.',
+                'code' => 500,
+            ];
+        }
+
+        $name = 'slide-' . date('Ymd-His') . '-' . bin2hex(random_bytes(4)) . '.' . self::IMAGE_EXTENSIONS[$mime];
+
+        if (@file_put_contents($dir . '/' . $name, $bytes) === false) {
+            return [
+                'success' => false,
+                'message' => 'Failed to save image.',
+                'code' => 500,
+            ];
+        }
+
+        return [
+            'success' => true,
+            'image' => self::describeImage($dir . '/' . $name) + [
+                'width' => $width,
+                'height' => $height,
+            ],
+        ];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ LIST IMAGES - Previously Uploaded Slide Images                         │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @return array Images (url, name, size, modified), newest first
+     */
+    public static function listImages(): array
+    {
+        $dir = self::uploadPath();
+
+        if (!is_dir($dir)) {
+            return [];
+        }
+
+        $extensions = array_values(self::IMAGE_EXTENSIONS);
+        $images = [];
+
+        foreach (scandir($dir) ?: [] as $file) {
+            $extension = strtolower(pathinfo($file, PATHINFO_EXTENSION));
+
+            if ($file[0] !== '.' && in_array($extension, $extensions, true) && is_file($dir . '/' . $file)) {
+                $images[] = self::describeImage($dir . '/' . $file);
+            }
+        }
+
+        usort($images, static function (array $a, array $b): int {
+            return $b['modified'] <=> $a['modified'];
+        });
+
+        return $images;
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 5: HELPER METHODS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ FIND SLIDE - Load One Slide                                            │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param int $slideId Slide ID
+     * @param mysqli $conn Database connection
+     * @return array|null Slide row or null if missing
+     */
+    private static function findSlide(int $slideId, mysqli $conn): ?array
+    {
+        $select = $conn->prepare("
+            SELECT id, title, description, image_url, link_url, sort_order, is_active, created_at, updated_at
+            FROM slides
+            WHERE id = ?
+            LIMIT 1
+        ");
+
+        if (!$select) {
+            return null;
+        }
+
+        $select->bind_param('i', $slideId);
+        $select->execute();
+        $result = $select->get_result();
+        $slide = $result ? $result->fetch_assoc() : null;
+        $select->close();
+
+        return $slide ?: null;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ NORMALIZE URL - Allow http(s) and Site-Relative Paths                  │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Rejects other schemes (javascript:, data:, ...) since these values end
+     * up in href and background-image on the public homepage.
+     *
+     * @param mixed $value Raw URL
+     * @return string|null|false Normalized URL, null if empty, false if invalid
+     */
+    private static function normalizeUrl($value)
+    {
+        $url = trim((string)$value);
+
+        if ($url === '') {
+            return null;
+        }
+
+        if (mb_strlen($url) > self::MAX_URL_LENGTH || preg_match('/[\s"\'<>\\\\]/', $url)) {
+            return false;
+        }
+
+        if (preg_match('#^https?://[^/]#i', $url)) {
+            return $url;
+        }
+
+        // Site-relative ("assets/x.jpg", "/about") but not protocol-relative ("//evil")
+        if (substr($url, 0, 2) !== '//' && !preg_match('#^[a-z][a-z0-9+.\-]*:#i', $url)) {
+            return $url;
+        }
+
+        return false;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ UPLOAD PATH - Absolute Path of the Upload Folder                       │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @return string Folder path (may not exist yet)
+     */
+    private static function uploadPath(): string
+    {
+        return dirname(__DIR__) . '/' . self::UPLOAD_DIR;
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ DESCRIBE IMAGE - File Path to Gallery Entry                            │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param string $path Absolute file path inside the upload folder
+     * @return array ['url' => site-relative path, 'name', 'size' (bytes), 'modified' (unix time)]
+     */
+    private static function describeImage(string $path): array
+    {
+        $name = basename($path);
+
+        return [
+            'url' => self::UPLOAD_DIR . '/' . $name,
+            'name' => $name,
+            'size' => (int)filesize($path),
+            'modified' => (int)filemtime($path),
+        ];
+    }
+}
+
+?>
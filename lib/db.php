@@ -77,7 +77,7 @@ function fetch_active_servers($conn): array
     // STEP 2: Query Active Servers
     // ────────────────────────────────────────────────────────────────────────────
     
-    $sql = "SELECT id, battlemetrics_id, display_name, game_title, region
+    $sql = "SELECT id, battlemetrics_id, display_name, game_title, region, is_active, sort_order
             FROM servers
             WHERE is_active = 1
             ORDER BY sort_order ASC, id ASC";
@@ -95,5 +95,89 @@ function fetch_active_servers($conn): array
     return $servers;
 }
 
+// Tables save_sort_order() may write, with the noun used in its messages
+const SORTABLE_TABLES = [
+    'servers' => 'server',
+    'slides' => 'slide',
+];
+
+/**
+ * ┌─────────────────────────────────────────────────────────────────────────┐
+ * │ SAVE SORT ORDER - Persist a Display Order in One Transaction            │
+ * └─────────────────────────────────────────────────────────────────────────┘
+ * 
+ * Sets sort_order to each ID's position (1, 2, 3, ...) in a single
+ * transaction, so a failed update leaves the previous order intact.
+ * Backs ServerController::reorderServers() and SlideController::reorderSlides().
+ * 
+ * @param mysqli $conn Database connection
+ * @param string $table Key of SORTABLE_TABLES
+ * @param array $ids Row IDs in their new display order
+ * @return array ['success' => bool, 'message' => string (on failure), 'code' => int (on failure)]
+ */
+function save_sort_order(mysqli $conn, string $table, array $ids): array
+{
+    // The table name is interpolated, so only whitelisted names get through
+    if (!isset(SORTABLE_TABLES[$table])) {
+        return [
+            'success' => false,
+            'message' => 'Unknown table.',
+            'code' => 500,
+        ];
+    }
+
+    $label = SORTABLE_TABLES[$table];
+
+    // ────────────────────────────────────────────────────────────────────────────
+    // STEP 1: Validate IDs
+    // ────────────────────────────────────────────────────────────────────────────
+
+    $ids = array_map('intval', array_values($ids));
+
+    if (empty($ids) || min($ids) <= 0 || count(array_unique($ids)) !== count($ids)) {
+        return [
+            'success' => false,
+            'message' => "A list of unique {$label} IDs is required.",
+            'code' => 422,
+        ];
+    }
+
+    // ────────────────────────────────────────────────────────────────────────────
+    // STEP 2: Update Every Position in One Transaction
+    // ────────────────────────────────────────────────────────────────────────────
+
+    $stmt = $conn->prepare("UPDATE {$table} SET sort_order = ? WHERE id = ? LIMIT 1");
+
+    if (!$stmt) {
+        return [
+            'success' => false,
+            'message' => 'Failed to prepare statement.',
+            'code' => 500,
+        ];
+    }
+
+    $conn->begin_transaction();
+
+    foreach ($ids as $index => $id) {
+        $position = $index + 1;
+        $stmt->bind_param('ii', $position, $id);
+
+        if (!$stmt->execute()) {
+            $stmt->close();
+            $conn->rollback();
+            return [
+                'success' => false,
+                'message' => "Failed to save {$label} order.",
+                'code' => 500,
+            ];
+        }
+    }
+
+    $stmt->close();
+    $conn->commit();
+
+    return ['success' => true];
+}
+
 ?>
 
@@ -0,0 +1,202 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * lib/discord_webhook_client.php
+ * ═════════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Posts announcements to a Discord channel through an incoming webhook.
+ * Keeps the payload shape (embed, colours, mentions) and HTTP details in one
+ * place so the announcement controller only asks "publish this row".
+ *
+ * NOTE: The webhook URL is read from the DISCORD_WEBHOOK_URL environment
+ * variable and never leaves the server. Any http(s) URL is accepted, so a
+ * local stand-in receiver (e.g. http://127.0.0.1:9000/webhook) can be used
+ * for testing instead of a real Discord channel.
+ *
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+class DiscordWebhookClient
+{
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 1: PROPERTIES
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * Embed colours per severity (match the public announcement bar).
+     */
+    private const SEVERITY_COLOURS = [
+        'info' => 0x5865F2,
+        'success' => 0x3DDC84,
+        'warning' => 0xFFC107,
+        'error' => 0xF44336,
+    ];
+
+    private const SEVERITY_TITLES = [
+        'info' => 'Announcement',
+        'success' => 'Announcement',
+        'warning' => 'Heads up',
+        'error' => 'Important',
+    ];
+
+    // Discord rejects embed descriptions longer than this
+    private const MAX_DESCRIPTION_LENGTH = 4096;
+
+    private string $url;
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 2: CONSTRUCTOR
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ CONSTRUCTOR                                                             │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param string|null $url Optional webhook URL (defaults to env var)
+     */
+    public function __construct(?string $url = null)
+    {
+        $this->url = trim((string)($url ?? getenv('DISCORD_WEBHOOK_URL')));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 3: PUBLIC METHODS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ IS CONFIGURED                                                           │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @return bool True if a usable http(s) webhook URL is set
+     */
+    public function isConfigured(): bool
+    {
+        return (bool)preg_match('#^https?://#i', $this->url);
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ PUBLISH ANNOUNCEMENT - Post Announcement as an Embed                   │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * @param array $announcement Announcement row (message, severity, server_name, ...)
+     * @return array ['ok' => bool, 'status' => int, 'error' => string (on failure)]
+     */
+    public function publishAnnouncement(array $announcement): array
+    {
+        if (!$this->isConfigured()) {
+            return ['ok' => false, 'status' => 0, 'error' => 'Discord webhook is not configured.'];
+        }
+
+        return $this->post($this->buildPayload($announcement));
+    }
+
+    // ─────────────────────────────────────────────────────────────────────────────
+    // SECTION 4: PRIVATE HELPERS
+    // ─────────────────────────────────────────────────────────────────────────────
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ BUILD PAYLOAD - Announcement Row to Webhook Body                       │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Messages are already Markdown, which Discord renders natively.
+     * allowed_mentions is empty so "@everyone" in a message can't ping.
+     *
+     * @param array $announcement Announcement row
+     * @return array Webhook JSON body
+     */
+    private function buildPayload(array $announcement): array
+    {
+        $severity = $announcement['severity'] ?? 'info';
+        $severity = isset(self::SEVERITY_COLOURS[$severity]) ? $severity : 'info';
+
+        $message = (string)($announcement['message'] ?? '');
+        if (mb_strlen($message) > self::MAX_DESCRIPTION_LENGTH) {
+            $message = mb_substr($message, 0, self::MAX_DESCRIPTION_LENGTH - 1) . '…';
+        }
+
+        $serverName = trim((string)($announcement['server_name'] ?? ''));
+
+        $fields = [
+            [
+                'name' => 'Server',
+                'value' => $serverName !== '' ? $serverName : 'All Servers',
+                'inline' => true,
+            ],
+        ];
+
+        if (!empty($announcement['ends_at'])) {
+            $timezone = !empty($announcement['timezone']) ? ' (' . $announcement['timezone'] . ')' : '';
+            $fields[] = [
+                'name' => 'Until',
+                'value' => $announcement['ends_at'] . $timezone,
+                'inline' => true,
+            ];
+        }
+
+        return [
+            'embeds' => [[
+                'title' => self::SEVERITY_TITLES[$severity],
+                'description' => $message,
+                'color' => self::SEVERITY_COLOURS[$severity],
+                'fields' => $fields,
+                'timestamp' => gmdate('c'),
+            ]],
+            'allowed_mentions' => ['parse' => []],
+        ];
+    }
+
+    /**
+     * ┌─────────────────────────────────────────────────────────────────────────┐
+     * │ POST - Send JSON to the Webhook                                         │
+     * └─────────────────────────────────────────────────────────────────────────┘
+     *
+     * Discord answers 204 No Content (or 200 with ?wait=true); any 2xx counts.
+     *
+     * @param array $payload Webhook JSON body
+     * @return array ['ok' => bool, 'status' => int, 'error' => string (on failure)]
+     */
+    private function post(array $payload): array
+    {
+        $ch = curl_init($this->url);
+        curl_setopt_array($ch, [
+            CURLOPT_RETURNTRANSFER => true,
+            CURLOPT_POST => true,
+            CURLOPT_POSTFIELDS => json_encode($payload, JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES),
+            CURLOPT_TIMEOUT => 8,
+            CURLOPT_CONNECTTIMEOUT => 3,
+            CURLOPT_HTTPHEADER => [
+                'Content-Type: application/json',
+                'Accept: application/json',
+            ],
+        ]);
+
+        $body = curl_exec($ch);
+        $errNo = curl_errno($ch);
+        $error = curl_error($ch);
+        $httpCode = (int)curl_getinfo($ch, CURLINFO_HTTP_CODE);
+        curl_close($ch);
+
+        if ($errNo !== 0) {
+            return ['ok' => false, 'status' => 0, 'error' => $error !== '' ? $error : "cURL error {$errNo}"];
+        }
+
+        if ($httpCode < 200 || $httpCode >= 300) {
+            // Discord explains rejections in a JSON "message" field
+            $data = is_string($body) ? json_decode($body, true) : null;
+            $reason = is_array($data) && isset($data['message']) ? ': ' . $data['message'] : '';
+            return ['ok' => false, 'status' => $httpCode, 'error' => "HTTP {$httpCode}{$reason}"];
+        }
+
+        return ['ok' => true, 'status' => $httpCode];
+    }
+}
+
+?>
@@ -0,0 +1,104 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * reorderServers.php - Server Order Bulk Save Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Saves the display order of all servers in one request: each ID's
+ * sort_order becomes its position in the list.
+ * Called by: portal.html (Our Servers list drag-and-drop / move buttons)
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
+ * 
+ * REQUEST
+ * ───────
+ * POST /reorderServers.php
+ * Content-Type: application/json
+ * Body: { "ids": [3, 1, 2] }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * { "success": true, "data": {} }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "A list of unique server IDs is required." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
+require_once __DIR__ . '/lib/ServerController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+// Changes the public server order, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$ids = isset($input['ids']) && is_array($input['ids']) ? $input['ids'] : [];
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Capture the order as it was, for the audit log
+$before = AuditLogController::snapshotOrder($conn, 'servers', $ids);
+
+$result = ServerController::reorderServers($ids, $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        'server.reorder',
+        'server',
+        null,
+        'Reordered ' . count($ids) . ' servers',
+        $before,
+        AuditLogController::snapshotOrder($conn, 'servers', $ids)
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success();
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 500);
+}
+
+?>
@@ -0,0 +1,104 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * reorderSlides.php - Slide Order Bulk Save Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Saves the display order of all slides in one request: each ID's
+ * sort_order becomes its position in the list.
+ * Called by: portal.html (Manage Slideshow modal drag-and-drop / move buttons)
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
+ * 
+ * REQUEST
+ * ───────
+ * POST /reorderSlides.php
+ * Content-Type: application/json
+ * Body: { "ids": [3, 1, 2] }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * { "success": true, "data": {} }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "A list of unique slide IDs is required." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
+require_once __DIR__ . '/lib/SlideController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+// Changes the public homepage slideshow, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$ids = isset($input['ids']) && is_array($input['ids']) ? $input['ids'] : [];
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Capture the order as it was, for the audit log
+$before = AuditLogController::snapshotOrder($conn, 'slides', $ids);
+
+$result = SlideController::reorderSlides($ids, $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        'slide.reorder',
+        'slide',
+        null,
+        'Reordered ' . count($ids) . ' slides',
+        $before,
+        AuditLogController::snapshotOrder($conn, 'slides', $ids)
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success();
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 500);
+}
+
+?>
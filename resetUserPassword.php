@@ -8,6 +8,7 @@
  * ───────
  * Resets a user's password to a new value (admin-initiated).
  * Called by: portal.html (admin portal, Manage Access tab)
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
  * 
  * REQUEST
  * ───────
@@ -25,6 +26,7 @@
  * 
  * RESPONSE (ERROR)
  * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
  * HTTP 422 Unprocessable Entity
  * { "success": false, "message": "User ID and new password are required." }
  * 
@@ -37,18 +39,27 @@ declare(strict_types=1);
 // SECTION 1: LOAD DEPENDENCIES
 // ─────────────────────────────────────────────────────────────────────────────────
 
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
 require_once __DIR__ . '/lib/UserController.php';
 require_once __DIR__ . '/lib/ApiResponse.php';
 require_once __DIR__ . '/dbconnect.php';
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 2: VALIDATE HTTP METHOD
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     ApiResponse::methodNotAllowed();
 }
 
+$auth = AuthController::checkAuth($conn);
+
+// Changes portal passwords, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // SECTION 3: PARSE AND VALIDATE INPUT
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -69,7 +80,25 @@ if ($userId <= 0 || $password === '') {
 $result = UserController::resetPassword($userId, $password, $conn);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 5: RETURN RESPONSE
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Only the fact of the reset is logged: no before/after, nothing about the password
+if ($result['success']) {
+    $target = AuditLogController::snapshot($conn, 'users', 'id', $userId);
+
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        'user.password_reset',
+        'user',
+        $userId,
+        'Reset password for ' . ($target['name'] ?? "user #{$userId}")
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($result['success']) {
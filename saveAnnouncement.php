@@ -1,25 +1,33 @@
 <?php
 /**
  * ═════════════════════════════════════════════════════════════════════════════════
- * saveAnnouncement.php - Announcement Creation Endpoint
+ * saveAnnouncement.php - Announcement Create/Update Endpoint
  * ═════════════════════════════════════════════════════════════════════════════════
  * 
  * PURPOSE
  * ───────
- * Creates a new announcement in the database.
- * Called by: portal.html (admin portal to create announcements)
+ * Creates a new announcement, or updates an existing one when "id" is sent.
+ * Called by: portal.html (admin portal to create and edit announcements)
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
  * 
  * REQUEST
  * ───────
  * POST /saveAnnouncement.php
  * Content-Type: application/json
  * Body: {
+ *   "id": 5,                       (optional, update this announcement)
  *   "message": "Server maintenance tonight",
  *   "severity": "warning",        (optional, default="info")
  *   "serverId": 1,                 (optional, null=global announcement)
  *   "startsAt": "2024-01-15T20:00", (optional, datetime-local format)
  *   "endsAt": "2024-01-15T23:00",   (optional, datetime-local format)
- *   "isActive": 1                  (optional, default=1)
+ *   "timezone": "Europe/London",   (optional, IANA zone the times are in)
+ *   "recurrenceType": "weekly",    (optional: none|daily|weekly|hourly)
+ *   "recurrenceDays": [1, 5],      (weekly only, 0=Sunday)
+ *   "recurrenceInterval": 6,       (hourly only, hours between repeats)
+ *   "recurrenceDuration": 30,      (optional, minutes each repeat is shown, default=60)
+ *   "isActive": 1,                 (optional, default=1)
+ *   "postToDiscord": true          (optional, also publish via DISCORD_WEBHOOK_URL)
  * }
  * 
  * RESPONSE (SUCCESS)
@@ -29,14 +37,23 @@
  *   "success": true,
  *   "data": {
  *     "announcement": { ... },
- *     "id": 5
+ *     "id": 5,
+ *     "discord": { "delivered": true, "detail": "HTTP 204" }  (only with postToDiscord)
  *   }
  * }
  * 
+ * A failed Discord delivery still returns 200 (the announcement is saved);
+ * check discord.delivered. The outcome is also stored on the announcement.
+ * 
  * RESPONSE (ERROR)
  * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
  * HTTP 422 Unprocessable Entity
  * { "success": false, "message": "Message is required." }
+ * (also for unknown timezones and invalid recurrence rules)
+ * 
+ * HTTP 404 Not Found
+ * { "success": false, "message": "Announcement not found." }
  * 
  * ═════════════════════════════════════════════════════════════════════════════════
  */
@@ -47,18 +64,28 @@ declare(strict_types=1);
 // SECTION 1: LOAD DEPENDENCIES
 // ─────────────────────────────────────────────────────────────────────────────────
 
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
 require_once __DIR__ . '/lib/AnnouncementController.php';
+require_once __DIR__ . '/lib/discord_webhook_client.php';
 require_once __DIR__ . '/lib/ApiResponse.php';
 require_once __DIR__ . '/dbconnect.php';
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 2: VALIDATE HTTP METHOD
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     ApiResponse::methodNotAllowed();
 }
 
+$auth = AuthController::checkAuth($conn);
+
+// Publishes site-wide notices (and can post to Discord), so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // SECTION 3: PARSE INPUT
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -69,19 +96,54 @@ $input = json_decode(file_get_contents('php://input'), true) ?? [];
 // SECTION 4: CALL CONTROLLER
 // ─────────────────────────────────────────────────────────────────────────────────
 
+// Capture the row as it was (when editing), for the audit log
+$editingId = isset($input['id']) ? (int)$input['id'] : 0;
+$before = $editingId > 0 ? AuditLogController::snapshot($conn, 'announcements', 'id', $editingId) : null;
+
 $result = AnnouncementController::saveAnnouncement($input, $conn);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 5: RETURN RESPONSE
+// SECTION 5: RECORD AUDIT ENTRY
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($result['success']) {
-    ApiResponse::success([
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        $before === null ? 'announcement.create' : 'announcement.update',
+        'announcement',
+        $result['id'],
+        ($before === null ? 'Created announcement #' : 'Updated announcement #') . $result['id'],
+        $before,
+        AuditLogController::snapshot($conn, 'announcements', 'id', $result['id'])
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    $response = [
         'announcement' => $result['announcement'],
         'id' => $result['id']
-    ]);
+    ];
+
+    if (!empty($input['postToDiscord'])) {
+        $delivery = AnnouncementController::publishToDiscord((int)$result['id'], $conn);
+
+        if ($delivery['success']) {
+            $response['announcement'] = $delivery['announcement'];
+            $response['discord'] = [
+                'delivered' => $delivery['delivered'],
+                'detail' => $delivery['detail']
+            ];
+        }
+    }
+
+    ApiResponse::success($response);
 } else {
-    ApiResponse::error($result['message'], 422);
+    ApiResponse::error($result['message'], $result['code'] ?? 422);
 }
 
 ?>
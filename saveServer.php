@@ -8,6 +8,7 @@
  * ───────
  * Creates a new server or updates an existing server in the database.
  * Enriches server data from BattleMetrics API (if available).
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
  * 
  * REQUEST
  * ───────
@@ -33,6 +34,7 @@
  * 
  * RESPONSE (ERROR)
  * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
  * HTTP 400 Bad Request
  * { "success": false, "message": "BattleMetrics ID is required." }
  * 
@@ -45,18 +47,27 @@ declare(strict_types=1);
 // SECTION 1: LOAD DEPENDENCIES
 // ─────────────────────────────────────────────────────────────────────────────────
 
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
 require_once __DIR__ . '/lib/ServerController.php';
 require_once __DIR__ . '/lib/ApiResponse.php';
 require_once __DIR__ . '/dbconnect.php';
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 2: VALIDATE HTTP METHOD
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
     ApiResponse::methodNotAllowed();
 }
 
+$auth = AuthController::checkAuth($conn);
+
+// Changes the public server list, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // SECTION 3: PARSE INPUT
 // ─────────────────────────────────────────────────────────────────────────────────
@@ -68,10 +79,33 @@ $battlemetricsId = $input['battlemetricsId'] ?? '';
 // SECTION 4: CALL CONTROLLER
 // ─────────────────────────────────────────────────────────────────────────────────
 
+// Capture the row as it was, for the audit log
+$before = AuditLogController::snapshot($conn, 'servers', 'battlemetrics_id', trim((string)$battlemetricsId));
+
 $result = ServerController::saveServer($battlemetricsId, $conn);
 
 // ─────────────────────────────────────────────────────────────────────────────────
-// SECTION 5: RETURN RESPONSE
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    // Re-adding a deleted server counts as adding it
+    $isNew = $before === null || (int)$before['is_active'] === 0;
+
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        $isNew ? 'server.create' : 'server.update',
+        'server',
+        $result['server']['id'],
+        ($isNew ? 'Added server ' : 'Updated server ') . $result['server']['display_name'],
+        $before,
+        AuditLogController::snapshot($conn, 'servers', 'id', $result['server']['id'])
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
 // ─────────────────────────────────────────────────────────────────────────────────
 
 if ($result['success']) {
@@ -0,0 +1,116 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * saveSlide.php - Slide Create/Update Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Creates a homepage slide, or updates an existing one when "id" is sent.
+ * Called by: portal.html (Manage Slideshow modal)
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
+ * 
+ * REQUEST
+ * ───────
+ * POST /saveSlide.php
+ * Content-Type: application/json
+ * Body: {
+ *   "id": 3,                              (optional, update this slide)
+ *   "title": "Join Our Community",
+ *   "description": "Connect with players on Discord",   (optional)
+ *   "imageUrl": "https://example.com/banner.jpg",       (optional, http(s) or site path)
+ *   "linkUrl": "https://discord.gg/example",            (optional, http(s) or site path)
+ *   "order": 2,                           (optional, default=0, lower first)
+ *   "active": true                        (optional, default=true)
+ * }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * { "success": true, "data": { "slide": { ... } } }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "Title is required." }
+ * 
+ * HTTP 404 Not Found
+ * { "success": false, "message": "Slide not found." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
+require_once __DIR__ . '/lib/SlideController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+// Changes the public homepage slideshow, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Capture the row as it was (when editing), for the audit log
+$editingId = isset($input['id']) ? (int)$input['id'] : 0;
+$before = $editingId > 0 ? AuditLogController::snapshot($conn, 'slides', 'id', $editingId) : null;
+
+$result = SlideController::saveSlide($input, $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        $before === null ? 'slide.create' : 'slide.update',
+        'slide',
+        $result['slide']['id'],
+        ($before === null ? 'Added slide ' : 'Updated slide ') . $result['slide']['title'],
+        $before,
+        AuditLogController::snapshot($conn, 'slides', 'id', $result['slide']['id'])
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success([
+        'slide' => $result['slide']
+    ]);
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 422);
+}
+
+?>
@@ -0,0 +1,93 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * setWatchlist.php - Player Watchlist Update Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Adds a player to the watchlist (or updates the reason), or removes them.
+ * Called by: portal.html (Players tab profile)
+ * 
+ * REQUEST
+ * ───────
+ * POST /setWatchlist.php
+ * Content-Type: application/json
+ * Body: {
+ *   "playerId": "987654",
+ *   "playerName": "Eve",
+ *   "watched": true,                      (false removes the player)
+ *   "reason": "Repeat reports"            (optional, max 255 characters)
+ * }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * { "success": true, "data": { "watchlist": { "player_id": "987654", ... } } }
+ * { "success": true, "data": { "watchlist": null } }   (removed)
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 403 Forbidden (staff accounts)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "Invalid player ID." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/PlayerController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// Same roles that see the Players tab in the portal (staff don't)
+if (!PlayerController::canManagePlayers($auth['user'])) {
+    ApiResponse::forbidden();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$result = PlayerController::setWatchlist($input, $auth['user'], $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success([
+        'watchlist' => $result['watchlist']
+    ]);
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 422);
+}
+
+?>
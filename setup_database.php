@@ -79,7 +79,16 @@ CREATE TABLE IF NOT EXISTS announcements (
     severity VARCHAR(16) NOT NULL DEFAULT 'info',
     starts_at DATETIME NULL,
     ends_at DATETIME NULL,
+    recurrence_type VARCHAR(16) NOT NULL DEFAULT 'none',
+    recurrence_days VARCHAR(32) NULL,
+    recurrence_interval INT NULL,
+    recurrence_duration INT NULL,
+    timezone VARCHAR(64) NULL,
+    discord_status VARCHAR(16) NULL,
+    discord_detail VARCHAR(255) NULL,
+    discord_posted_at DATETIME NULL,
     is_active TINYINT(1) NOT NULL DEFAULT 1,
+    deleted_at TIMESTAMP NULL DEFAULT NULL,
     created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
     INDEX idx_server_id (server_id),
@@ -90,6 +99,70 @@ CREATE TABLE IF NOT EXISTS announcements (
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
 ";
 
+// Slides table (homepage slideshow)
+$tables['slides'] = "
+CREATE TABLE IF NOT EXISTS slides (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    title VARCHAR(255) NOT NULL,
+    description TEXT NULL,
+    image_url VARCHAR(500) NULL,
+    link_url VARCHAR(500) NULL,
+    sort_order INT NOT NULL DEFAULT 0,
+    is_active TINYINT(1) NOT NULL DEFAULT 1,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_is_active (is_active),
+    INDEX idx_sort_order (sort_order)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+";
+
+// Player notes table (staff notes keyed by BattleMetrics player ID)
+$tables['player_notes'] = "
+CREATE TABLE IF NOT EXISTS player_notes (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    player_id VARCHAR(32) NOT NULL,
+    player_name VARCHAR(255) NOT NULL,
+    note TEXT NOT NULL,
+    author_id INT NULL,
+    author_name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_player_id (player_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+";
+
+// Player watchlist table
+$tables['player_watchlist'] = "
+CREATE TABLE IF NOT EXISTS player_watchlist (
+    player_id VARCHAR(32) NOT NULL PRIMARY KEY,
+    player_name VARCHAR(255) NOT NULL,
+    reason VARCHAR(255) NULL,
+    added_by_id INT NULL,
+    added_by_name VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+";
+
+// Audit log table (who changed servers, users, announcements and slides)
+$tables['audit_log'] = "
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INT AUTO_INCREMENT PRIMARY KEY,
+    action VARCHAR(64) NOT NULL,
+    target_type VARCHAR(32) NOT NULL,
+    target_id VARCHAR(64) NULL,
+    summary VARCHAR(255) NOT NULL,
+    before_data MEDIUMTEXT NULL,
+    after_data MEDIUMTEXT NULL,
+    actor_id INT NOT NULL,
+    actor_name VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(45) NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_created_at (created_at),
+    INDEX idx_action (action),
+    INDEX idx_actor_name (actor_name)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+";
+
 // ─────────────────────────────────────────────────────────────────────────────────
 // SECTION 3: EXECUTE TABLE CREATION
 // ─────────────────────────────────────────────────────────────────────────────────
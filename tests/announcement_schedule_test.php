@@ -0,0 +1,44 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * tests/announcement_schedule_test.php - Server Side of the Schedule Cases
+ * ═════════════════════════════════════════════════════════════════════════════════
+ *
+ * PURPOSE
+ * ───────
+ * Runs every case in tests/announcement_schedule.json through
+ * AnnouncementController::isLiveAt(). tests/schedule.test.js runs the same
+ * cases through js/schedule.js, so the public banner and the server's
+ * active filter can't drift apart.
+ *
+ * USAGE
+ * ─────
+ * php tests/announcement_schedule_test.php   (exit code 1 on any failure)
+ *
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+require_once __DIR__ . '/../lib/AnnouncementController.php';
+
+// isLiveAt() is private; the cases test it directly rather than through the database
+$isLiveAt = new ReflectionMethod(AnnouncementController::class, 'isLiveAt');
+$cases = json_decode(file_get_contents(__DIR__ . '/announcement_schedule.json'), true);
+$failures = 0;
+
+foreach ($cases as $case) {
+    $live = $isLiveAt->invoke(null, $case['announcement'], strtotime($case['now']));
+
+    if ($live === $case['live']) {
+        echo "✓ {$case['name']}\n";
+    } else {
+        echo "✗ {$case['name']}: expected " . var_export($case['live'], true) . ', got ' . var_export($live, true) . "\n";
+        $failures++;
+    }
+}
+
+echo count($cases) - $failures . '/' . count($cases) . " passed\n";
+exit($failures > 0 ? 1 : 0);
+
+?>
@@ -0,0 +1,18 @@
+// Runs every case in tests/announcement_schedule.json through js/schedule.js;
+// tests/announcement_schedule_test.php runs the same cases through
+// AnnouncementController::isLiveAt(), so the two can't drift apart.
+// Usage: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const cases = require('./announcement_schedule.json');
+
+// schedule.js is a browser script that publishes itself on window
+global.window = global;
+console.warn = () => {}; // Unknown-timezone cases warn on purpose
+require('../js/schedule.js');
+
+for (const { name, now, live, announcement } of cases) {
+    test(name, () => {
+        assert.strictEqual(window.AnnouncementSchedule.isLive(announcement, Date.parse(now)), live);
+    });
+}
@@ -0,0 +1,111 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * toggleAnnouncement.php - Announcement Activate/Deactivate Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Turns an announcement on or off via is_active without touching its
+ * message, target server or schedule (unlike deleteAnnouncement.php).
+ * Called by: portal.html (Server Announcements list)
+ * Successful changes are recorded in the audit log (see getAuditLog.php).
+ * 
+ * REQUEST
+ * ───────
+ * POST /toggleAnnouncement.php
+ * Content-Type: application/json
+ * Body: { "id": 5, "isActive": 0 }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * { "success": true, "data": { "id": 5, "isActive": 0 } }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "Invalid announcement ID." }
+ * HTTP 404 Not Found
+ * { "success": false, "message": "Announcement not found." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/AuditLogController.php';
+require_once __DIR__ . '/lib/AnnouncementController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+$auth = AuthController::checkAuth($conn);
+
+// Shows or hides site-wide notices, so only portal users may call it
+if (!$auth['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE AND VALIDATE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+$announcementId = isset($input['id']) ? (int)$input['id'] : 0;
+$isActive = !empty($input['isActive']);
+
+if ($announcementId <= 0) {
+    ApiResponse::validationError('Invalid announcement ID.');
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+// Capture the row as it was, for the audit log
+$before = AuditLogController::snapshot($conn, 'announcements', 'id', $announcementId);
+
+$result = AnnouncementController::setActive($announcementId, $isActive, $conn);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RECORD AUDIT ENTRY
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    AuditLogController::record(
+        $conn,
+        $auth['user'],
+        'announcement.toggle',
+        'announcement',
+        $announcementId,
+        ($isActive ? 'Showed announcement #' : 'Hid announcement #') . $announcementId,
+        $before,
+        AuditLogController::snapshot($conn, 'announcements', 'id', $announcementId)
+    );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 6: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success(['id' => $announcementId, 'isActive' => $isActive ? 1 : 0]);
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 500);
+}
+
+?>
@@ -0,0 +1,95 @@
+<?php
+/**
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * uploadSlideImage.php - Slide Image Upload Endpoint
+ * ═════════════════════════════════════════════════════════════════════════════════
+ * 
+ * PURPOSE
+ * ───────
+ * Stores a slideshow image under assets/slides/ and returns its site path,
+ * ready to use as a slide's imageUrl. The portal resizes and compresses
+ * images in the browser before sending them here.
+ * Called by: portal.html (Manage Slideshow modal)
+ * 
+ * REQUEST
+ * ───────
+ * POST /uploadSlideImage.php
+ * Content-Type: application/json
+ * Body: { "image": "data:image/jpeg;base64,/9j/4AAQ..." }
+ * 
+ * RESPONSE (SUCCESS)
+ * ──────────────────
+ * HTTP 200 OK
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "image": {
+ *       "url": "assets/slides/slide-20240115-200000-1a2b3c4d.jpg",
+ *       "name": "slide-20240115-200000-1a2b3c4d.jpg",
+ *       "size": 284311,
+ *       "modified": 1705348800,
+ *       "width": 1920,
+ *       "height": 1080
+ *     }
+ *   }
+ * }
+ * 
+ * RESPONSE (ERROR)
+ * ───────────────
+ * HTTP 401 Unauthorized (not logged in to the portal)
+ * HTTP 413 Payload Too Large (over 5 MB)
+ * HTTP 422 Unprocessable Entity
+ * { "success": false, "message": "Only JPEG, PNG and WebP images are allowed." }
+ * 
+ * ═════════════════════════════════════════════════════════════════════════════════
+ */
+
+declare(strict_types=1);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 1: LOAD DEPENDENCIES
+// ─────────────────────────────────────────────────────────────────────────────────
+
+require_once __DIR__ . '/lib/AuthController.php';
+require_once __DIR__ . '/lib/SlideController.php';
+require_once __DIR__ . '/lib/ApiResponse.php';
+require_once __DIR__ . '/dbconnect.php';
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 2: VALIDATE HTTP METHOD AND SESSION
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    ApiResponse::methodNotAllowed();
+}
+
+// Writes files to disk, so only portal users may call it
+if (!AuthController::checkAuth($conn)['authenticated']) {
+    ApiResponse::unauthorized();
+}
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 3: PARSE INPUT
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$input = json_decode(file_get_contents('php://input'), true) ?? [];
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 4: CALL CONTROLLER
+// ─────────────────────────────────────────────────────────────────────────────────
+
+$result = SlideController::uploadImage(is_array($input) ? $input : []);
+
+// ─────────────────────────────────────────────────────────────────────────────────
+// SECTION 5: RETURN RESPONSE
+// ─────────────────────────────────────────────────────────────────────────────────
+
+if ($result['success']) {
+    ApiResponse::success([
+        'image' => $result['image']
+    ]);
+} else {
+    ApiResponse::error($result['message'], $result['code'] ?? 422);
+}
+
+?>